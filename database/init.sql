@@ -89,6 +89,11 @@ CREATE TABLE IF NOT EXISTS agents (
     status VARCHAR(50) DEFAULT 'offline', -- 'online', 'offline', 'busy', 'away'
     max_concurrent_calls INTEGER DEFAULT 3,
     current_calls INTEGER DEFAULT 0,
+    last_assigned_at TIMESTAMP, -- last call routed to the agent (round-robin)
+    last_call_ended_at TIMESTAMP, -- last call finished (longest-idle)
+    current_call_sid VARCHAR(255), -- caller the agent is talking to (automatic busy)
+    missed_offers INTEGER DEFAULT 0, -- unanswered transfer offers in a row (automatic away)
+    status_changed_at TIMESTAMP NOT NULL DEFAULT NOW(),
     metadata JSONB DEFAULT '{}',
     created_at TIMESTAMP NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMP NOT NULL DEFAULT NOW()
@@ -101,12 +106,110 @@ CREATE TABLE IF NOT EXISTS call_handoffs (
     agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
     reason TEXT,
     context JSONB DEFAULT '{}', -- Summary, intent, key points
-    status VARCHAR(50) NOT NULL, -- 'pending', 'accepted', 'rejected', 'completed'
+    status VARCHAR(50) NOT NULL, -- 'pending', 'accepted', 'rejected', 'completed', 'abandoned'
     requested_at TIMESTAMP NOT NULL DEFAULT NOW(),
     accepted_at TIMESTAMP,
     completed_at TIMESTAMP
 );
 
+-- Voicemails left when no agent answers
+CREATE TABLE IF NOT EXISTS voicemails (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+    recording_sid VARCHAR(255) UNIQUE NOT NULL,
+    recording_url TEXT,
+    duration INTEGER, -- in seconds
+    language VARCHAR(10),
+    transcript TEXT,
+    summary TEXT,
+    status VARCHAR(50) NOT NULL DEFAULT 'received', -- 'received', 'processed', 'failed'
+    notified_at TIMESTAMP,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Callback requests (outbound calls scheduled for customers)
+CREATE TABLE IF NOT EXISTS callback_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    call_id UUID REFERENCES calls(id) ON DELETE SET NULL, -- Call where the callback was requested
+    phone_number VARCHAR(50) NOT NULL,
+    language VARCHAR(10) NOT NULL DEFAULT 'fr-FR',
+    reason TEXT,
+    preferred_start TIMESTAMP,
+    preferred_end TIMESTAMP,
+    status VARCHAR(50) NOT NULL DEFAULT 'pending', -- 'pending', 'calling', 'completed', 'failed', 'canceled'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_call_sid VARCHAR(255),
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Appointment reminders (one per calendar event and attendee phone)
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id VARCHAR(255) NOT NULL, -- Google Calendar event
+    calendar_id VARCHAR(255) NOT NULL DEFAULT 'primary',
+    attendee_email VARCHAR(255),
+    phone_number VARCHAR(50) NOT NULL,
+    language VARCHAR(10) NOT NULL DEFAULT 'fr-FR',
+    channel VARCHAR(20) NOT NULL DEFAULT 'call', -- 'call', 'sms', 'whatsapp'
+    status VARCHAR(50) NOT NULL DEFAULT 'pending', -- 'pending', 'calling', 'awaiting_reply', 'confirmed', 'cancelled', 'rescheduled', 'follow_up', 'unanswered', 'failed'
+    appointment_start TIMESTAMP NOT NULL,
+    call_sid VARCHAR(255),
+    turns INTEGER NOT NULL DEFAULT 0, -- Replies received without a decision
+    outcome JSONB DEFAULT '{}',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (event_id, phone_number)
+);
+
+-- Text conversations (SMS, WhatsApp, web chat) answered by the virtual secretary
+CREATE TABLE IF NOT EXISTS conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    channel VARCHAR(20) NOT NULL, -- 'sms', 'whatsapp', 'webchat'
+    contact VARCHAR(255) NOT NULL, -- Customer address on the channel (phone number, web chat visitor ID)
+    language VARCHAR(10),
+    status VARCHAR(50) NOT NULL DEFAULT 'active', -- 'active', 'handoff' (staff answer), 'closed'
+    handoff_reason TEXT,
+    metadata JSONB DEFAULT '{}',
+    last_message_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Messages of text conversations
+CREATE TABLE IF NOT EXISTS conversation_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    direction VARCHAR(20) NOT NULL, -- 'inbound', 'outbound'
+    sender VARCHAR(20) NOT NULL, -- 'customer', 'assistant', 'agent'
+    body TEXT,
+    intent VARCHAR(100),
+    provider_message_id VARCHAR(255), -- Twilio MessageSid
+    metadata JSONB DEFAULT '{}', -- media: [{ url, contentType }], template: name, sources: RAG citations
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Inbox emails triaged by the virtual secretary (one per Gmail message)
+CREATE TABLE IF NOT EXISTS email_triage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id VARCHAR(255) NOT NULL UNIQUE, -- Gmail message
+    thread_id VARCHAR(255),
+    sender VARCHAR(255),
+    subject TEXT,
+    language VARCHAR(10),
+    intent VARCHAR(100),
+    action VARCHAR(50) NOT NULL, -- 'replying' (reply in progress), 'drafted', 'sent', 'escalated', 'skipped'
+    reason TEXT, -- Why it was escalated or skipped
+    draft_id VARCHAR(255), -- Gmail draft of the reply
+    sources JSONB DEFAULT '[]', -- Knowledge base documents the reply is based on
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
 -- RAG queries log
 CREATE TABLE IF NOT EXISTS rag_queries (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -119,6 +222,24 @@ CREATE TABLE IF NOT EXISTS rag_queries (
     created_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
+-- Knowledge base reindex jobs started from the admin API
+CREATE TABLE IF NOT EXISTS reindex_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source VARCHAR(50) NOT NULL, -- 'drive', 'documents'
+    full_reindex BOOLEAN NOT NULL DEFAULT FALSE,
+    folder_id VARCHAR(255), -- Google Drive folder (source 'drive')
+    status VARCHAR(50) NOT NULL DEFAULT 'running', -- 'running', 'completed', 'failed'
+    total INTEGER, -- Documents to index, known once listed
+    processed INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    errors JSONB DEFAULT '[]', -- Documents that failed: [{ id, title, error }]
+    error TEXT, -- Why the whole job failed
+    started_by VARCHAR(255),
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
 -- System audit log
 CREATE TABLE IF NOT EXISTS audit_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -159,6 +280,7 @@ CREATE INDEX idx_documents_source ON documents(source);
 CREATE INDEX idx_documents_category ON documents(category);
 CREATE INDEX idx_documents_access_level ON documents(access_level);
 CREATE INDEX idx_documents_updated_at ON documents(updated_at DESC);
+CREATE UNIQUE INDEX idx_documents_source_id ON documents(source, source_id) WHERE source_id IS NOT NULL;
 
 CREATE INDEX idx_document_chunks_document_id ON document_chunks(document_id);
 -- Vector similarity search index (IVFFlat for better performance)
@@ -172,9 +294,26 @@ CREATE INDEX idx_call_handoffs_call_id ON call_handoffs(call_id);
 CREATE INDEX idx_call_handoffs_agent_id ON call_handoffs(agent_id);
 CREATE INDEX idx_call_handoffs_status ON call_handoffs(status);
 
+CREATE INDEX idx_voicemails_call_id ON voicemails(call_id);
+CREATE INDEX idx_voicemails_status ON voicemails(status);
+
+CREATE INDEX idx_callback_requests_due ON callback_requests(status, next_attempt_at);
+CREATE INDEX idx_callback_requests_last_call_sid ON callback_requests(last_call_sid);
+
+CREATE INDEX idx_appointment_reminders_phone ON appointment_reminders(phone_number, status);
+CREATE INDEX idx_appointment_reminders_call_sid ON appointment_reminders(call_sid);
+
+CREATE INDEX idx_conversations_contact ON conversations(channel, contact, last_message_at DESC);
+CREATE INDEX idx_conversation_messages_conversation_id ON conversation_messages(conversation_id, created_at);
+CREATE INDEX idx_email_triage_created_at ON email_triage(created_at DESC);
+
 CREATE INDEX idx_rag_queries_call_id ON rag_queries(call_id);
 CREATE INDEX idx_rag_queries_created_at ON rag_queries(created_at DESC);
 
+CREATE INDEX idx_reindex_jobs_started_at ON reindex_jobs(started_at DESC);
+-- At most one job running at a time
+CREATE UNIQUE INDEX idx_reindex_jobs_running ON reindex_jobs(status) WHERE status = 'running';
+
 CREATE INDEX idx_audit_logs_event_type ON audit_logs(event_type);
 CREATE INDEX idx_audit_logs_entity_type ON audit_logs(entity_type);
 CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at DESC);
@@ -195,9 +334,24 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_calls_updated_at BEFORE UPDATE ON calls
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_voicemails_updated_at BEFORE UPDATE ON voicemails
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_callback_requests_updated_at BEFORE UPDATE ON callback_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_appointment_reminders_updated_at BEFORE UPDATE ON appointment_reminders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_documents_updated_at BEFORE UPDATE ON documents
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_reindex_jobs_updated_at BEFORE UPDATE ON reindex_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_agents_updated_at BEFORE UPDATE ON agents
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -222,6 +376,13 @@ COMMENT ON TABLE documents IS 'Stores knowledge base documents for RAG';
 COMMENT ON TABLE document_chunks IS 'Stores chunked documents with embeddings for vector search';
 COMMENT ON TABLE agents IS 'Stores human agent information for call handoffs';
 COMMENT ON TABLE call_handoffs IS 'Tracks call transfers to human agents';
+COMMENT ON TABLE voicemails IS 'Stores voicemails with transcript and summary';
+COMMENT ON TABLE callback_requests IS 'Queue of customer callback requests';
+COMMENT ON TABLE appointment_reminders IS 'Reminder calls and messages (SMS, WhatsApp) sent before calendar appointments';
+COMMENT ON TABLE conversations IS 'Text conversations with customers (SMS, WhatsApp, web chat)';
+COMMENT ON TABLE conversation_messages IS 'Messages of text conversations';
+COMMENT ON TABLE email_triage IS 'Inbox emails classified, drafted or escalated by the virtual secretary';
 COMMENT ON TABLE rag_queries IS 'Logs all RAG system queries for analytics';
+COMMENT ON TABLE reindex_jobs IS 'Knowledge base reindex jobs and their progress';
 COMMENT ON TABLE audit_logs IS 'System-wide audit trail';
 COMMENT ON TABLE metrics IS 'Performance and business metrics';
@@ -0,0 +1,142 @@
+/**
+ * Agent live board
+ * Connects to the /api/agents/board WebSocket with the agent's JWT
+ * (kept in localStorage) and renders every agent change.
+ */
+
+(() => {
+  const STATUS_LABELS = {
+    online: 'En ligne',
+    busy: 'Occupé',
+    away: 'Absent',
+    offline: 'Hors ligne',
+  };
+
+  const agents = new Map();
+  const tbody = document.getElementById('agents');
+  const connection = document.getElementById('connection');
+  const login = document.getElementById('login');
+  const myStatus = document.getElementById('my-status');
+
+  let socket = null;
+
+  const formatTime = (value) => (value ? new Date(value).toLocaleTimeString('fr-FR') : '-');
+
+  const cell = (text) => {
+    const td = document.createElement('td');
+    td.textContent = text;
+    return td;
+  };
+
+  const render = () => {
+    tbody.replaceChildren(...[...agents.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((agent) => {
+        const tr = document.createElement('tr');
+        const status = document.createElement('span');
+
+        status.className = `status ${agent.status}`;
+        status.textContent = STATUS_LABELS[agent.status] || agent.status;
+
+        const statusCell = document.createElement('td');
+        statusCell.append(status);
+
+        const call = agent.currentCall
+          ? `${agent.currentCall.fromNumber || agent.currentCall.callSid} (${formatTime(agent.currentCall.startTime)})`
+          : '-';
+
+        tr.append(
+          cell(agent.name),
+          cell(agent.department || '-'),
+          statusCell,
+          cell(call),
+          cell(`${agent.currentCalls}/${agent.maxConcurrentCalls}`),
+          cell(formatTime(agent.statusChangedAt))
+        );
+
+        return tr;
+      }));
+  };
+
+  const setConnected = (connected) => {
+    connection.className = `connection ${connected ? 'online' : 'offline'}`;
+    connection.textContent = connected ? 'Connecté' : 'Déconnecté';
+  };
+
+  // The upgrade of a refused token fails like a network error: ask the API which it was
+  const isTokenRejected = async (token) => {
+    try {
+      const response = await fetch('/api/agents/me', {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+      return response.status === 401;
+    } catch {
+      return false;
+    }
+  };
+
+  const connect = (token) => {
+    const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+
+    socket = new WebSocket(`${protocol}://${window.location.host}/api/agents/board?token=${encodeURIComponent(token)}`);
+
+    socket.addEventListener('open', () => {
+      setConnected(true);
+      login.hidden = true;
+      myStatus.hidden = false;
+    });
+
+    socket.addEventListener('message', (event) => {
+      const data = JSON.parse(event.data);
+
+      if (data.type === 'snapshot') {
+        agents.clear();
+        data.agents.forEach(agent => agents.set(agent.id, agent));
+      } else if (data.type === 'agent') {
+        agents.set(data.agent.id, data.agent);
+      }
+
+      render();
+    });
+
+    socket.addEventListener('close', async () => {
+      setConnected(false);
+      myStatus.hidden = true;
+
+      // Rejected token: ask again, otherwise reconnect
+      if (await isTokenRejected(token)) {
+        localStorage.removeItem('agentBoardToken');
+        login.hidden = false;
+        return;
+      }
+
+      setTimeout(() => connect(token), 3000);
+    });
+  };
+
+  login.addEventListener('submit', (event) => {
+    event.preventDefault();
+
+    const token = document.getElementById('token').value.trim();
+
+    localStorage.setItem('agentBoardToken', token);
+    connect(token);
+  });
+
+  myStatus.addEventListener('click', (event) => {
+    const status = event.target.dataset?.status;
+
+    if (status && socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'status', status }));
+    }
+  });
+
+  const savedToken = localStorage.getItem('agentBoardToken');
+
+  if (savedToken) {
+    connect(savedToken);
+  } else {
+    login.hidden = false;
+  }
+})();
@@ -0,0 +1,218 @@
+/**
+ * NETZ web chat widget
+ * Embed with:
+ *   <script src="https://your-domain.com/chat/widget.js"
+ *           data-socket="wss://your-domain.com:3001/chat" async></script>
+ * Chats with the virtual secretary over the web chat WebSocket; the visitor ID
+ * is kept in localStorage so the conversation survives page changes.
+ */
+
+(() => {
+  const script = document.currentScript;
+  const scriptUrl = new URL(script.src);
+
+  const LABELS = {
+    fr: {
+      title: 'NETZ Informatique',
+      open: 'Une question ?',
+      placeholder: 'Votre message...',
+      send: 'Envoyer',
+      escalate: 'Parler à un conseiller',
+      handoff: 'Un conseiller a repris la conversation.',
+      sources: 'Sources',
+      offline: 'Connexion perdue, nouvelle tentative...',
+    },
+    tr: {
+      title: 'NETZ Informatique',
+      open: 'Bir sorunuz mu var?',
+      placeholder: 'Mesajınız...',
+      send: 'Gönder',
+      escalate: 'Bir temsilciyle görüşün',
+      handoff: 'Görüşmeyi bir temsilcimiz devraldı.',
+      sources: 'Kaynaklar',
+      offline: 'Bağlantı koptu, yeniden deneniyor...',
+    },
+  };
+
+  const language = (script.dataset.language || navigator.language || 'fr').slice(0, 2).toLowerCase();
+  const labels = LABELS[language] || LABELS.fr;
+  const socketUrl = script.dataset.socket
+    || `${scriptUrl.protocol === 'https:' ? 'wss' : 'ws'}://${scriptUrl.hostname}:3001/chat`;
+
+  const STYLE = `
+    .netz-chat-toggle, .netz-chat-panel { position: fixed; right: 1rem; bottom: 1rem; z-index: 2147483000;
+      font: 14px/1.4 system-ui, sans-serif; }
+    .netz-chat-toggle { border: 0; border-radius: 2rem; padding: 0.7rem 1.2rem; background: #1f6feb;
+      color: #fff; cursor: pointer; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2); }
+    .netz-chat-panel { width: 22rem; max-width: calc(100vw - 2rem); height: 30rem; display: flex;
+      flex-direction: column; background: #fff; color: #1f2933; border-radius: 0.75rem;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25); overflow: hidden; }
+    .netz-chat-panel[hidden] { display: none; }
+    .netz-chat-header { display: flex; justify-content: space-between; align-items: center;
+      padding: 0.6rem 0.8rem; background: #1f6feb; color: #fff; font-weight: 600; }
+    .netz-chat-header button { border: 0; background: none; color: inherit; font-size: 1.2rem; cursor: pointer; }
+    .netz-chat-messages { flex: 1; overflow-y: auto; padding: 0.8rem; display: flex; flex-direction: column;
+      gap: 0.5rem; }
+    .netz-chat-message { max-width: 85%; padding: 0.5rem 0.7rem; border-radius: 0.75rem; white-space: pre-wrap; }
+    .netz-chat-message.customer { align-self: flex-end; background: #1f6feb; color: #fff; }
+    .netz-chat-message.assistant, .netz-chat-message.agent { align-self: flex-start; background: #f0f2f5; }
+    .netz-chat-message.agent { border-left: 3px solid #1f6feb; }
+    .netz-chat-sources { margin-top: 0.3rem; font-size: 0.8rem; color: #52606d; }
+    .netz-chat-notice { align-self: center; font-size: 0.8rem; color: #52606d; }
+    .netz-chat-escalate { border: 0; background: none; color: #1f6feb; cursor: pointer; padding: 0.3rem; }
+    .netz-chat-form { display: flex; border-top: 1px solid #e4e7eb; }
+    .netz-chat-form input { flex: 1; border: 0; padding: 0.7rem; font: inherit; }
+    .netz-chat-form button { border: 0; background: none; color: #1f6feb; padding: 0 0.8rem; cursor: pointer; }
+  `;
+
+  const element = (tag, className, text) => {
+    const node = document.createElement(tag);
+
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+
+    return node;
+  };
+
+  const style = element('style');
+  style.textContent = STYLE;
+
+  const toggle = element('button', 'netz-chat-toggle', labels.open);
+  const panel = element('section', 'netz-chat-panel');
+  const header = element('div', 'netz-chat-header', labels.title);
+  const close = element('button', null, '×');
+  const messages = element('div', 'netz-chat-messages');
+  const escalate = element('button', 'netz-chat-escalate', labels.escalate);
+  const form = element('form', 'netz-chat-form');
+  const input = element('input');
+  const submit = element('button', null, labels.send);
+
+  panel.hidden = true;
+  close.type = 'button';
+  escalate.type = 'button';
+  input.placeholder = labels.placeholder;
+  input.maxLength = 1000;
+  submit.type = 'submit';
+
+  header.append(close);
+  form.append(input, submit);
+  panel.append(header, messages, escalate, form);
+  document.head.append(style);
+  document.body.append(toggle, panel);
+
+  let socket = null;
+  let streaming = null;
+
+  const scrollDown = () => {
+    messages.scrollTop = messages.scrollHeight;
+  };
+
+  const notice = (text) => {
+    messages.append(element('div', 'netz-chat-notice', text));
+    scrollDown();
+  };
+
+  const addMessage = (message) => {
+    const bubble = element('div', `netz-chat-message ${message.sender}`, message.body || '');
+
+    if (message.sources?.length) {
+      bubble.append(element(
+        'div',
+        'netz-chat-sources',
+        `${labels.sources} : ${message.sources.map(source => source.title).join(', ')}`
+      ));
+    }
+
+    messages.append(bubble);
+    scrollDown();
+  };
+
+  const setStatus = (status) => {
+    escalate.hidden = status !== 'active';
+  };
+
+  const connect = () => {
+    const params = new URLSearchParams({ language });
+    const visitorId = localStorage.getItem('netzChatVisitor');
+
+    if (visitorId) {
+      params.set('visitor', visitorId);
+    }
+
+    socket = new WebSocket(`${socketUrl}?${params}`);
+
+    socket.addEventListener('message', (event) => {
+      const data = JSON.parse(event.data);
+
+      if (data.type === 'session') {
+        localStorage.setItem('netzChatVisitor', data.visitorId);
+        messages.replaceChildren();
+        data.messages.forEach(addMessage);
+        setStatus(data.status);
+      } else if (data.type === 'token') {
+        // Answer being written: shown until the stored message arrives
+        if (!streaming) {
+          streaming = element('div', 'netz-chat-message assistant');
+          messages.append(streaming);
+        }
+
+        streaming.textContent += data.token;
+        scrollDown();
+      } else if (data.type === 'message') {
+        streaming?.remove();
+        streaming = null;
+        addMessage(data.message);
+      } else if (data.type === 'status') {
+        setStatus(data.status);
+
+        if (data.status === 'handoff') {
+          notice(labels.handoff);
+        }
+      } else if (data.type === 'error') {
+        notice(data.message);
+      }
+    });
+
+    socket.addEventListener('close', () => {
+      streaming = null;
+      notice(labels.offline);
+      setTimeout(connect, 5000);
+    });
+  };
+
+  toggle.addEventListener('click', () => {
+    toggle.hidden = true;
+    panel.hidden = false;
+
+    if (!socket) {
+      connect();
+    }
+
+    input.focus();
+  });
+
+  close.addEventListener('click', () => {
+    panel.hidden = true;
+    toggle.hidden = false;
+  });
+
+  escalate.addEventListener('click', () => {
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'escalate' }));
+    }
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+
+    const text = input.value.trim();
+
+    if (!text || socket?.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    addMessage({ sender: 'customer', body: text });
+    socket.send(JSON.stringify({ type: 'message', text }));
+    input.value = '';
+  });
+})();
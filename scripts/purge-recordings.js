@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Purge Expired Recordings
+ * Deletes call recordings older than CALL_RECORDING_RETENTION_DAYS
+ *
+ * Usage:
+ *   npm run purge:recordings -- --dry-run   # report only
+ *   npm run purge:recordings
+ */
+
+import pool from '../src/config/database.js';
+import retentionService from '../src/services/calls/retention.service.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function purgeRecordings() {
+  try {
+    console.log(`🗑  ${dryRun ? 'Dry run: recordings that would be purged' : 'Purging expired recordings'}...\n`);
+
+    const report = await retentionService.purgeExpiredRecordings({ dryRun });
+
+    console.log(`Retention: ${report.retentionDays} days (before ${report.cutoff})\n`);
+
+    for (const call of report.calls) {
+      const status = call.error ? `✗ ${call.error}` : '✓';
+
+      console.log(
+        `${status} ${call.callSid} (${new Date(call.startTime).toISOString()}) `
+        + `stored: ${call.recordingUri || '-'}, Twilio: ${call.twilioRecordings.length}`
+      );
+    }
+
+    console.log(`\n${report.calls.length} call(s) with expired recordings`);
+
+    if (!dryRun) {
+      console.log(`✓ Purged: ${report.purged}, ✗ Failed: ${report.failed}`);
+    }
+
+    if (report.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('✗ Purge failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+purgeRecordings();
@@ -0,0 +1,45 @@
+import pkg from 'pg';
+const { Pool } = pkg;
+import config from './index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Database connection pool
+ * Shared PostgreSQL pool for the application models
+ */
+
+const pool = new Pool({
+  connectionString: config.database.url,
+  host: config.database.host,
+  port: config.database.port,
+  database: config.database.name,
+  user: config.database.user,
+  password: config.database.password,
+  ssl: config.database.ssl ? { rejectUnauthorized: false } : false,
+  ...config.database.pool,
+});
+
+pool.on('error', (err) => {
+  logger.error('PostgreSQL pool error:', err);
+});
+
+/**
+ * Run a function inside a transaction
+ */
+export const withTransaction = async (fn) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default pool;
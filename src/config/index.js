@@ -8,6 +8,61 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config({ path: path.resolve(__dirname, '../../.env') });
 
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const isStringMap = value => isObject(value) && Object.values(value).every(item => typeof item === 'string');
+
+/**
+ * JSON environment variable, `fallback` when unset
+ * Fails at startup, naming the variable, when it does not parse or match `shape`
+ */
+const parseJsonEnv = (name, { shape, isValid }, fallback) => {
+  const raw = process.env[name];
+
+  if (!raw) {
+    return fallback;
+  }
+
+  let value;
+
+  try {
+    value = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+
+  if (!isValid(value)) {
+    throw new Error(`${name} must be ${shape}`);
+  }
+
+  return value;
+};
+
+// { "<digit>": { intent, label: { <language>: text } } }
+const DTMF_MENU_SCHEMA = {
+  shape: '{ "<digit>": { "intent": "...", "label": { "<language>": "..." } } }',
+  isValid: value => isObject(value) && Object.entries(value).every(([digit, option]) => /^[0-9*#]$/.test(digit)
+    && isObject(option)
+    && typeof option.intent === 'string'
+    && (option.label === undefined || isStringMap(option.label))),
+};
+
+// { "<name>": { "<language>": "HX..." } }
+const WHATSAPP_TEMPLATES_SCHEMA = {
+  shape: '{ "<name>": { "<language>": "HX..." } }',
+  isValid: value => isObject(value) && Object.values(value).every(isStringMap),
+};
+
+// { "<intent>": { department, skills: [] } }, department is optional
+const ROUTING_RULES_SCHEMA = {
+  shape: '{ "<intent>": { "department": "..." (optional), "skills": ["..."] } }',
+  isValid: value => isObject(value) && Object.values(value).every(rule => isObject(rule)
+    && (rule.department === undefined || typeof rule.department === 'string')
+    && isStringArray(rule.skills)),
+};
+
 /**
  * Application configuration
  * Centralized configuration management for all services
@@ -23,6 +78,10 @@ const config = {
     port: parseInt(process.env.PORT, 10) || 3000,
     websocketPort: parseInt(process.env.WEBSOCKET_PORT, 10) || 3001,
     host: process.env.HOST || '0.0.0.0',
+    // Twilio signs and calls back this URL: required in production, localhost otherwise
+    publicUrl: process.env.PUBLIC_URL || (process.env.NODE_ENV === 'production'
+      ? undefined
+      : `http://localhost:${parseInt(process.env.PORT, 10) || 3000}`),
   },
 
   // Google Cloud Platform
@@ -43,6 +102,14 @@ const config = {
       'https://www.googleapis.com/auth/drive.readonly',
       'https://www.googleapis.com/auth/calendar.readonly',
       'https://www.googleapis.com/auth/contacts.readonly',
+      // Appointment reminders write the outcome back to the event
+      ...(process.env.APPOINTMENT_REMINDERS_ENABLED === 'true'
+        ? ['https://www.googleapis.com/auth/calendar.events']
+        : []),
+      // Email triage labels messages and saves reply drafts (sent only per EMAIL_TRIAGE_AUTO_SEND_INTENTS)
+      ...(process.env.EMAIL_TRIAGE_ENABLED === 'true'
+        ? ['https://www.googleapis.com/auth/gmail.modify', 'https://www.googleapis.com/auth/gmail.compose']
+        : []),
     ],
   },
 
@@ -52,6 +119,7 @@ const config = {
     authToken: process.env.TWILIO_AUTH_TOKEN,
     phoneNumber: process.env.TWILIO_PHONE_NUMBER,
     twimlAppSid: process.env.TWILIO_TWIML_APP_SID,
+    validateWebhooks: process.env.TWILIO_VALIDATE_WEBHOOKS !== 'false',
   },
 
   // Dialogflow CX
@@ -59,6 +127,7 @@ const config = {
     agentId: process.env.DIALOGFLOW_AGENT_ID,
     location: process.env.DIALOGFLOW_LOCATION || 'europe-west1',
     phoneNumber: process.env.DIALOGFLOW_TELEPHONY_PHONE_NUMBER,
+    webhookSecret: process.env.DIALOGFLOW_WEBHOOK_SECRET,
   },
 
   // OpenAI
@@ -106,6 +175,8 @@ const config = {
   // Security
   security: {
     jwtSecret: process.env.JWT_SECRET,
+    // Back-office integrations (X-API-Key header)
+    apiKey: process.env.API_KEY,
     sessionSecret: process.env.SESSION_SECRET,
     encryptionKey: process.env.ENCRYPTION_KEY,
     allowedOrigins: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
@@ -129,6 +200,8 @@ const config = {
     vectorDimension: parseInt(process.env.VECTOR_DIMENSION, 10) || 1536,
     topK: parseInt(process.env.RAG_TOP_K, 10) || 5,
     similarityThreshold: parseFloat(process.env.RAG_SIMILARITY_THRESHOLD) || 0.7,
+    // Google Drive folder indexed by POST /api/admin/rag/reindex (source 'drive')
+    driveFolderId: process.env.RAG_DRIVE_FOLDER_ID || null,
   },
 
   // Speech Configuration
@@ -146,11 +219,82 @@ const config = {
       speakingRate: parseFloat(process.env.TTS_SPEAKING_RATE) || 1.0,
       pitch: parseFloat(process.env.TTS_PITCH) || 0.0,
     },
+    bargeIn: {
+      enabled: process.env.BARGE_IN_ENABLED !== 'false',
+      energyThreshold: parseInt(process.env.BARGE_IN_ENERGY_THRESHOLD, 10) || 1500,
+      minSpeechMs: parseInt(process.env.BARGE_IN_MIN_SPEECH_MS, 10) || 200,
+    },
+    // First-utterance language detection for unknown callers
+    languageDetection: {
+      enabled: process.env.LANGUAGE_DETECTION_ENABLED === 'true',
+      maxLengthSeconds: parseInt(process.env.LANGUAGE_DETECTION_MAX_LENGTH_SECONDS, 10) || 4,
+    },
+  },
+
+  // Keypad menu offered alongside speech in <Gather>
+  // DTMF_MENU overrides the options as JSON: { "<digit>": { intent, label: { <language>: text } } }
+  dtmfMenu: {
+    enabled: process.env.DTMF_MENU_ENABLED !== 'false',
+    options: parseJsonEnv('DTMF_MENU', DTMF_MENU_SCHEMA, {
+      1: {
+        intent: 'repair_status',
+        label: { 'fr-FR': 'le suivi de votre réparation', 'tr-TR': 'Tamir durumu' },
+      },
+      2: {
+        intent: 'appointment',
+        label: { 'fr-FR': 'prendre rendez-vous', 'tr-TR': 'Randevu' },
+      },
+      0: {
+        intent: 'agent_request',
+        label: { 'fr-FR': 'parler à un conseiller', 'tr-TR': 'Temsilciyle görüşmek' },
+      },
+    }),
   },
 
   // Call Routing & SLA
   routing: {
     maxWaitTime: parseInt(process.env.MAX_WAIT_TIME_SECONDS, 10) || 180,
+    agentRingTimeout: parseInt(process.env.HANDOFF_AGENT_RING_TIMEOUT_SECONDS, 10) || 20,
+    // Agents offered a handoff before the caller is sent to voicemail
+    maxAgentAttempts: parseInt(process.env.HANDOFF_MAX_AGENT_ATTEMPTS, 10) || 3,
+    // Unanswered offers in a row before an online agent is set away
+    missedOffersBeforeAway: parseInt(process.env.AGENT_MISSED_OFFERS_BEFORE_AWAY, 10) || 2,
+    // Callers wait in a per-department <Enqueue> queue while all agents are busy,
+    // after maxWaitTime they are offered a callback or voicemail (overflowAction)
+    queue: {
+      enabled: process.env.QUEUE_ENABLED !== 'false',
+      overflowAction: process.env.QUEUE_OVERFLOW_ACTION || 'callback',
+      secondsPerPosition: parseInt(process.env.QUEUE_SECONDS_PER_POSITION, 10) || 120,
+      // Position is announced again each time it has played: prefer a short clip
+      holdMusicUrl: process.env.QUEUE_HOLD_MUSIC_URL
+        || 'http://com.twilio.music.classical.s3.amazonaws.com/BusyStrings.mp3',
+    },
+    // 'round-robin', 'least-busy' or 'longest-idle'
+    strategy: process.env.ROUTING_STRATEGY || 'least-busy',
+    // Agent skills and department preferred for each intent
+    // ROUTING_RULES overrides them as JSON: { "<intent>": { department (optional), skills: [] } }
+    rules: parseJsonEnv('ROUTING_RULES', ROUTING_RULES_SCHEMA, {
+      technical_support: {
+        department: 'Technical Support',
+        skills: ['Hardware Repair', 'Software Support', 'Diagnostics'],
+      },
+      repair_status: {
+        department: 'Technical Support',
+        skills: ['Hardware Repair', 'Diagnostics', 'Maintenance'],
+      },
+      services: {
+        department: 'Technical Support',
+        skills: ['Hardware Repair', 'Software Support', 'Network Setup'],
+      },
+      pricing: {
+        department: 'Customer Support',
+        skills: ['Billing', 'Customer Service'],
+      },
+      default: {
+        department: 'Customer Support',
+        skills: ['Customer Service', 'General Inquiries'],
+      },
+    }),
     businessHours: {
       start: process.env.BUSINESS_HOURS_START || '09:00',
       end: process.env.BUSINESS_HOURS_END || '18:00',
@@ -175,11 +319,99 @@ const config = {
     googleAnalyticsId: process.env.GOOGLE_ANALYTICS_ID,
   },
 
+  // Callback requests
+  callbacks: {
+    pollIntervalSeconds: parseInt(process.env.CALLBACK_POLL_INTERVAL_SECONDS, 10) || 60,
+    retryDelayMinutes: parseInt(process.env.CALLBACK_RETRY_DELAY_MINUTES, 10) || 30,
+    maxAttempts: parseInt(process.env.CALLBACK_MAX_ATTEMPTS, 10) || 3,
+    // Callbacks still 'calling' after this long lost their status callback
+    staleClaimMinutes: parseInt(process.env.CALLBACK_STALE_CLAIM_MINUTES, 10) || 120,
+  },
+
+  // Appointment reminders: call (or text) attendees leadTimeHours before their appointment
+  reminders: {
+    enabled: process.env.APPOINTMENT_REMINDERS_ENABLED === 'true',
+    calendarId: process.env.APPOINTMENT_REMINDERS_CALENDAR_ID || 'primary',
+    leadTimeHours: parseInt(process.env.APPOINTMENT_REMINDERS_LEAD_TIME_HOURS, 10) || 24,
+    scanIntervalMinutes: parseInt(process.env.APPOINTMENT_REMINDERS_SCAN_INTERVAL_MINUTES, 10) || 15,
+    // 'call', 'sms' or 'whatsapp'
+    channel: process.env.APPOINTMENT_REMINDERS_CHANNEL || 'call',
+    // Text the reminder when the call is not answered
+    smsFallback: process.env.APPOINTMENT_REMINDERS_SMS_FALLBACK !== 'false',
+    // Replies without a decision before staff take over
+    maxTurns: parseInt(process.env.APPOINTMENT_REMINDERS_MAX_TURNS, 10) || 3,
+    notifyEmail: process.env.APPOINTMENT_REMINDERS_NOTIFY_EMAIL,
+  },
+
+  // WhatsApp (Twilio WhatsApp sender)
+  whatsapp: {
+    phoneNumber: process.env.TWILIO_WHATSAPP_NUMBER,
+    // Free-form messages are only allowed this long after the customer's last message,
+    // past it only approved templates can be sent
+    sessionWindowHours: 24,
+    // Approved Content templates: { "<name>": { "<language>": "HX..." } }
+    // appointment_confirmation ({{1}} = appointment time, quick replies confirm/cancel/reschedule)
+    // is used by appointment reminders
+    templates: parseJsonEnv('WHATSAPP_TEMPLATES', WHATSAPP_TEMPLATES_SCHEMA, {}),
+  },
+
+  // Text conversations (SMS, WhatsApp) answered by the orchestrator
+  messaging: {
+    // Inactivity after which the next message starts a new conversation
+    sessionTimeoutMinutes: parseInt(process.env.MESSAGING_SESSION_TIMEOUT_MINUTES, 10) || 120,
+    // Previous messages given to the LLM
+    historyLength: parseInt(process.env.MESSAGING_HISTORY_LENGTH, 10) || 20,
+    notifyEmail: process.env.MESSAGING_NOTIFY_EMAIL,
+  },
+
+  // Website chat (WebSocket on server.websocketPort, widget served at /chat/widget.js)
+  webChat: {
+    // Sites allowed to open the chat ('*' for any)
+    allowedOrigins: process.env.WEB_CHAT_ALLOWED_ORIGINS?.split(',')
+      || process.env.ALLOWED_ORIGINS?.split(',')
+      || ['http://localhost:3000'],
+    maxMessageLength: parseInt(process.env.WEB_CHAT_MAX_MESSAGE_LENGTH, 10) || 1000,
+    messagesPerMinute: parseInt(process.env.WEB_CHAT_MESSAGES_PER_MINUTE, 10) || 10,
+    // Per client IP, whatever visitor ID it presents (offices share an address)
+    messagesPerMinutePerIp: parseInt(process.env.WEB_CHAT_MESSAGES_PER_MINUTE_PER_IP, 10) || 30,
+    // Behind a reverse proxy: take the client IP from the X-Forwarded-For entry it adds
+    trustProxy: process.env.WEB_CHAT_TRUST_PROXY === 'true',
+  },
+
+  // Inbox triage: FAQ emails get a draft reply grounded in the knowledge base, the rest is escalated
+  emailTriage: {
+    enabled: process.env.EMAIL_TRIAGE_ENABLED === 'true',
+    pollIntervalMinutes: parseInt(process.env.EMAIL_TRIAGE_POLL_INTERVAL_MINUTES, 10) || 5,
+    // Gmail search for messages to triage (already triaged ones are excluded by label)
+    query: process.env.EMAIL_TRIAGE_QUERY || 'in:inbox newer_than:3d',
+    maxPerRun: 20,
+    // Intents answered with a draft, the others are escalated
+    answerIntents: process.env.EMAIL_TRIAGE_ANSWER_INTENTS?.split(',')
+      || ['business_hours', 'services', 'pricing', 'location', 'contact', 'general_inquiry'],
+    // Intents whose draft is sent right away, none by default: staff review every draft
+    autoSendIntents: process.env.EMAIL_TRIAGE_AUTO_SEND_INTENTS?.split(',').filter(Boolean) || [],
+    // Parent of the Traité / Brouillon / Répondu / À traiter labels
+    labelPrefix: process.env.EMAIL_TRIAGE_LABEL || 'Secrétaire',
+    notifyEmail: process.env.EMAIL_TRIAGE_NOTIFY_EMAIL,
+  },
+
+  // Voicemail
+  voicemail: {
+    // Synchronous STT accepts up to 60 seconds of audio
+    maxLength: parseInt(process.env.VOICEMAIL_MAX_LENGTH_SECONDS, 10) || 60,
+    finishOnKey: process.env.VOICEMAIL_FINISH_ON_KEY || '#',
+    notifyEmail: process.env.VOICEMAIL_NOTIFY_EMAIL,
+  },
+
   // Call Recording
   recording: {
     enabled: process.env.CALL_RECORDING_ENABLED === 'true',
     retentionDays: parseInt(process.env.CALL_RECORDING_RETENTION_DAYS, 10) || 90,
+    purgeIntervalHours: parseInt(process.env.CALL_RECORDING_PURGE_INTERVAL_HOURS, 10) || 24,
     storageLocation: path.resolve(__dirname, '../../recordings'),
+    // 'local' (storageLocation) or 'gcs' (required for recordings longer than a few minutes)
+    storage: process.env.CALL_RECORDING_STORAGE || 'local',
+    bucket: process.env.CALL_RECORDING_BUCKET,
   },
 };
 
@@ -188,6 +420,7 @@ const requiredConfigs = {
   development: ['gcp.projectId'],
   production: [
     'gcp.projectId',
+    'server.publicUrl',
     'database.url',
     'security.jwtSecret',
     'security.sessionSecret',
@@ -0,0 +1,198 @@
+import callModel from '../models/call.model.js';
+import intentModel from '../models/intent.model.js';
+import ragQueryModel from '../models/rag-query.model.js';
+import agentModel from '../models/agent.model.js';
+import reindexJobModel from '../models/reindex-job.model.js';
+import reindexService, { REINDEX_SOURCES } from '../services/rag/reindex.service.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Admin Controller
+ * Back office metrics and knowledge base maintenance
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const AGENT_STATUSES = ['online', 'busy', 'away', 'offline'];
+const DEFAULT_PERIOD_DAYS = 30;
+const TOP_INTENTS = 10;
+
+const sendError = (res, status, code, message) => res.status(status).json({
+  error: { code, message },
+});
+
+/**
+ * Share of `count` in `total`, 4 decimals (null without data)
+ */
+const ratio = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : null);
+
+/**
+ * "5 minutes" from a duration in seconds
+ */
+const formatDuration = (seconds) => {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  return `${minutes} minute${minutes > 1 ? 's' : ''}`;
+};
+
+/**
+ * Metrics period from ?from and ?to (default: the last 30 days), or { error }
+ */
+const parsePeriod = (query) => {
+  for (const name of ['from', 'to']) {
+    if (query[name] && Number.isNaN(Date.parse(query[name]))) {
+      return { error: `${name} must be an ISO 8601 date` };
+    }
+  }
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_PERIOD_DAYS * 24 * 3600 * 1000);
+
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  return { from, to };
+};
+
+/**
+ * Job progress as documented
+ */
+const formatJob = job => ({
+  jobId: job.id,
+  source: job.source,
+  fullReindex: job.fullReindex,
+  status: job.status,
+  total: job.total,
+  processed: job.processed,
+  failed: job.failed,
+  progress: job.total ? ratio(job.processed, job.total) : null,
+  errors: job.errors,
+  error: job.error,
+  startedBy: job.startedBy,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+});
+
+/**
+ * Calls, intents, knowledge base and agent metrics over a period
+ */
+export const getMetrics = async (req, res) => {
+  try {
+    const period = parsePeriod(req.query);
+
+    if (period.error) {
+      return sendError(res, 400, 'BAD_REQUEST', period.error);
+    }
+
+    const [calls, topIntents, rag, agents] = await Promise.all([
+      callModel.getStats(period.from, period.to),
+      intentModel.findTop(period.from, period.to, TOP_INTENTS),
+      ragQueryModel.getStats(period.from, period.to),
+      agentModel.findAll(),
+    ]);
+
+    const agentCounts = Object.fromEntries(AGENT_STATUSES.map(status => [status, 0]));
+    agents.forEach((agent) => {
+      agentCounts[agent.status] = (agentCounts[agent.status] || 0) + 1;
+    });
+
+    res.json({
+      period: { from: period.from, to: period.to },
+      calls: {
+        total: calls.total,
+        today: calls.today,
+        inProgress: calls.inProgress,
+        avgDuration: calls.avgHandleTime,
+        containmentRate: ratio(calls.contained, calls.inboundCompleted),
+        handoffRate: ratio(calls.handedOff, calls.inbound),
+        byDay: calls.byDay,
+      },
+      intents: {
+        topIntents,
+      },
+      rag: {
+        totalQueries: rag.totalQueries,
+        avgConfidence: rag.avgConfidence !== null ? Math.round(rag.avgConfidence * 10000) / 10000 : null,
+        hitRate: rag.hitRate !== null ? Math.round(rag.hitRate * 10000) / 10000 : null,
+      },
+      agents: agentCounts,
+    });
+  } catch (error) {
+    logger.error('Get metrics error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Start reindexing the knowledge base in the background
+ */
+export const startReindex = async (req, res) => {
+  try {
+    const { source = 'drive', fullReindex = false } = req.body || {};
+    const folderId = req.body?.folderId || config.rag.driveFolderId;
+
+    if (!REINDEX_SOURCES.includes(source)) {
+      return sendError(res, 400, 'BAD_REQUEST', `source must be one of: ${REINDEX_SOURCES.join(', ')}`);
+    }
+
+    if (typeof fullReindex !== 'boolean') {
+      return sendError(res, 400, 'BAD_REQUEST', 'fullReindex must be a boolean');
+    }
+
+    if (source === 'drive' && !folderId) {
+      return sendError(res, 400, 'BAD_REQUEST', 'folderId is required (or set RAG_DRIVE_FOLDER_ID)');
+    }
+
+    const started = await reindexService.start({
+      source,
+      fullReindex,
+      folderId: source === 'drive' ? folderId : null,
+      startedBy: req.user.id,
+    });
+
+    if (!started) {
+      const running = await reindexJobModel.findRunning();
+      return sendError(res, 409, 'CONFLICT', running
+        ? `Reindex job ${running.id} is already running`
+        : 'A reindex job is already running');
+    }
+
+    res.status(202).json({
+      status: 'started',
+      jobId: started.job.id,
+      estimatedTime: started.estimatedSeconds !== null ? formatDuration(started.estimatedSeconds) : null,
+    });
+  } catch (error) {
+    logger.error('Start reindex error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Progress of a reindex job
+ */
+export const getReindexJob = async (req, res) => {
+  try {
+    const job = UUID_PATTERN.test(req.params.jobId)
+      ? await reindexJobModel.findById(req.params.jobId)
+      : null;
+
+    if (!job) {
+      return sendError(res, 404, 'NOT_FOUND', 'Reindex job not found');
+    }
+
+    res.json(formatJob(job));
+  } catch (error) {
+    logger.error('Get reindex job error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+export default {
+  getMetrics,
+  startReindex,
+  getReindexJob,
+};
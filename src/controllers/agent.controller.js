@@ -0,0 +1,138 @@
+import presenceService, { AGENT_STATUSES } from '../services/calls/presence.service.js';
+import agentModel from '../models/agent.model.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Agent Controller
+ * Agent presence (online/away/busy/offline) and the live status board
+ */
+
+export const AGENT_BOARD_PATH = '/api/agents/board';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const sendError = (res, status, code, message) => res.status(status).json({
+  error: { code, message },
+});
+
+/**
+ * List agents with their status and current call
+ */
+export const listAgents = async (req, res) => {
+  try {
+    res.json({ agents: await presenceService.listAgents() });
+  } catch (error) {
+    logger.error('List agents error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * The authenticated agent
+ */
+export const getMe = async (req, res) => {
+  try {
+    const agent = req.user.id && UUID_PATTERN.test(req.user.id)
+      ? await agentModel.findById(req.user.id)
+      : null;
+
+    if (!agent) {
+      return sendError(res, 404, 'NOT_FOUND', 'Agent not found');
+    }
+
+    res.json({ agent });
+  } catch (error) {
+    logger.error('Get agent error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Set presence status - PUT /me/status for oneself, PUT /:id/status for admins
+ */
+export const updateStatus = async (req, res) => {
+  try {
+    const agentId = req.params.id || req.user.id;
+    const { status } = req.body || {};
+
+    if (!AGENT_STATUSES.includes(status)) {
+      return sendError(res, 400, 'INVALID_STATUS', `status must be one of: ${AGENT_STATUSES.join(', ')}`);
+    }
+
+    const agent = agentId && UUID_PATTERN.test(agentId)
+      ? await presenceService.setStatus(agentId, status, req.params.id ? 'admin' : 'agent')
+      : null;
+
+    if (!agent) {
+      return sendError(res, 404, 'NOT_FOUND', 'Agent not found');
+    }
+
+    res.json({ agent });
+  } catch (error) {
+    logger.error('Update agent status error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Live board WebSocket
+ * Sends a snapshot, then every agent change. Agents can set their own
+ * status with { "type": "status", "status": "away" }.
+ */
+export const handleAgentBoard = async (ws, req) => {
+  const user = req.user;
+
+  const send = (payload) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  };
+
+  const onAgent = (agent) => send({ type: 'agent', agent });
+
+  presenceService.on('agent', onAgent);
+
+  ws.on('close', () => {
+    presenceService.off('agent', onAgent);
+  });
+
+  ws.on('message', async (message) => {
+    try {
+      const data = JSON.parse(message);
+
+      if (data.type !== 'status') {
+        return;
+      }
+
+      if (!user.id || !AGENT_STATUSES.includes(data.status)) {
+        send({ type: 'error', message: 'Invalid status update' });
+        return;
+      }
+
+      await presenceService.setStatus(user.id, data.status, 'agent');
+    } catch (error) {
+      logger.error('Agent board message error:', error);
+      send({ type: 'error', message: 'Could not process message' });
+    }
+  });
+
+  ws.on('error', (error) => {
+    logger.error('Agent board socket error:', error);
+  });
+
+  logger.info('Agent board connected', { userId: user.id, role: user.role });
+
+  try {
+    send({ type: 'snapshot', agents: await presenceService.listAgents() });
+  } catch (error) {
+    logger.error('Agent board snapshot error:', error);
+    ws.close(1011, 'Snapshot failed');
+  }
+};
+
+export default {
+  listAgents,
+  getMe,
+  updateStatus,
+  handleAgentBoard,
+};
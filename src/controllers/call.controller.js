@@ -0,0 +1,299 @@
+import callModel, { CALL_STATUSES, SORT_COLUMNS } from '../models/call.model.js';
+import transcriptModel from '../models/transcript.model.js';
+import intentModel from '../models/intent.model.js';
+import handoffModel from '../models/handoff.model.js';
+import conversationModel from '../models/conversation.model.js';
+import recordingService from '../services/calls/recording.service.js';
+import recordingStorageService from '../services/storage/recording-storage.service.js';
+import logger from '../utils/logger.js';
+import { normalizePhoneNumber } from '../utils/security.js';
+
+/**
+ * Call Controller
+ * Call history for the back office: list, details and transcripts
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DIRECTIONS = ['inbound', 'outbound'];
+const EXPANSIONS = ['transcript', 'intents', 'handoff', 'conversations'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const sendError = (res, status, code, message) => res.status(status).json({
+  error: { code, message },
+});
+
+const toList = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Validate the list query, returns { filters, page, expand } or { error }
+ */
+export const parseListQuery = (query) => {
+  const statuses = toList(query.status);
+  const expand = toList(query.expand);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  const sort = query.sort || 'startTime';
+  const order = (query.order || 'desc').toLowerCase();
+
+  const invalidStatus = statuses.find(status => !CALL_STATUSES.includes(status));
+  if (invalidStatus) {
+    return { error: `Unknown status: ${invalidStatus}` };
+  }
+
+  if (query.direction && !DIRECTIONS.includes(query.direction)) {
+    return { error: `direction must be one of: ${DIRECTIONS.join(', ')}` };
+  }
+
+  for (const name of ['from', 'to']) {
+    if (query[name] && Number.isNaN(Date.parse(query[name]))) {
+      return { error: `${name} must be an ISO 8601 date` };
+    }
+  }
+
+  if (query.handedOff && !['true', 'false'].includes(query.handedOff)) {
+    return { error: 'handedOff must be true or false' };
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a positive integer' };
+  }
+
+  if (!SORT_COLUMNS[sort] || !['asc', 'desc'].includes(order)) {
+    return { error: `sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}, order asc or desc` };
+  }
+
+  const invalidExpansion = expand.find(name => !EXPANSIONS.includes(name));
+  if (invalidExpansion) {
+    return { error: `expand must be among: ${EXPANSIONS.join(', ')}` };
+  }
+
+  return {
+    filters: {
+      statuses,
+      direction: query.direction || null,
+      from: query.from ? new Date(query.from) : null,
+      to: query.to ? new Date(query.to) : null,
+      fromNumber: query.fromNumber ? normalizePhoneNumber(String(query.fromNumber).trim()) : null,
+      intent: query.intent || null,
+      handedOff: query.handedOff ? query.handedOff === 'true' : null,
+    },
+    page: { limit, offset, sort, order },
+    expand,
+  };
+};
+
+/**
+ * Transcript entry as documented
+ */
+const formatTranscriptEntry = entry => ({
+  speaker: entry.speaker,
+  text: entry.text,
+  timestamp: entry.timestamp,
+  language: entry.language,
+  confidence: entry.confidence,
+});
+
+/**
+ * Intent as documented
+ */
+const formatIntent = intent => ({
+  name: intent.name,
+  confidence: intent.confidence,
+  slots: intent.slots,
+  fulfilled: intent.fulfilled,
+  createdAt: intent.createdAt,
+});
+
+/**
+ * Call summary as documented
+ */
+const formatCall = call => ({
+  id: call.id,
+  callSid: call.callSid,
+  fromNumber: call.fromNumber,
+  toNumber: call.toNumber,
+  direction: call.direction,
+  status: call.status,
+  duration: call.duration,
+  startTime: call.startTime,
+  endTime: call.endTime,
+});
+
+/**
+ * Customer's phone number: the caller, or the number a callback dialled
+ */
+const getCustomerNumber = call => (call.direction === 'outbound' ? call.toNumber : call.fromNumber);
+
+/**
+ * Conversation summary as documented
+ */
+const formatConversation = conversation => ({
+  id: conversation.id,
+  channel: conversation.channel,
+  status: conversation.status,
+  lastMessageAt: conversation.lastMessageAt,
+});
+
+/**
+ * Add the requested related records, one query per kind for the whole page
+ */
+const expandCalls = async (calls, expand) => {
+  const ids = calls.map(call => call.id);
+
+  if (!ids.length || !expand.length) {
+    return calls.map(formatCall);
+  }
+
+  const [transcripts, intents, handoffs, conversations] = await Promise.all([
+    expand.includes('transcript') ? transcriptModel.findByCallIds(ids) : null,
+    expand.includes('intents') ? intentModel.findByCallIds(ids) : null,
+    expand.includes('handoff') ? handoffModel.findLatestByCallIds(ids) : null,
+    expand.includes('conversations')
+      ? conversationModel.findByPhoneNumbers([...new Set(calls.map(getCustomerNumber))])
+      : null,
+  ]);
+
+  return calls.map(call => ({
+    ...formatCall(call),
+    ...(transcripts && { transcript: (transcripts[call.id] || []).map(formatTranscriptEntry) }),
+    ...(intents && { intents: (intents[call.id] || []).map(formatIntent) }),
+    ...(handoffs && { handoff: handoffs[call.id] || null }),
+    ...(conversations && {
+      conversations: (conversations[getCustomerNumber(call)] || []).map(formatConversation),
+    }),
+  }));
+};
+
+/**
+ * Load the call named in the URL
+ */
+const loadCall = async (req, res) => {
+  const call = UUID_PATTERN.test(req.params.id)
+    ? await callModel.findById(req.params.id)
+    : null;
+
+  if (!call) {
+    sendError(res, 404, 'NOT_FOUND', 'Call not found');
+    return null;
+  }
+
+  return call;
+};
+
+/**
+ * List calls - filters, pagination, sorting and ?expand=transcript,intents,handoff
+ */
+export const listCalls = async (req, res) => {
+  try {
+    const parsed = parseListQuery(req.query);
+
+    if (parsed.error) {
+      return sendError(res, 400, 'BAD_REQUEST', parsed.error);
+    }
+
+    const { calls, total } = await callModel.findAll(parsed.filters, parsed.page);
+
+    res.json({
+      calls: await expandCalls(calls, parsed.expand),
+      total,
+      limit: parsed.page.limit,
+      offset: parsed.page.offset,
+    });
+  } catch (error) {
+    logger.error('List calls error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Get a call with its transcript, intents and latest handoff
+ */
+export const getCall = async (req, res) => {
+  try {
+    const call = await loadCall(req, res);
+
+    if (!call) {
+      return;
+    }
+
+    const [expanded] = await expandCalls([call], EXPANSIONS);
+
+    res.json({
+      ...expanded,
+      // Stored copies are served by GET /api/calls/:id/recording
+      recordingUrl: call.metadata?.recording?.uri
+        ? recordingService.getDownloadUrl(call.id)
+        : call.recordingUrl,
+    });
+  } catch (error) {
+    logger.error('Get call error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Get the transcript of a call
+ */
+export const getCallTranscript = async (req, res) => {
+  try {
+    const call = await loadCall(req, res);
+
+    if (!call) {
+      return;
+    }
+
+    const transcript = await transcriptModel.findByCallId(call.id);
+
+    res.json({
+      callId: call.id,
+      transcript: transcript.map(formatTranscriptEntry),
+    });
+  } catch (error) {
+    logger.error('Get call transcript error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Download the stored recording of a call (WAV)
+ */
+export const getCallRecording = async (req, res) => {
+  try {
+    const call = await loadCall(req, res);
+
+    if (!call) {
+      return;
+    }
+
+    const uri = call.metadata?.recording?.uri;
+
+    if (!uri) {
+      return sendError(res, 404, 'NOT_FOUND', 'Recording not found');
+    }
+
+    const audio = await recordingStorageService.read(uri);
+
+    res.set({
+      'Content-Type': 'audio/wav',
+      'Content-Disposition': `attachment; filename="${call.callSid}.wav"`,
+      'Cache-Control': 'private, no-store',
+    });
+    res.send(audio);
+  } catch (error) {
+    logger.error('Get call recording error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+export default {
+  listCalls,
+  getCall,
+  getCallTranscript,
+  getCallRecording,
+};
@@ -0,0 +1,150 @@
+import messagingService from '../services/messaging/messaging.service.js';
+import conversationModel from '../models/conversation.model.js';
+import callModel from '../models/call.model.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Conversation Controller
+ * Staff read and answer the text conversations handed over to them
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Channels where the contact is a phone number, linked to the customer's calls
+const PHONE_CHANNELS = ['sms', 'whatsapp'];
+
+const sendError = (res, status, code, message) => res.status(status).json({
+  error: { code, message },
+});
+
+/**
+ * Load the conversation named in the URL
+ */
+const loadConversation = async (req, res) => {
+  const conversation = UUID_PATTERN.test(req.params.id)
+    ? await conversationModel.findById(req.params.id)
+    : null;
+
+  if (!conversation) {
+    sendError(res, 404, 'NOT_FOUND', 'Conversation not found');
+    return null;
+  }
+
+  return conversation;
+};
+
+/**
+ * Get a conversation with its messages, and the calls of the same phone number
+ */
+export const getConversation = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+
+    if (conversation) {
+      const [messages, calls] = await Promise.all([
+        conversationModel.getMessages(conversation.id, 200),
+        PHONE_CHANNELS.includes(conversation.channel)
+          ? callModel.findByCustomerNumber(conversation.contact)
+          : [],
+      ]);
+
+      res.json({
+        conversation,
+        messages,
+        calls: calls.map(call => ({
+          id: call.id,
+          direction: call.direction,
+          status: call.status,
+          startTime: call.startTime,
+          duration: call.duration,
+        })),
+      });
+    }
+  } catch (error) {
+    logger.error('Get conversation error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Reply to the customer - the assistant stops answering
+ * Body: { text } or, on WhatsApp, { template, variables } (required past the session window)
+ */
+export const replyToConversation = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+
+    if (!conversation) {
+      return;
+    }
+
+    const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+    const template = typeof req.body?.template === 'string' ? req.body.template : null;
+    const variables = req.body?.variables || {};
+
+    if (template) {
+      if (conversation.channel !== 'whatsapp') {
+        return sendError(res, 400, 'BAD_REQUEST', 'Templates are only available on WhatsApp');
+      }
+
+      if (!config.whatsapp.templates[template]) {
+        return sendError(res, 400, 'BAD_REQUEST', `Unknown template: ${template}`);
+      }
+
+      if (typeof variables !== 'object' || Array.isArray(variables)) {
+        return sendError(res, 400, 'BAD_REQUEST', 'variables must be an object');
+      }
+    } else if (!text) {
+      return sendError(res, 400, 'BAD_REQUEST', 'text is required');
+    } else if (!(await messagingService.isSessionOpen(conversation))) {
+      return sendError(res, 409, 'SESSION_EXPIRED', 'The customer has not written in the last '
+        + `${config.whatsapp.sessionWindowHours} hours, send a template instead`);
+    }
+
+    const message = await messagingService.replyAsAgent(
+      conversation.id,
+      { text, template, variables },
+      req.user.id
+    );
+
+    if (!message) {
+      return sendError(res, 409, 'CONFLICT', 'Conversation is closed');
+    }
+
+    res.status(201).json({ message });
+  } catch (error) {
+    logger.error('Reply to conversation error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Close - the customer's next message starts a new conversation with the assistant
+ */
+export const closeConversation = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+
+    if (!conversation) {
+      return;
+    }
+
+    const closed = await messagingService.close(conversation.id);
+
+    if (!closed) {
+      return sendError(res, 409, 'CONFLICT', 'Conversation is already closed');
+    }
+
+    res.json({ conversation: closed });
+  } catch (error) {
+    logger.error('Close conversation error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+export default {
+  getConversation,
+  replyToConversation,
+  closeConversation,
+};
@@ -0,0 +1,124 @@
+import transferService from '../services/calls/transfer.service.js';
+import handoffModel from '../models/handoff.model.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handoff Controller
+ * Agents accept, reject and complete the calls handed over to them
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const sendError = (res, status, code, message) => res.status(status).json({
+  error: { code, message },
+});
+
+/**
+ * Load the handoff and check it is offered to the authenticated agent
+ */
+const loadHandoff = async (req, res) => {
+  const handoff = UUID_PATTERN.test(req.params.id)
+    ? await handoffModel.findById(req.params.id)
+    : null;
+
+  if (!handoff) {
+    sendError(res, 404, 'NOT_FOUND', 'Handoff not found');
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && handoff.agentId !== req.user.id) {
+    sendError(res, 403, 'FORBIDDEN', 'Handoff is assigned to another agent');
+    return null;
+  }
+
+  return handoff;
+};
+
+/**
+ * Get a handoff with its context
+ */
+export const getHandoff = async (req, res) => {
+  try {
+    const handoff = await loadHandoff(req, res);
+
+    if (handoff) {
+      res.json({ handoff });
+    }
+  } catch (error) {
+    logger.error('Get handoff error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Accept - connect the agent to the waiting caller
+ */
+export const acceptHandoff = async (req, res) => {
+  try {
+    const handoff = await loadHandoff(req, res);
+
+    if (!handoff) {
+      return;
+    }
+
+    if (!await transferService.acceptHandoff(handoff.id)) {
+      return sendError(res, 409, 'CONFLICT', 'Handoff is no longer waiting for this agent');
+    }
+
+    res.json({ handoff: await handoffModel.findById(handoff.id) });
+  } catch (error) {
+    logger.error('Accept handoff error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Reject - the call is offered to the next available agent
+ */
+export const rejectHandoff = async (req, res) => {
+  try {
+    const handoff = await loadHandoff(req, res);
+
+    if (!handoff) {
+      return;
+    }
+
+    if (!await transferService.rejectHandoff(handoff.id)) {
+      return sendError(res, 409, 'CONFLICT', 'Handoff is no longer waiting for this agent');
+    }
+
+    res.json({ handoff: await handoffModel.findById(handoff.id) });
+  } catch (error) {
+    logger.error('Reject handoff error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+/**
+ * Complete - the agent is done with the caller
+ */
+export const completeHandoff = async (req, res) => {
+  try {
+    const handoff = await loadHandoff(req, res);
+
+    if (!handoff) {
+      return;
+    }
+
+    if (!await transferService.completeHandoff(handoff.id)) {
+      return sendError(res, 409, 'CONFLICT', 'Only accepted handoffs can be completed');
+    }
+
+    res.json({ handoff: await handoffModel.findById(handoff.id) });
+  } catch (error) {
+    logger.error('Complete handoff error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+};
+
+export default {
+  getHandoff,
+  acceptHandoff,
+  rejectHandoff,
+  completeHandoff,
+};
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { RateLimiterMemory } from 'rate-limiter-flexible';
+import messagingService from '../services/messaging/messaging.service.js';
+import languageService from '../services/calls/language.service.js';
+import conversationModel from '../models/conversation.model.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Web Chat Controller
+ * Website visitors chat with the virtual secretary over a WebSocket
+ * (server.websocketPort), same answers and handoff as SMS and WhatsApp
+ */
+
+export const WEB_CHAT_PATH = '/chat';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const visitorLimiter = new RateLimiterMemory({
+  points: config.webChat.messagesPerMinute,
+  duration: 60,
+});
+
+// Visitor IDs are chosen by the client: a new one must not bring a new quota
+const ipLimiter = new RateLimiterMemory({
+  points: config.webChat.messagesPerMinutePerIp,
+  duration: 60,
+});
+
+/**
+ * Address of the visitor (the entry our reverse proxy appended, when trusted)
+ */
+const getClientIp = (req) => {
+  const forwarded = config.webChat.trustProxy ? req.headers['x-forwarded-for'] : null;
+
+  return forwarded ? forwarded.split(',').pop().trim() : req.socket.remoteAddress;
+};
+
+/**
+ * What the widget shows of a message
+ */
+const formatMessage = (message) => ({
+  id: message.id,
+  sender: message.sender,
+  body: message.body,
+  sources: message.metadata?.sources || [],
+  createdAt: message.createdAt,
+});
+
+/**
+ * Web chat WebSocket - ws://host:WEBSOCKET_PORT/chat?visitor=<uuid>&language=fr
+ *
+ * The widget keeps the visitor ID it is given and sends it back on reconnect to resume the
+ * conversation. It sends { "type": "message", "text": "..." } and { "type": "escalate" },
+ * and receives "session" (history), "token" (streamed answer), "message", "status" and "error".
+ */
+export const handleWebChat = async (ws, req) => {
+  const visitorId = UUID_PATTERN.test(req.query.visitor || '') ? req.query.visitor : crypto.randomUUID();
+  const language = languageService.toSupportedLanguage(req.query.language);
+  const clientIp = getClientIp(req);
+  let busy = false;
+
+  const send = (payload) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  };
+
+  const isMine = (conversation) => conversation.channel === 'webchat' && conversation.contact === visitorId;
+
+  // Assistant and staff messages, also those sent from another tab or the conversations API
+  const onMessage = (conversation, message) => {
+    if (isMine(conversation)) {
+      send({ type: 'message', message: formatMessage(message) });
+    }
+  };
+
+  const onConversation = (conversation) => {
+    if (isMine(conversation)) {
+      send({ type: 'status', status: conversation.status });
+    }
+  };
+
+  messagingService.on('message', onMessage);
+  messagingService.on('conversation', onConversation);
+
+  ws.on('close', () => {
+    messagingService.off('message', onMessage);
+    messagingService.off('conversation', onConversation);
+  });
+
+  ws.on('message', async (raw) => {
+    try {
+      const data = JSON.parse(raw);
+
+      if (data.type === 'escalate') {
+        await messagingService.requestHuman('webchat', visitorId, language);
+        return;
+      }
+
+      if (data.type !== 'message') {
+        return;
+      }
+
+      const text = typeof data.text === 'string' ? data.text.trim() : '';
+
+      if (!text || text.length > config.webChat.maxMessageLength) {
+        send({ type: 'error', code: 'INVALID_MESSAGE', message: 'Message is empty or too long' });
+        return;
+      }
+
+      // One answer at a time per window
+      if (busy) {
+        send({ type: 'error', code: 'BUSY', message: 'Please wait for the answer' });
+        return;
+      }
+
+      try {
+        await ipLimiter.consume(clientIp);
+        await visitorLimiter.consume(visitorId);
+      } catch {
+        send({ type: 'error', code: 'RATE_LIMITED', message: 'Too many messages, please wait a moment' });
+        return;
+      }
+
+      busy = true;
+
+      try {
+        await messagingService.handleIncoming('webchat', { from: visitorId, body: text, language }, {
+          onToken: (token) => send({ type: 'token', token }),
+        });
+      } finally {
+        busy = false;
+      }
+    } catch (error) {
+      logger.error('Web chat message error:', error);
+      send({ type: 'error', code: 'INTERNAL_ERROR', message: 'Could not process message' });
+    }
+  });
+
+  ws.on('error', (error) => {
+    logger.error('Web chat socket error:', error);
+  });
+
+  logger.info('Web chat connected', { visitorId, origin: req.headers.origin });
+
+  try {
+    const conversation = await conversationModel.findOpen(
+      'webchat',
+      visitorId,
+      config.messaging.sessionTimeoutMinutes
+    );
+
+    send({
+      type: 'session',
+      visitorId,
+      status: conversation?.status || 'active',
+      messages: conversation
+        ? (await conversationModel.getMessages(conversation.id, config.messaging.historyLength)).map(formatMessage)
+        : [],
+    });
+  } catch (error) {
+    logger.error('Web chat session error:', error);
+    ws.close(1011, 'Session failed');
+  }
+};
+
+export default {
+  handleWebChat,
+};
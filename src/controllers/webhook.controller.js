@@ -1,5 +1,19 @@
 import twilioService from '../services/telephony/twilio.service.js';
 import dialogflowService from '../services/telephony/dialogflow.service.js';
+import orchestratorService from '../services/llm/orchestrator.service.js';
+import callModel, { TERMINAL_STATUSES } from '../models/call.model.js';
+import conversationLogService from '../services/calls/conversation-log.service.js';
+import mediaStreamService from '../services/telephony/media-stream.service.js';
+import voicemailService from '../services/calls/voicemail.service.js';
+import callbackService, { isMachineAnswer } from '../services/calls/callback.service.js';
+import languageService from '../services/calls/language.service.js';
+import postCallService from '../services/calls/post-call.service.js';
+import recordingService from '../services/calls/recording.service.js';
+import transferService from '../services/calls/transfer.service.js';
+import queueService from '../services/calls/queue.service.js';
+import reminderService from '../services/calls/reminder.service.js';
+import messagingService from '../services/messaging/messaging.service.js';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { normalizePhoneNumber } from '../utils/security.js';
 
@@ -8,12 +22,46 @@ import { normalizePhoneNumber } from '../utils/security.js';
  * Handle incoming webhooks from Twilio and Dialogflow
  */
 
+const SUPPORTED_LANGUAGES = ['fr-FR', 'tr-TR'];
+
+export const MEDIA_STREAM_PATH = '/api/webhooks/twilio/media-stream';
+
+/**
+ * Conversation language carried in webhook URLs (?language=tr-TR)
+ */
+const getRequestLanguage = (req) => {
+  return SUPPORTED_LANGUAGES.includes(req.query.language)
+    ? req.query.language
+    : 'fr-FR';
+};
+
+/**
+ * Keypad menu option for the pressed digit
+ */
+const getMenuOption = (digits) => {
+  return config.dtmfMenu.enabled ? config.dtmfMenu.options[digits] || null : null;
+};
+
+/**
+ * First TwiML of the conversation once the language is known
+ * Realtime mode streams audio over WebSocket, otherwise use <Gather> round-trips
+ */
+const createCallStartResponse = (language, from) => {
+  return config.features.enableRealtimeLLM
+    ? twilioService.createMediaStreamResponse(
+      `${config.server.publicUrl.replace(/^http/, 'ws')}${MEDIA_STREAM_PATH}`,
+      language,
+      { from }
+    )
+    : twilioService.createGreetingResponse(language);
+};
+
 /**
  * Twilio Voice Webhook - Initial call
  */
 export const twilioVoiceWebhook = async (req, res) => {
   try {
-    const { CallSid, From, To, CallStatus } = req.body;
+    const { CallSid, From, To, CallStatus, Direction } = req.body;
 
     logger.logCall('inbound_call', {
       callSid: CallSid,
@@ -22,46 +70,246 @@ export const twilioVoiceWebhook = async (req, res) => {
       status: CallStatus,
     });
 
-    // TODO: Save call to database
-    // TODO: Detect language from caller's location or previous calls
+    // Idempotent: Twilio retries and the greeting redirect hit this webhook again
+    try {
+      await callModel.create({
+        callSid: CallSid,
+        from: From,
+        to: To,
+        direction: Direction,
+        status: CallStatus,
+      });
+    } catch (error) {
+      // A database outage must not prevent answering the call
+      logger.error('Failed to persist inbound call:', error);
+    }
 
-    const language = 'fr-FR'; // Default to French
+    // First request of an inbound call (redirects come back 'in-progress')
+    if (config.recording.enabled && CallStatus === 'ringing') {
+      res.on('finish', () => recordingService.startCallRecording(CallSid));
+    }
+
+    // On outbound calls (/twilio/outbound) the customer is the callee
+    const customer = Direction?.startsWith('outbound') ? To : From;
 
-    // Create greeting TwiML response
-    const twiml = twilioService.createGreetingResponse(language);
+    const resolved = await languageService.resolveCallerLanguage({ callSid: CallSid, from: customer });
 
     res.type('text/xml');
-    res.send(twiml);
+
+    if (!resolved) {
+      // Unknown caller: let them tell us
+      return res.send(
+        twilioService.createLanguageSelectionResponse(config.speech.languageDetection.enabled)
+      );
+    }
+
+    await languageService.setCallLanguage(CallSid, resolved.language, resolved.source);
+
+    res.send(createCallStartResponse(resolved.language, From));
   } catch (error) {
     logger.error('Twilio voice webhook error:', error);
     res.status(500).send('Internal Server Error');
   }
 };
 
+/**
+ * Twilio Stream Fallback - the media stream handed the call back to TwiML
+ * (speech recognition failed, or the caller needs an agent)
+ */
+export const twilioStreamFallbackWebhook = async (req, res) => {
+  try {
+    const language = getRequestLanguage(req);
+    const { mode, intent, reason, say } = req.query;
+
+    logger.logCall('media_stream_fallback', {
+      callSid: req.body.CallSid,
+      mode,
+      intent,
+    });
+
+    res.type('text/xml');
+
+    if (mode === 'handoff') {
+      return res.send(twilioService.createIntentResponse(
+        { name: intent || null, requiresHandoff: true, handoffReason: reason || null },
+        say || '',
+        language
+      ));
+    }
+
+    if (mode === 'listen') {
+      return res.send(twilioService.createIntentResponse(
+        { requiresHandoff: false },
+        language === 'tr-TR' ? 'Sizi dinliyorum.' : 'Je vous écoute.',
+        language
+      ));
+    }
+
+    res.send(twilioService.createGreetingResponse(language));
+  } catch (error) {
+    logger.error('Twilio stream fallback webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Language Webhook - keypad choice (1 français, 2 Türkçe)
+ */
+export const twilioLanguageWebhook = async (req, res) => {
+  try {
+    const { CallSid, From, Digits } = req.body;
+    const language = Digits === '2' ? 'tr-TR' : 'fr-FR';
+
+    logger.logCall('language_selected', {
+      callSid: CallSid,
+      digits: Digits,
+      language,
+    });
+
+    // No digit means the caller let the menu time out: keep the default
+    await languageService.setCallLanguage(CallSid, language, Digits ? 'dtmf' : 'default');
+
+    res.type('text/xml');
+    res.send(createCallStartResponse(language, From));
+  } catch (error) {
+    logger.error('Twilio language webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Language Menu Webhook - keypad fallback when detection is not possible
+ */
+export const twilioLanguageMenuWebhook = async (req, res) => {
+  try {
+    res.type('text/xml');
+    res.send(twilioService.createLanguageMenuResponse());
+  } catch (error) {
+    logger.error('Twilio language menu webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Language Detect Webhook - <Record> action with the caller's first words
+ */
+export const twilioLanguageDetectWebhook = async (req, res) => {
+  const { CallSid, From, RecordingUrl } = req.body;
+
+  let language = null;
+
+  try {
+    language = RecordingUrl
+      ? await languageService.detectFromRecording(RecordingUrl)
+      : null;
+  } catch (error) {
+    logger.error('First utterance language detection failed:', error);
+  }
+
+  try {
+    res.type('text/xml');
+
+    if (!language) {
+      return res.send(twilioService.createLanguageMenuResponse());
+    }
+
+    logger.logCall('language_detected', { callSid: CallSid, language });
+
+    await languageService.setCallLanguage(CallSid, language, 'speech');
+
+    res.send(createCallStartResponse(language, From));
+  } catch (error) {
+    logger.error('Twilio language detect webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
 /**
  * Twilio Speech Webhook - Handle speech input
  */
 export const twilioSpeechWebhook = async (req, res) => {
+  // When the caller spoke, before the orchestrator's latency
+  const userTimestamp = Date.now();
+
   try {
-    const { CallSid, SpeechResult, Confidence } = req.body;
+    const { CallSid, SpeechResult, Confidence, Digits, From } = req.body;
+    const language = getRequestLanguage(req);
 
     logger.info('Speech received', {
       callSid: CallSid,
       text: SpeechResult,
+      digits: Digits,
       confidence: Confidence,
+      language,
     });
 
-    // TODO: Process speech with LLM/Intent detector
-    // TODO: Query RAG system for relevant information
-    // TODO: Determine if handoff is needed
+    // A keypad choice stands for the menu entry's request and intent
+    const menuOption = Digits ? getMenuOption(Digits) : null;
+    const userText = menuOption
+      ? menuOption.label?.[language] || menuOption.intent
+      : SpeechResult;
 
-    // For now, create a simple response
-    const intent = {
-      requiresHandoff: false,
-    };
+    // Nothing was understood (or an unknown key was pressed), ask again
+    if (!userText || !userText.trim()) {
+      const twiml = twilioService.createIntentResponse(
+        { requiresHandoff: false },
+        language === 'tr-TR'
+          ? 'Sizi anlayamadım.'
+          : 'Je n\'ai pas bien compris.',
+        language,
+        { repeatMenu: Boolean(Digits) }
+      );
+
+      res.type('text/xml');
+      return res.send(twiml);
+    }
+
+    let intent;
+    let responseText;
 
-    const responseText = 'Je comprends votre demande. Permettez-moi de vérifier nos informations.';
-    const language = 'fr-FR';
+    try {
+      const result = await orchestratorService.processCall(CallSid, userText, {
+        fromNumber: From,
+        language,
+        intent: menuOption?.intent,
+      });
+
+      intent = {
+        name: result.intent,
+        confidence: result.confidence,
+        slots: result.slots,
+        fulfilled: !result.needsHandoff,
+        requiresHandoff: result.needsHandoff,
+        handoffReason: result.handoffReason,
+      };
+      responseText = result.response;
+    } catch (error) {
+      // The AI is unavailable: don't leave the caller alone with it
+      logger.error('Orchestrator failed, handing off to an agent:', error);
+
+      intent = {
+        name: 'orchestrator_error',
+        requiresHandoff: true,
+        handoffReason: 'Assistant unavailable',
+      };
+      responseText = language === 'tr-TR'
+        ? 'Özür dilerim, şu anda talebinizi işleyemiyorum.'
+        : 'Désolé, je ne peux pas traiter votre demande pour le moment.';
+    }
+
+    // Not awaited: storing the turn must not delay the answer
+    conversationLogService.recordTurn(CallSid, {
+      userText,
+      userConfidence: Confidence ? parseFloat(Confidence) : null,
+      userTimestamp,
+      assistantText: responseText,
+      language,
+      intent: intent.name !== 'orchestrator_error' ? intent : null,
+      userMetadata: menuOption ? { dtmf: Digits } : {},
+      assistantMetadata: intent.requiresHandoff
+        ? { handoffReason: intent.handoffReason }
+        : {},
+    });
 
     const twiml = twilioService.createIntentResponse(intent, responseText, language);
 
@@ -84,6 +332,9 @@ export const twilioStatusWebhook = async (req, res) => {
       CallDuration,
       RecordingUrl,
       RecordingDuration,
+      From,
+      To,
+      Direction,
     } = req.body;
 
     logger.logCall('call_status_update', {
@@ -93,8 +344,46 @@ export const twilioStatusWebhook = async (req, res) => {
       recordingUrl: RecordingUrl,
     });
 
-    // TODO: Update call in database
-    // TODO: Trigger post-call analysis if completed
+    const details = {
+      duration: CallDuration ? parseInt(CallDuration, 10) : null,
+      recordingUrl: RecordingUrl,
+      recordingDuration: RecordingDuration ? parseInt(RecordingDuration, 10) : null,
+    };
+
+    const updated = await callModel.updateStatus(CallSid, CallStatus, details);
+
+    if (!updated && !(await callModel.findByCallSid(CallSid))) {
+      // Outbound calls and missed voice webhooks are first seen here
+      await callModel.create({
+        callSid: CallSid,
+        from: From,
+        to: To,
+        direction: Direction,
+        status: CallStatus,
+      });
+      await callModel.updateStatus(CallSid, CallStatus, details);
+    }
+
+    // Outbound callback calls: mark done or schedule a retry
+    await callbackService.handleCallStatus(CallSid, CallStatus, req.body.AnsweredBy);
+
+    // Appointment reminder calls: text the reminder when unanswered
+    await reminderService.handleCallStatus(CallSid, CallStatus);
+
+    if (TERMINAL_STATUSES.includes(CallStatus)) {
+      // Caller gone: stop ringing the agent of a pending transfer, leave the queue
+      await transferService.handleCallerEnded(CallSid);
+      await queueService.handleCallerEnded(CallSid);
+    }
+
+    if (CallStatus === 'completed') {
+      // Not awaited: the LLM analysis takes longer than Twilio waits
+      postCallService.analyzeCall(CallSid).catch((error) => {
+        logger.error('Post-call analysis failed:', error);
+      });
+    } else if (TERMINAL_STATUSES.includes(CallStatus)) {
+      orchestratorService.clearHistory(CallSid);
+    }
 
     res.sendStatus(200);
   } catch (error) {
@@ -109,6 +398,7 @@ export const twilioStatusWebhook = async (req, res) => {
 export const twilioDialStatusWebhook = async (req, res) => {
   try {
     const { CallSid, DialCallStatus, DialCallDuration } = req.body;
+    const language = getRequestLanguage(req);
 
     logger.info('Dial status', {
       callSid: CallSid,
@@ -116,34 +406,558 @@ export const twilioDialStatusWebhook = async (req, res) => {
       duration: DialCallDuration,
     });
 
-    const twiml = new twilioService.VoiceResponse();
+    if (['no-answer', 'busy', 'failed'].includes(DialCallStatus)) {
+      const twiml = new twilioService.VoiceResponse();
 
-    if (DialCallStatus === 'no-answer' || DialCallStatus === 'busy') {
       twiml.say(
         {
-          voice: 'Polly.Celine',
-          language: 'fr-FR',
+          voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+          language: language,
         },
-        'Désolé, aucun agent n\'est disponible pour le moment. Veuillez rappeler plus tard ou laisser un message.'
+        language === 'tr-TR'
+          ? 'Üzgünüz, şu anda müsait temsilci yok.'
+          : 'Désolé, aucun agent n\'est disponible pour le moment.'
       );
 
-      // TODO: Offer voicemail or callback option
+      // Offer a callback or voicemail
+      twiml.redirect(
+        `/api/webhooks/twilio/callback/offer?language=${encodeURIComponent(language)}&reason=busy`
+      );
+
+      res.type('text/xml');
+      return res.send(twiml.toString());
     }
 
     res.type('text/xml');
-    res.send(twiml.toString());
+    res.send(new twilioService.VoiceResponse().toString());
   } catch (error) {
     logger.error('Twilio dial status webhook error:', error);
     res.status(500).send('Internal Server Error');
   }
 };
 
+/**
+ * Twilio Transfer Webhook - warm transfer of the caller to an agent
+ */
+export const twilioTransferWebhook = async (req, res) => {
+  try {
+    const { CallSid, From, To, Direction } = req.body;
+    const language = getRequestLanguage(req);
+
+    const twiml = await transferService.startWarmTransfer({
+      callSid: CallSid,
+      // Scheduled callbacks are outbound, the customer is the callee
+      from: Direction?.startsWith('outbound') ? To : From,
+      language,
+      intent: req.query.intent || null,
+      reason: req.query.reason || null,
+      // Set when the caller comes out of the queue
+      handoffId: req.query.handoff || null,
+      agentId: req.query.agent || null,
+    });
+
+    res.type('text/xml');
+    res.send(twiml);
+  } catch (error) {
+    logger.error('Twilio transfer webhook error:', error);
+
+    // Never drop a caller who asked for a human
+    res.type('text/xml');
+    res.send(twilioService.createVoicemailResponse(getRequestLanguage(req)));
+  }
+};
+
+/**
+ * Twilio Transfer Agent Webhook - agent answered, play the whisper
+ */
+export const twilioTransferAgentWebhook = async (req, res) => {
+  try {
+    const { CallSid } = req.body;
+    const conferenceName = req.query.conference;
+    const transfer = transferService.getTransfer(conferenceName);
+
+    res.type('text/xml');
+
+    // Already accepted from the agent API: brief and connect
+    if (transfer?.status === 'accepted' && transfer.agentCallSid === CallSid) {
+      return res.send(twilioService.createConferenceResponse(conferenceName, {
+        message: await transfer.whisper,
+        startOnEnter: true,
+        endOnExit: true,
+        beep: false,
+      }));
+    }
+
+    if (!transferService.isCurrentOffer(transfer, CallSid)) {
+      const twiml = new twilioService.VoiceResponse();
+
+      twiml.say({ voice: 'Polly.Celine', language: 'fr-FR' }, 'Cet appel n\'est plus disponible.');
+      twiml.hangup();
+
+      return res.send(twiml.toString());
+    }
+
+    const whisper = await transfer.whisper;
+
+    res.send(twilioService.createWhisperResponse(whisper, conferenceName));
+  } catch (error) {
+    logger.error('Twilio transfer agent webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Transfer Agent Answer - 1 joins the caller, anything else declines
+ */
+export const twilioTransferAgentAnswerWebhook = async (req, res) => {
+  try {
+    const { CallSid, Digits } = req.body;
+    const conferenceName = req.query.conference;
+
+    res.type('text/xml');
+
+    if (Digits === '1' && await transferService.accept(conferenceName, CallSid)) {
+      return res.send(twilioService.createConferenceResponse(conferenceName, {
+        startOnEnter: true,
+        endOnExit: true,
+        beep: false,
+      }));
+    }
+
+    await transferService.decline(conferenceName, Digits ? 'declined' : 'no_choice', {
+      agentCallSid: CallSid,
+    });
+
+    const twiml = new twilioService.VoiceResponse();
+    twiml.hangup();
+
+    res.send(twiml.toString());
+  } catch (error) {
+    logger.error('Twilio transfer agent answer webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Transfer Agent Status - agent leg ended (no answer, busy, hung up...)
+ */
+export const twilioTransferAgentStatusWebhook = async (req, res) => {
+  try {
+    const { CallSid, CallStatus } = req.body;
+
+    logger.info('Transfer agent leg status', {
+      agentCallSid: CallSid,
+      status: CallStatus,
+    });
+
+    await transferService.handleAgentCallEnded(req.query.conference, CallStatus, req.query.agent, CallSid);
+
+    res.sendStatus(200);
+  } catch (error) {
+    logger.error('Twilio transfer agent status webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Queue Enqueue - no agent left after a declined transfer, wait in the queue
+ */
+export const twilioQueueEnqueueWebhook = async (req, res) => {
+  try {
+    const { CallSid, From, To, Direction } = req.body;
+
+    res.type('text/xml');
+    res.send(queueService.enqueue({
+      callSid: CallSid,
+      from: Direction?.startsWith('outbound') ? To : From,
+      language: getRequestLanguage(req),
+      intent: req.query.intent || null,
+      reason: req.query.reason || null,
+      handoffId: req.query.handoff || null,
+    }));
+  } catch (error) {
+    logger.error('Twilio queue enqueue webhook error:', error);
+
+    res.type('text/xml');
+    res.send(twilioService.createVoicemailResponse(getRequestLanguage(req)));
+  }
+};
+
+/**
+ * Twilio Queue Wait - <Enqueue> waitUrl, hold experience while queued
+ */
+export const twilioQueueWaitWebhook = async (req, res) => {
+  try {
+    const { CallSid, QueuePosition, QueueTime } = req.body;
+
+    res.type('text/xml');
+    res.send(queueService.getHoldResponse(CallSid, {
+      language: getRequestLanguage(req),
+      position: parseInt(QueuePosition, 10) || null,
+      queueTime: parseInt(QueueTime, 10) || 0,
+    }));
+  } catch (error) {
+    logger.error('Twilio queue wait webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Queue Result - <Enqueue> action, the caller left the queue
+ */
+export const twilioQueueResultWebhook = async (req, res) => {
+  try {
+    const { CallSid, QueueResult, QueueTime } = req.body;
+    const language = getRequestLanguage(req);
+
+    logger.info('Queue result', {
+      callSid: CallSid,
+      result: QueueResult,
+      queueTime: QueueTime,
+    });
+
+    res.type('text/xml');
+    res.send(await queueService.handleQueueResult(CallSid, QueueResult, language));
+  } catch (error) {
+    logger.error('Twilio queue result webhook error:', error);
+
+    res.type('text/xml');
+    res.send(twilioService.createVoicemailResponse(getRequestLanguage(req)));
+  }
+};
+
+/**
+ * Twilio Voicemail Start - Record a message
+ */
+export const twilioVoicemailStartWebhook = async (req, res) => {
+  try {
+    const language = getRequestLanguage(req);
+
+    res.type('text/xml');
+    res.send(twilioService.createVoicemailResponse(language));
+  } catch (error) {
+    logger.error('Twilio voicemail start webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Voicemail Webhook - <Record> action, caller finished the message
+ */
+export const twilioVoicemailWebhook = async (req, res) => {
+  try {
+    const { CallSid, RecordingDuration } = req.body;
+    const language = getRequestLanguage(req);
+
+    logger.info('Voicemail recorded', {
+      callSid: CallSid,
+      duration: RecordingDuration,
+    });
+
+    res.type('text/xml');
+    res.send(twilioService.createVoicemailThanksResponse(language));
+  } catch (error) {
+    logger.error('Twilio voicemail webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Voicemail Recording Webhook - recording is available
+ */
+export const twilioVoicemailRecordingWebhook = async (req, res) => {
+  try {
+    const {
+      CallSid,
+      RecordingSid,
+      RecordingUrl,
+      RecordingStatus,
+      RecordingDuration,
+    } = req.body;
+    const language = getRequestLanguage(req);
+
+    logger.info('Voicemail recording status', {
+      callSid: CallSid,
+      recordingSid: RecordingSid,
+      status: RecordingStatus,
+    });
+
+    // Acknowledge right away, transcription takes longer than Twilio waits
+    res.sendStatus(200);
+
+    if (RecordingStatus !== 'completed') {
+      return;
+    }
+
+    voicemailService.processRecording({
+      callSid: CallSid,
+      recordingSid: RecordingSid,
+      recordingUrl: RecordingUrl,
+      duration: RecordingDuration ? parseInt(RecordingDuration, 10) : null,
+      language,
+    }).catch((error) => {
+      logger.error('Voicemail processing error:', error);
+    });
+  } catch (error) {
+    logger.error('Twilio voicemail recording webhook error:', error);
+
+    if (!res.headersSent) {
+      res.status(500).send('Internal Server Error');
+    }
+  }
+};
+
+/**
+ * Twilio Callback Offer - no agent available, offer callback or voicemail
+ */
+export const twilioCallbackOfferWebhook = async (req, res) => {
+  try {
+    const language = getRequestLanguage(req);
+    const reason = req.query.reason === 'closed' ? 'closed' : 'busy';
+
+    res.type('text/xml');
+    res.send(twilioService.createCallbackOfferResponse(language, reason));
+  } catch (error) {
+    logger.error('Twilio callback offer webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Callback Choice - 1 / "rappel" for a callback, anything else for voicemail
+ */
+export const twilioCallbackChoiceWebhook = async (req, res) => {
+  try {
+    const { CallSid, Digits, SpeechResult } = req.body;
+    const language = getRequestLanguage(req);
+
+    const wantsCallback = Digits === '1'
+      || /rappel|geri ?ara/i.test(SpeechResult || '');
+
+    logger.info('Callback choice', {
+      callSid: CallSid,
+      digits: Digits,
+      wantsCallback,
+    });
+
+    if (wantsCallback) {
+      res.type('text/xml');
+      return res.send(twilioService.createCallbackScheduleResponse(language));
+    }
+
+    res.type('text/xml');
+    res.send(twilioService.createVoicemailResponse(language));
+  } catch (error) {
+    logger.error('Twilio callback choice webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Callback Schedule - caller said when to be called back
+ */
+export const twilioCallbackScheduleWebhook = async (req, res) => {
+  try {
+    const { CallSid, From, SpeechResult } = req.body;
+    const language = getRequestLanguage(req);
+
+    await callbackService.requestCallback({
+      callSid: CallSid,
+      phoneNumber: normalizePhoneNumber(From),
+      language,
+      preferredText: SpeechResult || null,
+      reason: 'agent_unavailable',
+    });
+
+    res.type('text/xml');
+    res.send(twilioService.createCallbackConfirmResponse(language));
+  } catch (error) {
+    logger.error('Twilio callback schedule webhook error:', error);
+
+    // Do not lose the caller: take a message instead
+    res.type('text/xml');
+    res.send(twilioService.createVoicemailResponse(getRequestLanguage(req)));
+  }
+};
+
+/**
+ * Twilio Callback Connect - customer answered our scheduled callback
+ */
+export const twilioCallbackConnectWebhook = async (req, res) => {
+  try {
+    const { CallSid, AnsweredBy } = req.body;
+    const language = getRequestLanguage(req);
+
+    logger.logCall('callback_answered', {
+      callSid: CallSid,
+      callbackId: req.query.callbackId,
+      answeredBy: AnsweredBy,
+    });
+
+    res.type('text/xml');
+
+    // Voicemail: hang up, the status callback schedules another attempt
+    if (isMachineAnswer(AnsweredBy)) {
+      return res.send(twilioService.createHangupResponse());
+    }
+
+    res.send(twilioService.createCallbackConnectResponse(language));
+  } catch (error) {
+    logger.error('Twilio callback connect webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Reminder Webhook - customer answered an appointment reminder call
+ */
+export const twilioReminderWebhook = async (req, res) => {
+  try {
+    const start = await reminderService.startCall(req.query.reminderId);
+
+    res.type('text/xml');
+
+    if (!start) {
+      const twiml = new twilioService.VoiceResponse();
+      twiml.hangup();
+      return res.send(twiml.toString());
+    }
+
+    res.send(twilioService.createReminderResponse(start.message, start.language, req.query.reminderId, {
+      menu: true,
+    }));
+  } catch (error) {
+    logger.error('Twilio reminder webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio Reminder Reply - keypad choice or spoken answer to the reminder
+ */
+export const twilioReminderReplyWebhook = async (req, res) => {
+  try {
+    const { CallSid, Digits, SpeechResult } = req.body;
+
+    logger.logCall('reminder_reply', {
+      callSid: CallSid,
+      reminderId: req.query.reminderId,
+      digits: Digits,
+    });
+
+    const { reply, done, language } = await reminderService.handleCallReply(req.query.reminderId, {
+      digits: Digits,
+      text: SpeechResult || '',
+    });
+
+    res.type('text/xml');
+    res.send(twilioService.createReminderResponse(reply, language, req.query.reminderId, { final: done }));
+  } catch (error) {
+    logger.error('Twilio reminder reply webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Media attached to an incoming Twilio message (MMS, WhatsApp photos)
+ */
+const getMessageMedia = (body) => {
+  const count = parseInt(body.NumMedia, 10) || 0;
+
+  return Array.from({ length: count }, (_, i) => ({
+    url: body[`MediaUrl${i}`],
+    contentType: body[`MediaContentType${i}`],
+  })).filter(media => media.url);
+};
+
+/**
+ * Twilio SMS Webhook - incoming text message
+ */
+export const twilioSmsWebhook = async (req, res) => {
+  try {
+    const { MessageSid, From, Body } = req.body;
+
+    logger.info('Incoming SMS', { messageSid: MessageSid, from: From });
+
+    // Answers to appointment reminders
+    const reply = await reminderService.handleTextReply(From, Body);
+
+    res.type('text/xml');
+    res.send(twilioService.createSmsResponse(reply));
+
+    if (reply) {
+      return;
+    }
+
+    // Anything else goes to the assistant. Not awaited: the answer is sent
+    // through the API, the LLM can take longer than Twilio waits
+    messagingService.handleIncoming('sms', {
+      from: normalizePhoneNumber(From),
+      body: Body || '',
+      messageId: MessageSid,
+      metadata: { media: getMessageMedia(req.body) },
+    }).catch((error) => {
+      logger.error('SMS conversation failed:', error);
+    });
+  } catch (error) {
+    logger.error('Twilio SMS webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
+/**
+ * Twilio WhatsApp Webhook - incoming WhatsApp message
+ * Same flow as SMS, From is "whatsapp:+33..." and quick-reply buttons come as ButtonPayload
+ */
+export const twilioWhatsAppWebhook = async (req, res) => {
+  try {
+    const { MessageSid, From, Body, ButtonPayload } = req.body;
+    const from = normalizePhoneNumber((From || '').replace(/^whatsapp:/, ''));
+
+    logger.info('Incoming WhatsApp message', {
+      messageSid: MessageSid,
+      from,
+      numMedia: req.body.NumMedia,
+    });
+
+    // Answers to appointment reminders (template buttons or text)
+    const reply = await reminderService.handleTextReply(from, Body, ButtonPayload);
+
+    res.type('text/xml');
+    res.send(twilioService.createSmsResponse(reply));
+
+    if (reply) {
+      return;
+    }
+
+    messagingService.handleIncoming('whatsapp', {
+      from,
+      body: Body || '',
+      messageId: MessageSid,
+      metadata: { media: getMessageMedia(req.body) },
+    }).catch((error) => {
+      logger.error('WhatsApp conversation failed:', error);
+    });
+  } catch (error) {
+    logger.error('Twilio WhatsApp webhook error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
+
 /**
  * Twilio Recording Status Webhook
  */
 export const twilioRecordingStatusWebhook = async (req, res) => {
   try {
-    const { CallSid, RecordingSid, RecordingUrl, RecordingStatus } = req.body;
+    const {
+      CallSid,
+      RecordingSid,
+      RecordingUrl,
+      RecordingStatus,
+      RecordingDuration,
+      RecordingChannels,
+      RecordingStartTime,
+    } = req.body;
 
     logger.info('Recording status', {
       callSid: CallSid,
@@ -152,13 +966,29 @@ export const twilioRecordingStatusWebhook = async (req, res) => {
       url: RecordingUrl,
     });
 
-    // TODO: Save recording URL to database
-    // TODO: Trigger transcription job
-
+    // Acknowledge right away, download and transcription take minutes
     res.sendStatus(200);
+
+    if (RecordingStatus !== 'completed') {
+      return;
+    }
+
+    recordingService.processRecording({
+      callSid: CallSid,
+      recordingSid: RecordingSid,
+      recordingUrl: RecordingUrl,
+      duration: RecordingDuration ? parseInt(RecordingDuration, 10) : null,
+      channels: RecordingChannels ? parseInt(RecordingChannels, 10) : 1,
+      startTime: RecordingStartTime || null,
+    }).catch((error) => {
+      logger.error('Recording processing error:', error);
+    });
   } catch (error) {
     logger.error('Twilio recording status webhook error:', error);
-    res.status(500).send('Internal Server Error');
+
+    if (!res.headersSent) {
+      res.status(500).send('Internal Server Error');
+    }
   }
 };
 
@@ -230,32 +1060,43 @@ export const handleMediaStream = (ws, req) => {
   });
 
   let streamSid = null;
+  let session = null;
 
-  ws.on('message', async (message) => {
+  ws.on('message', (message) => {
     try {
       const data = JSON.parse(message);
 
       switch (data.event) {
+        case 'connected':
+          break;
+
         case 'start':
           streamSid = data.start.streamSid;
           logger.debug('Media stream started', {
             streamSid,
             callSid: data.start.callSid,
           });
+
+          session = mediaStreamService.createSession(ws, {
+            streamSid,
+            callSid: data.start.callSid,
+            language: data.start.customParameters?.language,
+            fromNumber: data.start.customParameters?.from,
+          });
           break;
 
         case 'media':
-          // Process audio chunk
-          const audioChunk = Buffer.from(data.media.payload, 'base64');
-
-          // TODO: Send to STT service
-          // TODO: Process with LLM
-          // TODO: Send TTS response back
+          session?.handleAudio(Buffer.from(data.media.payload, 'base64'));
+          break;
 
+        case 'mark':
+          session?.handleMark(data.mark.name);
           break;
 
         case 'stop':
           logger.debug('Media stream stopped', { streamSid });
+          mediaStreamService.endSession(streamSid);
+          session = null;
           break;
 
         default:
@@ -268,6 +1109,10 @@ export const handleMediaStream = (ws, req) => {
 
   ws.on('close', () => {
     logger.info('Media stream closed', { streamSid });
+
+    if (streamSid) {
+      mediaStreamService.endSession(streamSid);
+    }
   });
 
   ws.on('error', (error) => {
@@ -277,9 +1122,31 @@ export const handleMediaStream = (ws, req) => {
 
 export default {
   twilioVoiceWebhook,
+  twilioLanguageWebhook,
+  twilioLanguageMenuWebhook,
+  twilioLanguageDetectWebhook,
   twilioSpeechWebhook,
   twilioStatusWebhook,
   twilioDialStatusWebhook,
+  twilioTransferWebhook,
+  twilioTransferAgentWebhook,
+  twilioTransferAgentAnswerWebhook,
+  twilioTransferAgentStatusWebhook,
+  twilioStreamFallbackWebhook,
+  twilioQueueEnqueueWebhook,
+  twilioQueueWaitWebhook,
+  twilioQueueResultWebhook,
+  twilioVoicemailStartWebhook,
+  twilioVoicemailWebhook,
+  twilioVoicemailRecordingWebhook,
+  twilioCallbackOfferWebhook,
+  twilioCallbackChoiceWebhook,
+  twilioCallbackScheduleWebhook,
+  twilioCallbackConnectWebhook,
+  twilioReminderWebhook,
+  twilioReminderReplyWebhook,
+  twilioSmsWebhook,
+  twilioWhatsAppWebhook,
   twilioRecordingStatusWebhook,
   twilioConferenceStatusWebhook,
   dialogflowWebhook,
@@ -1,14 +1,31 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import config from './config/index.js';
 import logger from './utils/logger.js';
+import pool from './config/database.js';
+import webhookRoutes from './routes/webhook.routes.js';
+import callRoutes from './routes/call.routes.js';
+import handoffRoutes from './routes/handoff.routes.js';
+import agentRoutes from './routes/agent.routes.js';
+import conversationRoutes from './routes/conversation.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import { attachWebSocketServer, listenWebChatServer } from './websocket/server.js';
+import callbackService from './services/calls/callback.service.js';
+import retentionService from './services/calls/retention.service.js';
+import reminderService from './services/calls/reminder.service.js';
+import emailTriageService from './services/messaging/email-triage.service.js';
+import reindexService from './services/rag/reindex.service.js';
 
 /**
  * NETZ Sanal Sekreter - Main Application Entry Point
  * AI-powered virtual secretary with Google Voice integration
  */
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 const app = express();
 
 // Security middleware
@@ -22,8 +39,13 @@ app.use(
   })
 );
 
-// Body parser
-app.use(express.json({ limit: '10mb' }));
+// Body parser (keep raw body for webhook HMAC verification)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging
@@ -45,7 +67,23 @@ app.get('/health', (req, res) => {
   });
 });
 
-// API routes (will be added in next steps)
+// API routes
+app.use('/api/calls', callRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/handoffs', handoffRoutes);
+app.use('/api/agents', agentRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Agent live board (static page, data over the /api/agents/board WebSocket)
+app.use('/board', express.static(path.join(__dirname, '../public/board')));
+
+// Web chat widget, embedded by other sites (chat over the WEBSOCKET_PORT WebSocket)
+app.use('/chat', (req, res, next) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+}, express.static(path.join(__dirname, '../public/chat')));
+
 app.get('/api', (req, res) => {
   res.json({
     message: 'NETZ Sanal Sekreter API',
@@ -54,6 +92,9 @@ app.get('/api', (req, res) => {
       health: '/health',
       calls: '/api/calls',
       webhooks: '/api/webhooks',
+      handoffs: '/api/handoffs',
+      agents: '/api/agents',
+      conversations: '/api/conversations',
       admin: '/api/admin',
     },
   });
@@ -90,12 +131,28 @@ app.use((req, res) => {
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}, starting graceful shutdown...`);
 
-  server.close(() => {
+  // Stop background jobs
+  callbackService.stop();
+  retentionService.stop();
+  reminderService.stop();
+  emailTriageService.stop();
+
+  // Open WebSockets would keep the HTTP servers from closing
+  wss.clients.forEach((client) => client.terminate());
+  webChat.wss.clients.forEach((client) => client.terminate());
+  webChat.server.close();
+
+  server.close(async () => {
     logger.info('HTTP server closed');
 
     // Close database connections
+    try {
+      await pool.end();
+    } catch (error) {
+      logger.error('Failed to close database pool:', error);
+    }
+
     // Close Redis connections
-    // Close WebSocket connections
 
     logger.info('Graceful shutdown completed');
     process.exit(0);
@@ -125,6 +182,27 @@ const server = app.listen(config.server.port, config.server.host, () => {
   );
 });
 
+// WebSocket endpoints (Twilio Media Streams, agent board)
+const wss = attachWebSocketServer(server);
+
+// Website chat (public, on its own port)
+const webChat = listenWebChatServer(config.server.websocketPort, config.server.host);
+
+// Scheduled outbound callbacks
+callbackService.start();
+
+// Recording retention (CALL_RECORDING_RETENTION_DAYS)
+retentionService.start();
+
+// Appointment reminders (APPOINTMENT_REMINDERS_ENABLED)
+reminderService.start();
+
+// Inbox triage and draft replies (EMAIL_TRIAGE_ENABLED)
+emailTriageService.start();
+
+// Knowledge base reindex jobs cut short by the last shutdown
+reindexService.recoverInterrupted();
+
 // Handle shutdown signals
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
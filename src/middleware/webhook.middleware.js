@@ -0,0 +1,126 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import twilioService from '../services/telephony/twilio.service.js';
+import crypto from 'crypto';
+import { verifyHMAC, hash } from '../utils/security.js';
+
+/**
+ * Webhook Middleware
+ * Verify that incoming webhooks really come from Twilio / Dialogflow
+ */
+
+/**
+ * Build the public URL Twilio used to reach us (needed for signature check)
+ */
+const getPublicRequestUrl = (req) => {
+  return `${config.server.publicUrl.replace(/\/$/, '')}${req.originalUrl}`;
+};
+
+/**
+ * Validate X-Twilio-Signature header
+ */
+export const validateTwilioSignature = (req, res, next) => {
+  if (!config.twilio.validateWebhooks) {
+    return next();
+  }
+
+  if (!config.twilio.authToken) {
+    if (config.isProduction) {
+      logger.error('Twilio auth token missing, rejecting webhook');
+      return res.status(500).send('Webhook validation not configured');
+    }
+
+    logger.warn('Twilio auth token missing, skipping signature validation');
+    return next();
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  const url = getPublicRequestUrl(req);
+
+  if (!signature || !twilioService.validateRequest(url, req.body || {}, signature)) {
+    logger.logSecurity('invalid_twilio_signature', {
+      path: req.path,
+      ip: req.ip,
+      callSid: req.body?.CallSid,
+    });
+
+    return res.status(403).send('Invalid Twilio signature');
+  }
+
+  next();
+};
+
+/**
+ * Validate Dialogflow webhook requests
+ * Accepts either an HMAC-SHA256 of the raw body (X-Dialogflow-Signature)
+ * or the shared secret itself as a static header (X-Webhook-Secret)
+ */
+export const validateDialogflowSignature = (req, res, next) => {
+  const secret = config.dialogflow.webhookSecret;
+
+  if (!secret) {
+    if (config.isProduction) {
+      logger.error('Dialogflow webhook secret missing, rejecting webhook');
+      return res.status(500).json({ error: { message: 'Webhook validation not configured' } });
+    }
+
+    logger.warn('Dialogflow webhook secret missing, skipping signature validation');
+    return next();
+  }
+
+  const signature = req.get('X-Dialogflow-Signature');
+  const sharedSecret = req.get('X-Webhook-Secret');
+  const payload = req.rawBody || JSON.stringify(req.body || {});
+
+  let valid = false;
+
+  try {
+    if (signature) {
+      valid = verifyHMAC(payload, signature, secret);
+    } else if (sharedSecret) {
+      // Compare digests so both buffers always have the same length
+      valid = crypto.timingSafeEqual(
+        Buffer.from(hash(sharedSecret)),
+        Buffer.from(hash(secret))
+      );
+    }
+  } catch (error) {
+    // timingSafeEqual throws on length mismatch
+    valid = false;
+  }
+
+  if (!valid) {
+    logger.logSecurity('invalid_dialogflow_signature', {
+      path: req.path,
+      ip: req.ip,
+    });
+
+    return res.status(403).json({ error: { message: 'Invalid webhook signature' } });
+  }
+
+  next();
+};
+
+/**
+ * Validate the WebSocket upgrade request of a Twilio Media Stream
+ */
+export const isValidTwilioUpgrade = (req) => {
+  if (!config.twilio.validateWebhooks) {
+    return true;
+  }
+
+  if (!config.twilio.authToken) {
+    return !config.isProduction;
+  }
+
+  const signature = req.headers['x-twilio-signature'];
+  const baseUrl = config.server.publicUrl.replace(/^http/, 'ws').replace(/\/$/, '');
+
+  return Boolean(signature) && twilioService.validateRequest(`${baseUrl}${req.url}`, {}, signature);
+};
+
+export default {
+  validateTwilioSignature,
+  validateDialogflowSignature,
+  isValidTwilioUpgrade,
+};
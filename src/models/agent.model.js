@@ -0,0 +1,262 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Agent Model
+ * Human agents taking handed-off calls, in the `agents` table
+ */
+
+// Tie-breaking order among eligible agents, per routing strategy
+const STRATEGY_ORDER = {
+  'round-robin': 'last_assigned_at ASC NULLS FIRST',
+  'least-busy': 'current_calls::float / GREATEST(max_concurrent_calls, 1) ASC, last_assigned_at ASC NULLS FIRST',
+  'longest-idle': 'current_calls ASC, last_call_ended_at ASC NULLS FIRST',
+};
+
+// Agents with the caller they are talking to
+const SELECT_WITH_CALL = `
+  SELECT a.*,
+    c.from_number AS current_call_from,
+    c.start_time AS current_call_start
+  FROM agents a
+  LEFT JOIN calls c ON c.call_sid = a.current_call_sid
+`;
+
+class AgentModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Atomically pick an available agent and take one of their call slots
+   * Agents with a matching skill come first, then the preferred department,
+   * then any online agent with a free slot
+   */
+  async claimAvailable({ skills = [], department = null, strategy = 'least-busy', excludeIds = [] }) {
+    const order = STRATEGY_ORDER[strategy];
+
+    if (!order) {
+      throw new Error(`Unknown routing strategy: ${strategy}`);
+    }
+
+    try {
+      const query = `
+        UPDATE agents
+        SET current_calls = current_calls + 1, last_assigned_at = NOW()
+        WHERE id = (
+          SELECT id FROM agents
+          WHERE status = 'online'
+            AND phone_number IS NOT NULL
+            AND current_calls < max_concurrent_calls
+            AND NOT (id = ANY($3::uuid[]))
+          ORDER BY
+            COALESCE(skills && $1::text[], false) DESC,
+            COALESCE(department = $2, false) DESC,
+            ${order}
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        AND current_calls < max_concurrent_calls
+        RETURNING *,
+          COALESCE(skills && $1::text[], false) AS skill_match,
+          COALESCE(department = $2, false) AS department_match
+      `;
+
+      const result = await this.pool.query(query, [skills, department, excludeIds]);
+
+      if (!result.rows[0]) {
+        return null;
+      }
+
+      return {
+        ...this.format(result.rows[0]),
+        skillMatch: result.rows[0].skill_match,
+        departmentMatch: result.rows[0].department_match,
+      };
+    } catch (error) {
+      logger.error('Failed to claim an agent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Free a call slot taken by claimAvailable
+   */
+  async release(id) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE agents
+         SET current_calls = GREATEST(current_calls - 1, 0)
+         WHERE id = $1
+         RETURNING *`,
+        [id]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to release agent ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * All agents with the call they are on, for the presence board
+   */
+  async findAll() {
+    try {
+      const result = await this.pool.query(`${SELECT_WITH_CALL} ORDER BY a.name ASC`);
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error('Failed to list agents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set an agent's presence status
+   */
+  async updateStatus(id, status) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE agents
+         SET status = $2,
+             status_changed_at = NOW(),
+             missed_offers = CASE WHEN $2 = 'online' THEN 0 ELSE missed_offers END
+         WHERE id = $1
+         RETURNING *`,
+        [id, status]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to update agent ${id} status:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Agent took a call (only if they were online): busy once all their call
+   * slots are taken, so agents with max_concurrent_calls > 1 keep being offered calls
+   */
+  async setOnCall(id, callSid) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE agents
+         SET status = CASE WHEN current_calls >= max_concurrent_calls THEN 'busy' ELSE status END,
+             status_changed_at = CASE
+               WHEN current_calls >= max_concurrent_calls THEN NOW()
+               ELSE status_changed_at
+             END,
+             current_call_sid = $2,
+             missed_offers = 0
+         WHERE id = $1 AND status = 'online'
+         RETURNING *`,
+        [id, callSid]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to set agent ${id} on call:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Agent's call ended: back online if still busy from that call
+   * Only calls the agent took count towards longest-idle, not declined offers
+   */
+  async clearCall(id) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE agents
+         SET status = CASE WHEN status = 'busy' THEN 'online' ELSE status END,
+             status_changed_at = CASE WHEN status = 'busy' THEN NOW() ELSE status_changed_at END,
+             current_call_sid = NULL,
+             last_call_ended_at = NOW()
+         WHERE id = $1 AND current_call_sid IS NOT NULL
+         RETURNING *`,
+        [id]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to clear agent ${id} call:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count an unanswered offer, an online agent goes away after `threshold` in a row
+   */
+  async recordMissedOffer(id, threshold) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE agents
+         SET missed_offers = missed_offers + 1,
+             status = CASE WHEN status = 'online' AND missed_offers + 1 >= $2 THEN 'away' ELSE status END,
+             status_changed_at = CASE
+               WHEN status = 'online' AND missed_offers + 1 >= $2 THEN NOW()
+               ELSE status_changed_at
+             END
+         WHERE id = $1
+         RETURNING *`,
+        [id, threshold]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to record missed offer for agent ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find agent by ID
+   */
+  async findById(id) {
+    try {
+      const result = await this.pool.query(`${SELECT_WITH_CALL} WHERE a.id = $1`, [id]);
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to find agent ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      phoneNumber: row.phone_number,
+      department: row.department,
+      role: row.role,
+      skills: row.skills || [],
+      status: row.status,
+      maxConcurrentCalls: row.max_concurrent_calls,
+      currentCalls: row.current_calls,
+      lastAssignedAt: row.last_assigned_at,
+      lastCallEndedAt: row.last_call_ended_at,
+      currentCall: row.current_call_sid ? {
+        callSid: row.current_call_sid,
+        fromNumber: row.current_call_from || null,
+        startTime: row.current_call_start || null,
+      } : null,
+      missedOffers: row.missed_offers,
+      statusChangedAt: row.status_changed_at,
+      metadata: row.metadata,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Singleton instance
+const agentModel = new AgentModel();
+
+export default agentModel;
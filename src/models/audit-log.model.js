@@ -0,0 +1,67 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Audit Log Model
+ * System-wide audit trail in the `audit_logs` table
+ */
+
+class AuditLogModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Write an audit entry
+   */
+  async create(entry, client = this.pool) {
+    try {
+      const query = `
+        INSERT INTO audit_logs (
+          event_type, entity_type, entity_id, user_id, action, details, ip_address, user_agent
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [
+        entry.eventType,
+        entry.entityType || null,
+        entry.entityId || null,
+        entry.userId || null,
+        entry.action,
+        JSON.stringify(entry.details || {}),
+        entry.ipAddress || null,
+        entry.userAgent || null,
+      ]);
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to write audit log:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      eventType: row.event_type,
+      entityType: row.entity_type,
+      entityId: row.entity_id,
+      userId: row.user_id,
+      action: row.action,
+      details: row.details,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+// Singleton instance
+const auditLogModel = new AuditLogModel();
+
+export default auditLogModel;
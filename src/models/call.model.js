@@ -0,0 +1,466 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Call Model
+ * Persistence of call lifecycle in the `calls` table
+ */
+
+/**
+ * Allowed status transitions (Twilio call statuses)
+ * Terminal statuses have no outgoing transition
+ */
+const STATUS_TRANSITIONS = {
+  queued: ['ringing', 'in-progress', 'completed', 'failed', 'busy', 'no-answer', 'canceled'],
+  ringing: ['in-progress', 'completed', 'failed', 'busy', 'no-answer', 'canceled'],
+  'in-progress': ['completed', 'failed'],
+  completed: [],
+  failed: [],
+  busy: [],
+  'no-answer': [],
+  canceled: [],
+};
+
+export const TERMINAL_STATUSES = Object.keys(STATUS_TRANSITIONS)
+  .filter(status => STATUS_TRANSITIONS[status].length === 0);
+
+export const CALL_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Sort keys of the calls API
+export const SORT_COLUMNS = {
+  startTime: 'c.start_time',
+  endTime: 'c.end_time',
+  duration: 'c.duration',
+  status: 'c.status',
+};
+
+class CallModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Normalize Twilio status ('initiated' is reported for outbound calls)
+   */
+  normalizeStatus(status) {
+    if (status === 'initiated') {
+      return 'queued';
+    }
+
+    return STATUS_TRANSITIONS[status] ? status : null;
+  }
+
+  /**
+   * Normalize Twilio direction ('outbound-api', 'outbound-dial')
+   */
+  normalizeDirection(direction) {
+    return direction?.startsWith('outbound') ? 'outbound' : 'inbound';
+  }
+
+  /**
+   * Statuses from which `status` can be reached (including itself, for retries)
+   */
+  getAllowedPreviousStatuses(status) {
+    return Object.entries(STATUS_TRANSITIONS)
+      .filter(([from, to]) => from === status || to.includes(status))
+      .map(([from]) => from);
+  }
+
+  /**
+   * Create a call (idempotent on call_sid)
+   */
+  async create(call) {
+    try {
+      const query = `
+        INSERT INTO calls (call_sid, from_number, to_number, direction, status, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (call_sid) DO NOTHING
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        call.callSid,
+        call.from,
+        call.to,
+        this.normalizeDirection(call.direction),
+        this.normalizeStatus(call.status) || 'queued',
+        JSON.stringify(call.metadata || {}),
+      ]);
+
+      if (result.rows.length === 0) {
+        // Twilio retry or redirect: the call already exists
+        return this.findByCallSid(call.callSid);
+      }
+
+      logger.debug('Call saved', { callSid: call.callSid });
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to save call:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find call by Twilio CallSid
+   */
+  async findByCallSid(callSid) {
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM calls WHERE call_sid = $1',
+        [callSid]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to find call ${callSid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find call by ID
+   */
+  async findById(id) {
+    try {
+      const result = await this.pool.query('SELECT * FROM calls WHERE id = $1', [id]);
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to find call ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calls matching the filters, one page at a time
+   * Returns { calls, total }
+   */
+  async findAll(filters = {}, { limit = 50, offset = 0, sort = 'startTime', order = 'desc' } = {}) {
+    const conditions = [];
+    const params = [];
+
+    const where = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (filters.statuses?.length) where('c.status = ANY(?::text[])', filters.statuses);
+    if (filters.direction) where('c.direction = ?', filters.direction);
+    if (filters.from) where('c.start_time >= ?', filters.from);
+    if (filters.to) where('c.start_time <= ?', filters.to);
+    if (filters.fromNumber) where('c.from_number = ?', filters.fromNumber);
+    if (filters.intent) {
+      where('EXISTS (SELECT 1 FROM intents i WHERE i.call_id = c.id AND i.intent_name = ?)', filters.intent);
+    }
+    if (typeof filters.handedOff === 'boolean') {
+      conditions.push(`${filters.handedOff ? '' : 'NOT '}EXISTS (SELECT 1 FROM call_handoffs h WHERE h.call_id = c.id)`);
+    }
+
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const orderBy = `${SORT_COLUMNS[sort] || SORT_COLUMNS.startTime} ${order === 'asc' ? 'ASC' : 'DESC'} NULLS LAST, c.id`;
+
+    try {
+      const [rows, count] = await Promise.all([
+        this.pool.query(
+          `SELECT c.* FROM calls c ${whereClause}
+           ORDER BY ${orderBy}
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, offset]
+        ),
+        this.pool.query(`SELECT COUNT(*)::int AS total FROM calls c ${whereClause}`, params),
+      ]);
+
+      return {
+        calls: rows.rows.map(row => this.format(row)),
+        total: count.rows[0].total,
+      };
+    } catch (error) {
+      logger.error('Failed to list calls:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Call volume and outcomes of the calls started in [from, to) (admin metrics)
+   * A call is handed off when a transfer to an agent was requested;
+   * inbound completed calls without one were contained by the assistant
+   */
+  async getStats(from, to) {
+    try {
+      const query = `
+        WITH period_calls AS (
+          SELECT
+            c.direction,
+            c.status,
+            c.duration,
+            EXISTS (SELECT 1 FROM call_handoffs h WHERE h.call_id = c.id) AS handed_off
+          FROM calls c
+          WHERE c.start_time >= $1 AND c.start_time < $2
+        )
+        SELECT
+          COUNT(*)::int AS total,
+          COUNT(*) FILTER (WHERE direction = 'inbound')::int AS inbound,
+          COUNT(*) FILTER (WHERE direction = 'inbound' AND handed_off)::int AS handed_off,
+          COUNT(*) FILTER (WHERE direction = 'inbound' AND status = 'completed')::int AS inbound_completed,
+          COUNT(*) FILTER (WHERE direction = 'inbound' AND status = 'completed' AND NOT handed_off)::int AS contained,
+          ROUND(AVG(duration) FILTER (WHERE status = 'completed'))::int AS avg_handle_time,
+          (SELECT COUNT(*) FROM calls WHERE start_time >= date_trunc('day', NOW()))::int AS today,
+          (SELECT COUNT(*) FROM calls WHERE status = 'in-progress')::int AS in_progress
+        FROM period_calls
+      `;
+
+      const [totals, days] = await Promise.all([
+        this.pool.query(query, [from, to]),
+        this.pool.query(
+          `SELECT date_trunc('day', start_time)::date AS day, COUNT(*)::int AS count
+           FROM calls
+           WHERE start_time >= $1 AND start_time < $2
+           GROUP BY 1
+           ORDER BY 1`,
+          [from, to]
+        ),
+      ]);
+
+      const row = totals.rows[0];
+
+      return {
+        total: row.total,
+        today: row.today,
+        inProgress: row.in_progress,
+        inbound: row.inbound,
+        handedOff: row.handed_off,
+        inboundCompleted: row.inbound_completed,
+        contained: row.contained,
+        avgHandleTime: row.avg_handle_time,
+        byDay: days.rows.map(day => ({ date: day.day, count: day.count })),
+      };
+    } catch (error) {
+      logger.error('Failed to compute call stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Point the call to its stored recording
+   */
+  async updateRecording(callSid, { recordingUrl, recordingDuration = null }) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE calls
+         SET recording_url = $2, recording_duration = COALESCE($3::integer, recording_duration)
+         WHERE call_sid = $1
+         RETURNING *`,
+        [callSid, recordingUrl, recordingDuration]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to update recording of call ${callSid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calls started before `cutoff` that still reference a recording
+   * (their own or a voicemail's)
+   */
+  async findWithExpiredRecordings(cutoff) {
+    try {
+      const query = `
+        SELECT c.* FROM calls c
+        WHERE c.start_time < $1
+          AND (
+            c.recording_url IS NOT NULL
+            OR EXISTS (
+              SELECT 1 FROM voicemails v
+              WHERE v.call_id = c.id AND v.recording_url IS NOT NULL
+            )
+          )
+        ORDER BY c.start_time ASC
+      `;
+
+      const result = await this.pool.query(query, [cutoff]);
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error('Failed to find expired recordings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the recording of a call once the audio is deleted
+   */
+  async clearRecording(callId, client = this.pool) {
+    try {
+      await client.query(
+        `UPDATE calls
+         SET recording_url = NULL,
+             metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object(
+               'recording',
+               (COALESCE(metadata->'recording', '{}'::jsonb) - 'uri' - 'twilioUrl')
+                 || jsonb_build_object('purgedAt', NOW())
+             )
+         WHERE id = $1`,
+        [callId]
+      );
+    } catch (error) {
+      logger.error(`Failed to clear recording of call ${callId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge keys into the call metadata
+   */
+  async updateMetadata(callSid, metadata) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE calls SET metadata = COALESCE(metadata, '{}'::jsonb) || $2::jsonb
+         WHERE call_sid = $1
+         RETURNING *`,
+        [callSid, JSON.stringify(metadata)]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to update metadata of call ${callSid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Most recent calls with a customer: calls from them and callbacks to them
+   */
+  async findByCustomerNumber(phoneNumber, limit = 20) {
+    try {
+      const result = await this.pool.query(
+        `SELECT * FROM calls
+         WHERE (direction = 'inbound' AND from_number = $1)
+            OR (direction = 'outbound' AND to_number = $1)
+         ORDER BY start_time DESC
+         LIMIT $2`,
+        [phoneNumber, limit]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error('Failed to find calls of customer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Language used on the caller's most recent call
+   * Falls back to the language of their transcribed turns
+   */
+  async findPreviousLanguage(fromNumber) {
+    try {
+      const query = `
+        SELECT COALESCE(
+          c.metadata->>'language',
+          (
+            SELECT t.language FROM transcripts t
+            WHERE t.call_id = c.id AND t.speaker = 'caller'
+            ORDER BY t.created_at DESC
+            LIMIT 1
+          )
+        ) AS language
+        FROM calls c
+        WHERE c.from_number = $1
+        ORDER BY c.start_time DESC
+        LIMIT 5
+      `;
+
+      const result = await this.pool.query(query, [fromNumber]);
+      const match = result.rows.find(row => row.language);
+
+      return match ? match.language : null;
+    } catch (error) {
+      logger.error('Failed to find previous call language:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update call status following the status state machine
+   * Returns the updated call, or null if the transition was rejected
+   */
+  async updateStatus(callSid, status, details = {}) {
+    const normalized = this.normalizeStatus(status);
+
+    if (!normalized) {
+      logger.warn('Unknown call status ignored', { callSid, status });
+      return null;
+    }
+
+    try {
+      const isTerminal = TERMINAL_STATUSES.includes(normalized);
+
+      // The status guard in WHERE keeps concurrent callbacks from moving a call backwards
+      // An ingested recording URL is kept over the Twilio one
+      const query = `
+        UPDATE calls
+        SET status = $2,
+            duration = COALESCE($3::integer, duration),
+            end_time = CASE WHEN $4::boolean THEN COALESCE(end_time, NOW()) ELSE end_time END,
+            recording_url = COALESCE(recording_url, $5),
+            recording_duration = COALESCE($6::integer, recording_duration)
+        WHERE call_sid = $1 AND status = ANY($7::text[])
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        callSid,
+        normalized,
+        details.duration ?? null,
+        isTerminal,
+        details.recordingUrl || null,
+        details.recordingDuration ?? null,
+        this.getAllowedPreviousStatuses(normalized),
+      ]);
+
+      if (result.rows.length === 0) {
+        logger.warn('Call status transition rejected', { callSid, status: normalized });
+        return null;
+      }
+
+      logger.debug('Call status updated', { callSid, status: normalized });
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error(`Failed to update call ${callSid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      callSid: row.call_sid,
+      fromNumber: row.from_number,
+      toNumber: row.to_number,
+      direction: row.direction,
+      status: row.status,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      duration: row.duration,
+      recordingUrl: row.recording_url,
+      recordingDuration: row.recording_duration,
+      price: row.price !== null ? parseFloat(row.price) : null,
+      priceUnit: row.price_unit,
+      metadata: row.metadata,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Singleton instance
+const callModel = new CallModel();
+
+export default callModel;
@@ -0,0 +1,213 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Callback Model
+ * Customer callback queue in the `callback_requests` table
+ */
+
+class CallbackModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Create a callback request
+   */
+  async create(callback) {
+    try {
+      const query = `
+        INSERT INTO callback_requests (
+          call_id, phone_number, language, reason,
+          preferred_start, preferred_end, max_attempts, next_attempt_at, metadata
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        callback.callId || null,
+        callback.phoneNumber,
+        callback.language || 'fr-FR',
+        callback.reason || null,
+        callback.preferredStart || null,
+        callback.preferredEnd || null,
+        callback.maxAttempts,
+        callback.nextAttemptAt,
+        JSON.stringify(callback.metadata || {}),
+      ]);
+
+      logger.info('Callback request saved', {
+        callbackId: result.rows[0].id,
+        nextAttemptAt: callback.nextAttemptAt,
+      });
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to save callback request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a pending callback for a phone number (avoid duplicate requests)
+   */
+  async findPendingByPhone(phoneNumber) {
+    try {
+      const result = await this.pool.query(
+        `SELECT * FROM callback_requests
+         WHERE phone_number = $1 AND status IN ('pending', 'calling')
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [phoneNumber]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to find pending callback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically claim due callbacks (safe with several app instances)
+   */
+  async claimDue(limit = 5) {
+    try {
+      const query = `
+        UPDATE callback_requests
+        SET status = 'calling', attempts = attempts + 1
+        WHERE id IN (
+          SELECT id FROM callback_requests
+          WHERE status = 'pending' AND next_attempt_at <= NOW()
+          ORDER BY next_attempt_at ASC
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [limit]);
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error('Failed to claim due callbacks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put callbacks stuck in 'calling' for more than `minutes` back to 'pending'
+   */
+  async releaseStale(minutes) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE callback_requests
+         SET status = 'pending', next_attempt_at = NOW()
+         WHERE status = 'calling' AND updated_at < NOW() - make_interval(mins => $1)
+         RETURNING *`,
+        [minutes]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error('Failed to release stale callbacks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find callback by the SID of the outbound call placed for it
+   */
+  async findByCallSid(callSid) {
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM callback_requests WHERE last_call_sid = $1',
+        [callSid]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to find callback for call ${callSid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find callback by ID
+   */
+  async findById(id) {
+    try {
+      const result = await this.pool.query('SELECT * FROM callback_requests WHERE id = $1', [id]);
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to find callback ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outbound call placed for a callback
+   */
+  async setCallSid(id, callSid) {
+    try {
+      await this.pool.query(
+        'UPDATE callback_requests SET last_call_sid = $2 WHERE id = $1',
+        [id, callSid]
+      );
+    } catch (error) {
+      logger.error(`Failed to update callback ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set callback status, optionally scheduling the next attempt
+   * Only callbacks currently being called can change state
+   */
+  async updateStatus(id, status, nextAttemptAt = null) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE callback_requests
+         SET status = $2, next_attempt_at = COALESCE($3, next_attempt_at)
+         WHERE id = $1 AND status = 'calling'
+         RETURNING *`,
+        [id, status, nextAttemptAt]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to update callback ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      callId: row.call_id,
+      phoneNumber: row.phone_number,
+      language: row.language,
+      reason: row.reason,
+      preferredStart: row.preferred_start,
+      preferredEnd: row.preferred_end,
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastCallSid: row.last_call_sid,
+      metadata: row.metadata,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Singleton instance
+const callbackModel = new CallbackModel();
+
+export default callbackModel;
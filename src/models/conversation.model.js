@@ -0,0 +1,254 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Conversation Model
+ * Text conversations in the `conversations` and `conversation_messages` tables
+ *
+ * active (assistant answers) -> handoff (staff answer) -> closed.
+ * A conversation idle for longer than the session timeout is left as is,
+ * the customer's next message starts a new one.
+ */
+
+class ConversationModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Create a conversation
+   */
+  async create(conversation) {
+    try {
+      const result = await this.pool.query(
+        `INSERT INTO conversations (channel, contact, language, metadata)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [
+          conversation.channel,
+          conversation.contact,
+          conversation.language || null,
+          JSON.stringify(conversation.metadata || {}),
+        ]
+      );
+
+      logger.info('Conversation created', {
+        conversationId: result.rows[0].id,
+        channel: conversation.channel,
+      });
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to create conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find conversation by ID
+   */
+  async findById(id) {
+    try {
+      const result = await this.pool.query('SELECT * FROM conversations WHERE id = $1', [id]);
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to find conversation ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open conversation with a customer, unless idle for more than `timeoutMinutes`
+   */
+  async findOpen(channel, contact, timeoutMinutes) {
+    try {
+      const result = await this.pool.query(
+        `SELECT * FROM conversations
+         WHERE channel = $1 AND contact = $2
+           AND status IN ('active', 'handoff')
+           AND last_message_at > NOW() - make_interval(mins => $3)
+         ORDER BY last_message_at DESC
+         LIMIT 1`,
+        [channel, contact, timeoutMinutes]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to find open conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * SMS and WhatsApp conversations with these phone numbers, newest first
+   * Returns { <contact>: [conversations] }, to link them with the customer's calls
+   */
+  async findByPhoneNumbers(phoneNumbers) {
+    try {
+      const result = await this.pool.query(
+        `SELECT * FROM conversations
+         WHERE channel IN ('sms', 'whatsapp') AND contact = ANY($1::text[])
+         ORDER BY last_message_at DESC`,
+        [phoneNumbers]
+      );
+
+      return result.rows.reduce((byContact, row) => {
+        byContact[row.contact] = byContact[row.contact] || [];
+        byContact[row.contact].push(this.format(row));
+        return byContact;
+      }, {});
+    } catch (error) {
+      logger.error('Failed to find conversations of phone numbers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a message and mark the conversation active now
+   */
+  async addMessage(conversationId, message) {
+    try {
+      const result = await this.pool.query(
+        `WITH touched AS (
+           UPDATE conversations SET last_message_at = NOW() WHERE id = $1
+         )
+         INSERT INTO conversation_messages (
+           conversation_id, direction, sender, body, intent, provider_message_id, metadata
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          conversationId,
+          message.direction,
+          message.sender,
+          message.body || null,
+          message.intent || null,
+          message.providerMessageId || null,
+          JSON.stringify(message.metadata || {}),
+        ]
+      );
+
+      return this.formatMessage(result.rows[0]);
+    } catch (error) {
+      logger.error(`Failed to save message of conversation ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Latest messages of a conversation, oldest first
+   */
+  async getMessages(conversationId, limit = 50) {
+    try {
+      const result = await this.pool.query(
+        `SELECT * FROM (
+           SELECT * FROM conversation_messages
+           WHERE conversation_id = $1
+           ORDER BY created_at DESC
+           LIMIT $2
+         ) latest
+         ORDER BY created_at ASC`,
+        [conversationId, limit]
+      );
+
+      return result.rows.map(row => this.formatMessage(row));
+    } catch (error) {
+      logger.error(`Failed to get messages of conversation ${conversationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * When the customer last wrote to us on a channel, across all their conversations
+   */
+  async findLastInboundAt(channel, contact) {
+    try {
+      const result = await this.pool.query(
+        `SELECT MAX(m.created_at) AS last_inbound_at
+         FROM conversation_messages m
+         JOIN conversations c ON c.id = m.conversation_id
+         WHERE c.channel = $1 AND c.contact = $2 AND m.direction = 'inbound'`,
+        [channel, contact]
+      );
+
+      return result.rows[0].last_inbound_at;
+    } catch (error) {
+      logger.error('Failed to find last inbound message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remember the customer's language
+   */
+  async setLanguage(id, language) {
+    try {
+      await this.pool.query('UPDATE conversations SET language = $2 WHERE id = $1', [id, language]);
+    } catch (error) {
+      logger.error(`Failed to update conversation ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a conversation to a new status
+   * Only allowed from the given statuses, returns null otherwise
+   */
+  async updateStatus(id, status, fromStatuses, handoffReason = null) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE conversations
+         SET status = $2, handoff_reason = COALESCE($4, handoff_reason)
+         WHERE id = $1 AND status = ANY($3::text[])
+         RETURNING *`,
+        [id, status, fromStatuses, handoffReason]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to update conversation ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      channel: row.channel,
+      contact: row.contact,
+      language: row.language,
+      status: row.status,
+      handoffReason: row.handoff_reason,
+      metadata: row.metadata,
+      lastMessageAt: row.last_message_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * Format message row
+   */
+  formatMessage(row) {
+    return {
+      id: row.id,
+      conversationId: row.conversation_id,
+      direction: row.direction,
+      sender: row.sender,
+      body: row.body,
+      intent: row.intent,
+      providerMessageId: row.provider_message_id,
+      metadata: row.metadata,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+// Singleton instance
+const conversationModel = new ConversationModel();
+
+export default conversationModel;
@@ -0,0 +1,133 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Document Model
+ * Knowledge base documents in the `documents` table (their chunks are in the vector store)
+ */
+
+class DocumentModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Create or update the document imported from an external source (Drive file)
+   */
+  async upsertFromSource(document) {
+    try {
+      const query = `
+        INSERT INTO documents (
+          source, source_id, title, content, metadata, department, category, access_level
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (source, source_id) WHERE source_id IS NOT NULL
+        DO UPDATE SET
+          title = EXCLUDED.title,
+          content = EXCLUDED.content,
+          metadata = EXCLUDED.metadata,
+          department = EXCLUDED.department,
+          category = EXCLUDED.category,
+          access_level = EXCLUDED.access_level
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        document.source,
+        document.sourceId,
+        document.title,
+        document.content,
+        JSON.stringify(document.metadata || {}),
+        document.department || null,
+        document.category || null,
+        document.accessLevel || 'public',
+      ]);
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to save document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the document imported from an external source
+   */
+  async findBySource(source, sourceId) {
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM documents WHERE source = $1 AND source_id = $2',
+        [source, sourceId]
+      );
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to find document ${source}/${sourceId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Documents kept in the database (not imported from Drive)
+   * `staleOnly`: never indexed, or edited since the last indexing
+   */
+  async findStored({ staleOnly = false } = {}) {
+    try {
+      const query = `
+        SELECT * FROM documents
+        WHERE source <> 'drive'
+        ${staleOnly ? 'AND (last_indexed_at IS NULL OR updated_at > last_indexed_at)' : ''}
+        ORDER BY created_at
+      `;
+
+      const result = await this.pool.query(query);
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error('Failed to list documents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the document's chunks are up to date
+   * (the updated_at trigger sets the same NOW(), so the document is no longer stale)
+   */
+  async markIndexed(id) {
+    try {
+      await this.pool.query(
+        'UPDATE documents SET last_indexed_at = NOW() WHERE id = $1',
+        [id]
+      );
+    } catch (error) {
+      logger.error(`Failed to mark document ${id} as indexed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      source: row.source,
+      sourceId: row.source_id,
+      title: row.title,
+      content: row.content,
+      metadata: row.metadata,
+      department: row.department,
+      category: row.category,
+      tags: row.tags,
+      accessLevel: row.access_level,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      lastIndexedAt: row.last_indexed_at,
+    };
+  }
+}
+
+// Singleton instance
+const documentModel = new DocumentModel();
+
+export default documentModel;
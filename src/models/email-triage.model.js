@@ -0,0 +1,120 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Email Triage Model
+ * What the virtual secretary did with each inbox email, in the `email_triage` table
+ */
+
+class EmailTriageModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Record a triaged email, or return null when it was already triaged
+   */
+  async create(triage) {
+    try {
+      const query = `
+        INSERT INTO email_triage (
+          message_id, thread_id, sender, subject, language,
+          intent, action, reason, draft_id, sources
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (message_id) DO NOTHING
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        triage.messageId,
+        triage.threadId || null,
+        triage.sender || null,
+        triage.subject || null,
+        triage.language || null,
+        triage.intent || null,
+        triage.action,
+        triage.reason || null,
+        triage.draftId || null,
+        JSON.stringify(triage.sources || []),
+      ]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      logger.info('Email triaged', {
+        messageId: triage.messageId,
+        intent: triage.intent,
+        action: triage.action,
+      });
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to save email triage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Triage of a Gmail message, or null when it was never triaged
+   */
+  async findByMessageId(messageId) {
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM email_triage WHERE message_id = $1',
+        [messageId]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to look up triage of message ${messageId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a reply in progress forward (draft saved, then sent)
+   */
+  async updateReply(messageId, { action, draftId }) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE email_triage
+         SET action = $2, draft_id = COALESCE($3, draft_id)
+         WHERE message_id = $1
+         RETURNING *`,
+        [messageId, action, draftId || null]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to update triage of message ${messageId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      messageId: row.message_id,
+      threadId: row.thread_id,
+      sender: row.sender,
+      subject: row.subject,
+      language: row.language,
+      intent: row.intent,
+      action: row.action,
+      reason: row.reason,
+      draftId: row.draft_id,
+      sources: row.sources,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+// Singleton instance
+const emailTriageModel = new EmailTriageModel();
+
+export default emailTriageModel;
@@ -0,0 +1,168 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handoff Model
+ * Transfers to human agents in the `call_handoffs` table
+ *
+ * pending -> accepted -> completed, or pending -> rejected (no agent took
+ * the call) / abandoned (caller hung up while waiting).
+ * accepted_at - requested_at is how long the caller waited for a human.
+ */
+
+const CLOSED_STATUSES = ['rejected', 'completed', 'abandoned'];
+
+class HandoffModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Create a pending handoff
+   */
+  async create(handoff) {
+    try {
+      const query = `
+        INSERT INTO call_handoffs (call_id, agent_id, reason, context, status)
+        VALUES ($1, $2, $3, $4, 'pending')
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        handoff.callId,
+        handoff.agentId || null,
+        handoff.reason || null,
+        JSON.stringify({ attempts: [], ...handoff.context }),
+      ]);
+
+      logger.info('Handoff created', { handoffId: result.rows[0].id, callId: handoff.callId });
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to create handoff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find handoff by ID
+   */
+  async findById(id) {
+    try {
+      const result = await this.pool.query('SELECT * FROM call_handoffs WHERE id = $1', [id]);
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to find handoff ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Offer a pending handoff to an agent
+   */
+  async assignAgent(id, agentId) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE call_handoffs SET agent_id = $2
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [id, agentId]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to assign handoff ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Append an offer outcome ({ agentId, offeredAt, endedAt, outcome }) to context.attempts
+   */
+  async recordAttempt(id, attempt) {
+    try {
+      await this.pool.query(
+        `UPDATE call_handoffs
+         SET context = jsonb_set(
+           context, '{attempts}', COALESCE(context->'attempts', '[]'::jsonb) || $2::jsonb
+         )
+         WHERE id = $1`,
+        [id, JSON.stringify([attempt])]
+      );
+    } catch (error) {
+      logger.error(`Failed to record handoff attempt ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a handoff to a new status, stamping accepted_at / completed_at
+   * Only allowed from the given statuses, returns null otherwise
+   */
+  async updateStatus(id, status, fromStatuses, details = {}) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE call_handoffs
+         SET status = $2,
+             accepted_at = CASE WHEN $2 = 'accepted' THEN NOW() ELSE accepted_at END,
+             completed_at = CASE WHEN $2 = ANY($4::text[]) THEN NOW() ELSE completed_at END,
+             context = context || $5::jsonb
+         WHERE id = $1 AND status = ANY($3::text[])
+         RETURNING *`,
+        [id, status, fromStatuses, CLOSED_STATUSES, JSON.stringify(details)]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to update handoff ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Latest handoff of each of several calls, keyed by call ID
+   */
+  async findLatestByCallIds(callIds) {
+    try {
+      const result = await this.pool.query(
+        `SELECT DISTINCT ON (call_id) * FROM call_handoffs
+         WHERE call_id = ANY($1::uuid[])
+         ORDER BY call_id, requested_at DESC`,
+        [callIds]
+      );
+
+      return Object.fromEntries(result.rows.map(row => [row.call_id, this.format(row)]));
+    } catch (error) {
+      logger.error('Failed to get handoffs of calls:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    const waitSeconds = row.accepted_at
+      ? Math.round((new Date(row.accepted_at) - new Date(row.requested_at)) / 1000)
+      : null;
+
+    return {
+      id: row.id,
+      callId: row.call_id,
+      agentId: row.agent_id,
+      reason: row.reason,
+      context: row.context,
+      status: row.status,
+      requestedAt: row.requested_at,
+      acceptedAt: row.accepted_at,
+      completedAt: row.completed_at,
+      waitSeconds,
+    };
+  }
+}
+
+// Singleton instance
+const handoffModel = new HandoffModel();
+
+export default handoffModel;
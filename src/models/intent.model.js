@@ -0,0 +1,119 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Intent Model
+ * Intents detected during a call in the `intents` table
+ */
+
+class IntentModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Save a detected intent
+   */
+  async create(intent, client = this.pool) {
+    try {
+      const query = `
+        INSERT INTO intents (call_id, intent_name, confidence, slots, fulfilled)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [
+        intent.callId,
+        intent.name,
+        intent.confidence || 0,
+        JSON.stringify(intent.slots || {}),
+        intent.fulfilled || false,
+      ]);
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to save intent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get intents of a call in chronological order
+   */
+  async findByCallId(callId) {
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM intents WHERE call_id = $1 ORDER BY created_at ASC',
+        [callId]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Failed to get intents for call ${callId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Intents of several calls, grouped by call ID
+   */
+  async findByCallIds(callIds) {
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM intents WHERE call_id = ANY($1::uuid[]) ORDER BY created_at ASC',
+        [callIds]
+      );
+
+      return result.rows.reduce((byCall, row) => {
+        byCall[row.call_id] = byCall[row.call_id] || [];
+        byCall[row.call_id].push(this.format(row));
+        return byCall;
+      }, {});
+    } catch (error) {
+      logger.error('Failed to get intents of calls:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Most frequent intents of [from, to), counted once per call
+   */
+  async findTop(from, to, limit = 10) {
+    try {
+      const result = await this.pool.query(
+        `SELECT intent_name, COUNT(DISTINCT call_id)::int AS count
+         FROM intents
+         WHERE created_at >= $1 AND created_at < $2
+         GROUP BY intent_name
+         ORDER BY count DESC, intent_name
+         LIMIT $3`,
+        [from, to, limit]
+      );
+
+      return result.rows.map(row => ({ name: row.intent_name, count: row.count }));
+    } catch (error) {
+      logger.error('Failed to get top intents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      callId: row.call_id,
+      name: row.intent_name,
+      confidence: parseFloat(row.confidence),
+      slots: row.slots,
+      fulfilled: row.fulfilled,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+// Singleton instance
+const intentModel = new IntentModel();
+
+export default intentModel;
@@ -0,0 +1,90 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * RAG Query Model
+ * Knowledge base searches in the `rag_queries` table (admin metrics)
+ */
+
+class RagQueryModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Log a knowledge base search and the chunks it found
+   */
+  async create(ragQuery) {
+    try {
+      const query = `
+        INSERT INTO rag_queries (call_id, query, results, top_score, used_in_response, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        ragQuery.callId || null,
+        ragQuery.query,
+        JSON.stringify(ragQuery.results || []),
+        ragQuery.topScore ?? null,
+        ragQuery.usedInResponse || false,
+        JSON.stringify(ragQuery.metadata || {}),
+      ]);
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to log RAG query:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Knowledge base searches of [from, to): count, average best score of the
+   * searches that found something and hit rate (share that found something)
+   */
+  async getStats(from, to) {
+    try {
+      const result = await this.pool.query(
+        `SELECT
+           COUNT(*)::int AS total,
+           AVG(top_score) AS avg_top_score,
+           AVG(CASE WHEN jsonb_array_length(results) > 0 THEN 1 ELSE 0 END) AS hit_rate
+         FROM rag_queries
+         WHERE created_at >= $1 AND created_at < $2`,
+        [from, to]
+      );
+
+      const row = result.rows[0];
+
+      return {
+        totalQueries: row.total,
+        avgConfidence: row.avg_top_score !== null ? parseFloat(row.avg_top_score) : null,
+        hitRate: row.hit_rate !== null ? parseFloat(row.hit_rate) : null,
+      };
+    } catch (error) {
+      logger.error('Failed to compute RAG query stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      callId: row.call_id,
+      query: row.query,
+      results: row.results,
+      topScore: row.top_score !== null ? parseFloat(row.top_score) : null,
+      usedInResponse: row.used_in_response,
+      metadata: row.metadata,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+// Singleton instance
+const ragQueryModel = new RagQueryModel();
+
+export default ragQueryModel;
@@ -0,0 +1,176 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Reindex Job Model
+ * Knowledge base reindex jobs and their progress in the `reindex_jobs` table
+ */
+
+// Unique index allowing a single running job
+const RUNNING_CONFLICT = '23505';
+
+class ReindexJobModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Start a job, or return null when another one is still running
+   */
+  async create(job) {
+    try {
+      const query = `
+        INSERT INTO reindex_jobs (source, full_reindex, folder_id, started_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        job.source,
+        job.fullReindex || false,
+        job.folderId || null,
+        job.startedBy || null,
+      ]);
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      if (error.code === RUNNING_CONFLICT) {
+        return null;
+      }
+
+      logger.error('Failed to create reindex job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find job by ID
+   */
+  async findById(id) {
+    try {
+      const result = await this.pool.query('SELECT * FROM reindex_jobs WHERE id = $1', [id]);
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to find reindex job ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * The job currently running, if any
+   */
+  async findRunning() {
+    try {
+      const result = await this.pool.query("SELECT * FROM reindex_jobs WHERE status = 'running'");
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to find running reindex job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Duration in seconds of the last completed job of a source
+   */
+  async findLastDuration(source, fullReindex) {
+    try {
+      const query = `
+        SELECT EXTRACT(EPOCH FROM (completed_at - started_at)) AS duration
+        FROM reindex_jobs
+        WHERE source = $1 AND full_reindex = $2 AND status = 'completed'
+        ORDER BY completed_at DESC
+        LIMIT 1
+      `;
+
+      const result = await this.pool.query(query, [source, fullReindex]);
+
+      return result.rows.length > 0 ? Math.round(parseFloat(result.rows[0].duration)) : null;
+    } catch (error) {
+      logger.error('Failed to find last reindex duration:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record progress of a running job
+   */
+  async updateProgress(id, { total, processed, failed }) {
+    try {
+      await this.pool.query(
+        `UPDATE reindex_jobs SET total = $2, processed = $3, failed = $4
+         WHERE id = $1 AND status = 'running'`,
+        [id, total, processed, failed]
+      );
+    } catch (error) {
+      logger.error(`Failed to update reindex job ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * End a running job ('completed' or 'failed')
+   */
+  async finish(id, status, { errors = [], error = null } = {}) {
+    try {
+      const query = `
+        UPDATE reindex_jobs
+        SET status = $2, errors = $3, error = $4, completed_at = NOW()
+        WHERE id = $1 AND status = 'running'
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [id, status, JSON.stringify(errors), error]);
+
+      return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+    } catch (err) {
+      logger.error(`Failed to finish reindex job ${id}:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Fail the jobs a restart interrupted
+   */
+  async failInterrupted() {
+    try {
+      const result = await this.pool.query(`
+        UPDATE reindex_jobs
+        SET status = 'failed', error = 'Interrupted by a server restart', completed_at = NOW()
+        WHERE status = 'running'
+      `);
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Failed to fail interrupted reindex jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      source: row.source,
+      fullReindex: row.full_reindex,
+      folderId: row.folder_id,
+      status: row.status,
+      total: row.total,
+      processed: row.processed,
+      failed: row.failed,
+      errors: row.errors,
+      error: row.error,
+      startedBy: row.started_by,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+    };
+  }
+}
+
+// Singleton instance
+const reindexJobModel = new ReindexJobModel();
+
+export default reindexJobModel;
@@ -0,0 +1,204 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Reminder Model
+ * Appointment reminders in the `appointment_reminders` table
+ */
+
+class ReminderModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Create a reminder, or return null when this attendee was already reminded of the event
+   */
+  async create(reminder) {
+    try {
+      const query = `
+        INSERT INTO appointment_reminders (
+          event_id, calendar_id, attendee_email, phone_number,
+          language, channel, appointment_start
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (event_id, phone_number) DO NOTHING
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        reminder.eventId,
+        reminder.calendarId || 'primary',
+        reminder.attendeeEmail || null,
+        reminder.phoneNumber,
+        reminder.language || 'fr-FR',
+        reminder.channel,
+        reminder.appointmentStart,
+      ]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      logger.info('Appointment reminder saved', {
+        reminderId: result.rows[0].id,
+        eventId: reminder.eventId,
+      });
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to save appointment reminder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find reminder by ID
+   */
+  async findById(id) {
+    try {
+      const result = await this.pool.query('SELECT * FROM appointment_reminders WHERE id = $1', [id]);
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to find reminder ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find reminder by the SID of the reminder call
+   */
+  async findByCallSid(callSid) {
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM appointment_reminders WHERE call_sid = $1',
+        [callSid]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to find reminder for call ${callSid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether an attendee was already reminded of an event (skips the contact lookup)
+   */
+  async existsForAttendee(eventId, attendeeEmail) {
+    try {
+      const result = await this.pool.query(
+        'SELECT 1 FROM appointment_reminders WHERE event_id = $1 AND attendee_email = $2 LIMIT 1',
+        [eventId, attendeeEmail]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error(`Failed to look up reminders of event ${eventId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Latest reminder still waiting for this customer's answer (incoming SMS)
+   */
+  async findAwaitingByPhone(phoneNumber) {
+    try {
+      const result = await this.pool.query(
+        `SELECT * FROM appointment_reminders
+         WHERE phone_number = $1 AND status = 'awaiting_reply' AND appointment_start > NOW()
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [phoneNumber]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to find awaiting reminder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the reminder call
+   */
+  async setCallSid(id, callSid) {
+    try {
+      await this.pool.query(
+        'UPDATE appointment_reminders SET call_sid = $2 WHERE id = $1',
+        [id, callSid]
+      );
+    } catch (error) {
+      logger.error(`Failed to update reminder ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a reply that did not settle the appointment
+   */
+  async recordTurn(id) {
+    try {
+      const result = await this.pool.query(
+        'UPDATE appointment_reminders SET turns = turns + 1 WHERE id = $1 RETURNING *',
+        [id]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to update reminder ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a reminder to a new status, merging `outcome` into the stored outcome
+   * Only allowed from the given statuses, returns null otherwise
+   */
+  async updateStatus(id, status, fromStatuses, { channel = null, outcome = {} } = {}) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE appointment_reminders
+         SET status = $2,
+             channel = COALESCE($3, channel),
+             outcome = outcome || $4::jsonb
+         WHERE id = $1 AND status = ANY($5::text[])
+         RETURNING *`,
+        [id, status, channel, JSON.stringify(outcome), fromStatuses]
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to update reminder ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      eventId: row.event_id,
+      calendarId: row.calendar_id,
+      attendeeEmail: row.attendee_email,
+      phoneNumber: row.phone_number,
+      language: row.language,
+      channel: row.channel,
+      status: row.status,
+      appointmentStart: row.appointment_start,
+      callSid: row.call_sid,
+      turns: row.turns,
+      outcome: row.outcome,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Singleton instance
+const reminderModel = new ReminderModel();
+
+export default reminderModel;
@@ -0,0 +1,121 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Transcript Model
+ * Utterances of a call in the `transcripts` table
+ */
+
+class TranscriptModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Save a transcript entry
+   */
+  async create(entry, client = this.pool) {
+    try {
+      const query = `
+        INSERT INTO transcripts (call_id, speaker, text, language, confidence, timestamp_offset, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `;
+
+      const result = await client.query(query, [
+        entry.callId,
+        entry.speaker,
+        entry.text,
+        entry.language,
+        entry.confidence ?? null,
+        entry.timestampOffset ?? null,
+        JSON.stringify(entry.metadata || {}),
+      ]);
+
+      return this.format(result.rows[0]);
+    } catch (error) {
+      logger.error('Failed to save transcript:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get transcript of a call in chronological order
+   */
+  async findByCallId(callId) {
+    try {
+      const query = `
+        SELECT * FROM transcripts
+        WHERE call_id = $1
+        ORDER BY timestamp_offset ASC NULLS LAST, created_at ASC
+      `;
+
+      const result = await this.pool.query(query, [callId]);
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Failed to get transcript for call ${callId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transcripts of several calls, grouped by call ID
+   */
+  async findByCallIds(callIds) {
+    try {
+      const query = `
+        SELECT * FROM transcripts
+        WHERE call_id = ANY($1::uuid[])
+        ORDER BY call_id, timestamp_offset ASC NULLS LAST, created_at ASC
+      `;
+
+      const result = await this.pool.query(query, [callIds]);
+
+      return result.rows.reduce((byCall, row) => {
+        byCall[row.call_id] = byCall[row.call_id] || [];
+        byCall[row.call_id].push(this.format(row));
+        return byCall;
+      }, {});
+    } catch (error) {
+      logger.error('Failed to get transcripts of calls:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the transcript of a call (before replacing it)
+   */
+  async deleteByCallId(callId, client = this.pool) {
+    try {
+      const result = await client.query('DELETE FROM transcripts WHERE call_id = $1', [callId]);
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Failed to delete transcript for call ${callId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      callId: row.call_id,
+      speaker: row.speaker,
+      text: row.text,
+      language: row.language,
+      confidence: row.confidence !== null ? parseFloat(row.confidence) : null,
+      timestamp: row.timestamp_offset,
+      metadata: row.metadata,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+// Singleton instance
+const transcriptModel = new TranscriptModel();
+
+export default transcriptModel;
@@ -0,0 +1,140 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Voicemail Model
+ * Voicemails left by callers in the `voicemails` table
+ */
+
+class VoicemailModel {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+   * Create a voicemail (idempotent on recording_sid)
+   * Returns null if the recording was already stored
+   */
+  async create(voicemail) {
+    try {
+      const query = `
+        INSERT INTO voicemails (call_id, recording_sid, recording_url, duration, language)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (recording_sid) DO NOTHING
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        voicemail.callId,
+        voicemail.recordingSid,
+        voicemail.recordingUrl,
+        voicemail.duration ?? null,
+        voicemail.language,
+      ]);
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to save voicemail:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update voicemail fields
+   */
+  async update(id, fields) {
+    const columns = {
+      transcript: 'transcript',
+      summary: 'summary',
+      status: 'status',
+      notifiedAt: 'notified_at',
+      metadata: 'metadata',
+    };
+
+    const sets = [];
+    const params = [id];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (fields[key] !== undefined) {
+        params.push(key === 'metadata' ? JSON.stringify(fields[key]) : fields[key]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query(
+        `UPDATE voicemails SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+        params
+      );
+
+      return result.rows[0] ? this.format(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Failed to update voicemail ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the recordings of a call's voicemails (transcripts are kept)
+   */
+  async clearRecordings(callId, client = this.pool) {
+    try {
+      const result = await client.query(
+        'UPDATE voicemails SET recording_url = NULL WHERE call_id = $1 AND recording_url IS NOT NULL',
+        [callId]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Failed to clear voicemail recordings of call ${callId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get voicemails of a call
+   */
+  async findByCallId(callId) {
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM voicemails WHERE call_id = $1 ORDER BY created_at ASC',
+        [callId]
+      );
+
+      return result.rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error(`Failed to get voicemails for call ${callId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format database row
+   */
+  format(row) {
+    return {
+      id: row.id,
+      callId: row.call_id,
+      recordingSid: row.recording_sid,
+      recordingUrl: row.recording_url,
+      duration: row.duration,
+      language: row.language,
+      transcript: row.transcript,
+      summary: row.summary,
+      status: row.status,
+      notifiedAt: row.notified_at,
+      metadata: row.metadata,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Singleton instance
+const voicemailModel = new VoicemailModel();
+
+export default voicemailModel;
@@ -0,0 +1,18 @@
+import express from 'express';
+import adminController from '../controllers/admin.controller.js';
+import { authenticate, requireRole } from '../middleware/auth.middleware.js';
+
+/**
+ * Admin Routes
+ * Mounted under /api/admin - metrics and knowledge base reindexing (admins only)
+ */
+
+const router = express.Router();
+
+router.use(authenticate, requireRole('admin'));
+
+router.get('/metrics', adminController.getMetrics);
+router.post('/rag/reindex', adminController.startReindex);
+router.get('/rag/reindex/:jobId', adminController.getReindexJob);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import agentController from '../controllers/agent.controller.js';
+import { authenticate, requireRole } from '../middleware/auth.middleware.js';
+
+/**
+ * Agent Routes
+ * Mounted under /api/agents - presence of human agents
+ * (the live board WebSocket is /api/agents/board, see websocket/server.js)
+ */
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', agentController.listAgents);
+router.get('/me', agentController.getMe);
+router.put('/me/status', agentController.updateStatus);
+router.put('/:id/status', requireRole('admin'), agentController.updateStatus);
+
+export default router;
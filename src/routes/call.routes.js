@@ -0,0 +1,19 @@
+import express from 'express';
+import callController from '../controllers/call.controller.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+
+/**
+ * Call Routes
+ * Mounted under /api/calls - call history for agents and back-office tools
+ */
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', callController.listCalls);
+router.get('/:id', callController.getCall);
+router.get('/:id/transcript', callController.getCallTranscript);
+router.get('/:id/recording', callController.getCallRecording);
+
+export default router;
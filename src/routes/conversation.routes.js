@@ -0,0 +1,18 @@
+import express from 'express';
+import conversationController from '../controllers/conversation.controller.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+
+/**
+ * Conversation Routes
+ * Mounted under /api/conversations - text conversations (SMS) for staff
+ */
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/:id', conversationController.getConversation);
+router.post('/:id/messages', conversationController.replyToConversation);
+router.post('/:id/close', conversationController.closeConversation);
+
+export default router;
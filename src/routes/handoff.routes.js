@@ -0,0 +1,19 @@
+import express from 'express';
+import handoffController from '../controllers/handoff.controller.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+
+/**
+ * Handoff Routes
+ * Mounted under /api/handoffs - used by agents
+ */
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/:id', handoffController.getHandoff);
+router.post('/:id/accept', handoffController.acceptHandoff);
+router.post('/:id/reject', handoffController.rejectHandoff);
+router.post('/:id/complete', handoffController.completeHandoff);
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import webhookController from '../controllers/webhook.controller.js';
+import {
+  validateTwilioSignature,
+  validateDialogflowSignature,
+} from '../middleware/webhook.middleware.js';
+
+/**
+ * Webhook Routes
+ * Mounted under /api/webhooks - paths match the URLs referenced in our TwiML
+ */
+
+const router = express.Router();
+
+// Twilio voice
+router.post('/twilio/voice', validateTwilioSignature, webhookController.twilioVoiceWebhook);
+router.post('/twilio/outbound', validateTwilioSignature, webhookController.twilioVoiceWebhook);
+router.post('/twilio/language', validateTwilioSignature, webhookController.twilioLanguageWebhook);
+router.post('/twilio/language/menu', validateTwilioSignature, webhookController.twilioLanguageMenuWebhook);
+router.post('/twilio/language/detect', validateTwilioSignature, webhookController.twilioLanguageDetectWebhook);
+router.post('/twilio/speech', validateTwilioSignature, webhookController.twilioSpeechWebhook);
+router.post('/twilio/stream/fallback', validateTwilioSignature, webhookController.twilioStreamFallbackWebhook);
+router.post('/twilio/status', validateTwilioSignature, webhookController.twilioStatusWebhook);
+router.post('/twilio/dial-status', validateTwilioSignature, webhookController.twilioDialStatusWebhook);
+router.post('/twilio/transfer', validateTwilioSignature, webhookController.twilioTransferWebhook);
+router.post('/twilio/transfer/agent', validateTwilioSignature, webhookController.twilioTransferAgentWebhook);
+router.post('/twilio/transfer/agent-answer', validateTwilioSignature, webhookController.twilioTransferAgentAnswerWebhook);
+router.post('/twilio/transfer/agent-status', validateTwilioSignature, webhookController.twilioTransferAgentStatusWebhook);
+router.post('/twilio/queue/enqueue', validateTwilioSignature, webhookController.twilioQueueEnqueueWebhook);
+router.post('/twilio/queue/wait', validateTwilioSignature, webhookController.twilioQueueWaitWebhook);
+router.post('/twilio/queue/result', validateTwilioSignature, webhookController.twilioQueueResultWebhook);
+router.post('/twilio/voicemail/start', validateTwilioSignature, webhookController.twilioVoicemailStartWebhook);
+router.post('/twilio/voicemail', validateTwilioSignature, webhookController.twilioVoicemailWebhook);
+router.post('/twilio/voicemail-recording', validateTwilioSignature, webhookController.twilioVoicemailRecordingWebhook);
+router.post('/twilio/callback/offer', validateTwilioSignature, webhookController.twilioCallbackOfferWebhook);
+router.post('/twilio/callback/choice', validateTwilioSignature, webhookController.twilioCallbackChoiceWebhook);
+router.post('/twilio/callback/schedule', validateTwilioSignature, webhookController.twilioCallbackScheduleWebhook);
+router.post('/twilio/callback/connect', validateTwilioSignature, webhookController.twilioCallbackConnectWebhook);
+router.post('/twilio/reminder', validateTwilioSignature, webhookController.twilioReminderWebhook);
+router.post('/twilio/reminder/reply', validateTwilioSignature, webhookController.twilioReminderReplyWebhook);
+router.post('/twilio/recording-status', validateTwilioSignature, webhookController.twilioRecordingStatusWebhook);
+router.post('/twilio/conference-status', validateTwilioSignature, webhookController.twilioConferenceStatusWebhook);
+router.post('/twilio/participant-status', validateTwilioSignature, webhookController.twilioConferenceStatusWebhook);
+
+// Twilio messaging
+router.post('/twilio/sms', validateTwilioSignature, webhookController.twilioSmsWebhook);
+router.post('/twilio/whatsapp', validateTwilioSignature, webhookController.twilioWhatsAppWebhook);
+
+// Dialogflow CX
+router.post('/dialogflow', validateDialogflowSignature, webhookController.dialogflowWebhook);
+
+export default router;
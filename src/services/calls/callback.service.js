@@ -0,0 +1,277 @@
+import twilioService from '../telephony/twilio.service.js';
+import openaiService from '../llm/openai.service.js';
+import n8nService from '../n8n/n8n.service.js';
+import callModel from '../../models/call.model.js';
+import callbackModel from '../../models/callback.model.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { isBusinessHours, getNextBusinessTime } from '../../utils/helpers.js';
+
+/**
+ * Callback Service
+ * Take callback requests from callers and place the outbound calls
+ * during business hours
+ */
+
+const RETRY_STATUSES = ['no-answer', 'busy', 'failed', 'canceled'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether Twilio answering machine detection reached a machine (AnsweredBy)
+ */
+export const isMachineAnswer = answeredBy => Boolean(answeredBy)
+  && (answeredBy.startsWith('machine') || answeredBy === 'fax');
+
+class CallbackService {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Register a callback request from an inbound call
+   */
+  async requestCallback({ callSid, phoneNumber, language = 'fr-FR', preferredText = null, reason = null }) {
+    const call = callSid ? await callModel.findByCallSid(callSid) : null;
+
+    const existing = await callbackModel.findPendingByPhone(phoneNumber);
+
+    if (existing) {
+      logger.info('Callback already pending for caller', { callbackId: existing.id });
+      return existing;
+    }
+
+    const window = preferredText ? await this.parsePreferredWindow(preferredText) : null;
+
+    const callback = await callbackModel.create({
+      callId: call?.id,
+      phoneNumber,
+      language,
+      reason,
+      preferredStart: window?.start,
+      preferredEnd: window?.end,
+      maxAttempts: config.callbacks.maxAttempts,
+      nextAttemptAt: this.getNextAttemptTime(new Date(), {
+        preferredStart: window?.start,
+        preferredEnd: window?.end,
+      }),
+      metadata: preferredText ? { preferredText } : {},
+    });
+
+    // Staff-side workflow (CRM task, notification)
+    n8nService.requestCallback({
+      callbackId: callback.id,
+      callId: callback.callId,
+      phoneNumber,
+      language,
+      reason,
+      preferredText,
+      scheduledAt: callback.nextAttemptAt,
+    });
+
+    logger.logCall('callback_requested', {
+      callSid,
+      callbackId: callback.id,
+      scheduledAt: callback.nextAttemptAt,
+    });
+
+    return callback;
+  }
+
+  /**
+   * Parse the caller's preferred time ("demain matin", "yarın 14:00") into a window
+   */
+  async parsePreferredWindow(text) {
+    try {
+      const data = await openaiService.extractStructuredData(
+        `Current date and time: ${new Date().toISOString()} (timezone ${config.routing.timezone}).\n${text}`,
+        {
+          start: 'ISO 8601 datetime the caller wants to be called back from, or null',
+          end: 'ISO 8601 datetime the caller wants to be called back until, or null',
+        }
+      );
+
+      const start = data?.start ? new Date(data.start) : null;
+      const end = data?.end ? new Date(data.end) : null;
+
+      return {
+        start: start && !isNaN(start) ? start : null,
+        end: end && !isNaN(end) ? end : null,
+      };
+    } catch (error) {
+      logger.warn('Could not parse callback window:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * First business-hours moment at or after `earliest` inside the caller's preferred
+   * window; once the window has passed, the same hours on the following days
+   */
+  getNextAttemptTime(earliest, { preferredStart = null, preferredEnd = null } = {}) {
+    const next = getNextBusinessTime(earliest);
+
+    if (!preferredStart) {
+      return next;
+    }
+
+    let start = new Date(preferredStart).getTime();
+    let end = preferredEnd ? new Date(preferredEnd).getTime() : null;
+
+    if (end !== null && end > start) {
+      while (end <= next.getTime()) {
+        start += DAY;
+        end += DAY;
+      }
+    }
+
+    return start > next.getTime() ? getNextBusinessTime(new Date(start)) : next;
+  }
+
+  /**
+   * Place calls for callbacks that are due
+   */
+  async processDue() {
+    if (this.processing || !isBusinessHours()) {
+      return;
+    }
+
+    this.processing = true;
+
+    try {
+      await this.recoverStaleClaims();
+
+      const callbacks = await callbackModel.claimDue();
+
+      for (const callback of callbacks) {
+        await this.placeCall(callback);
+      }
+    } catch (error) {
+      logger.error('Callback processing failed:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Place the outbound call for a claimed callback
+   */
+  async placeCall(callback) {
+    const params = new URLSearchParams({
+      callbackId: callback.id,
+      language: callback.language,
+    });
+
+    try {
+      const call = await twilioService.makeCall(callback.phoneNumber, config.twilio.phoneNumber, {
+        twimlUrl: `${config.server.publicUrl}/api/webhooks/twilio/callback/connect?${params}`,
+        // Voicemail pickups must not count as reaching the customer
+        machineDetection: 'Enable',
+      });
+
+      await callbackModel.setCallSid(callback.id, call.sid);
+
+      logger.logCall('callback_call_placed', {
+        callSid: call.sid,
+        callbackId: callback.id,
+        attempt: callback.attempts,
+      });
+    } catch (error) {
+      logger.error(`Failed to place callback ${callback.id}:`, error);
+      await this.retryOrFail(callback);
+    }
+  }
+
+  /**
+   * Update a callback from the status of its outbound call
+   * A call answered by a voicemail or answering machine (AnsweredBy) is retried
+   */
+  async handleCallStatus(callSid, status, answeredBy = null) {
+    if (status !== 'completed' && !RETRY_STATUSES.includes(status)) {
+      return null;
+    }
+
+    const callback = await callbackModel.findByCallSid(callSid);
+
+    if (!callback || callback.status !== 'calling') {
+      return null;
+    }
+
+    if (status === 'completed' && !isMachineAnswer(answeredBy)) {
+      logger.logCall('callback_completed', { callSid, callbackId: callback.id });
+      return callbackModel.updateStatus(callback.id, 'completed');
+    }
+
+    if (answeredBy) {
+      logger.logCall('callback_machine_answered', { callSid, callbackId: callback.id, answeredBy });
+    }
+
+    return this.retryOrFail(callback);
+  }
+
+  /**
+   * Schedule another attempt, or give up after maxAttempts
+   */
+  async retryOrFail(callback) {
+    if (callback.attempts >= callback.maxAttempts) {
+      logger.warn('Callback failed after max attempts', {
+        callbackId: callback.id,
+        attempts: callback.attempts,
+      });
+      return callbackModel.updateStatus(callback.id, 'failed');
+    }
+
+    const retryAt = new Date(Date.now() + config.callbacks.retryDelayMinutes * 60 * 1000);
+
+    return callbackModel.updateStatus(callback.id, 'pending', this.getNextAttemptTime(retryAt, callback));
+  }
+
+  /**
+   * Callbacks left 'calling' by a crash or a lost status callback would block the
+   * number forever: put them back in the queue
+   */
+  async recoverStaleClaims() {
+    try {
+      const recovered = await callbackModel.releaseStale(config.callbacks.staleClaimMinutes);
+
+      if (recovered.length > 0) {
+        logger.warn('Stale callback claims put back in the queue', {
+          callbackIds: recovered.map(callback => callback.id),
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to recover stale callback claims:', error);
+    }
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processDue(), config.callbacks.pollIntervalSeconds * 1000);
+
+    logger.info('Callback scheduler started', {
+      pollIntervalSeconds: config.callbacks.pollIntervalSeconds,
+    });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Singleton instance
+const callbackService = new CallbackService();
+
+export default callbackService;
@@ -0,0 +1,80 @@
+import callModel from '../../models/call.model.js';
+import transcriptModel from '../../models/transcript.model.js';
+import intentModel from '../../models/intent.model.js';
+import { withTransaction } from '../../config/database.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Conversation Log Service
+ * Stores each conversation turn (transcripts + intent) for later review
+ */
+
+class ConversationLogService {
+  /**
+   * Record one orchestrator turn of a call
+   */
+  async recordTurn(callSid, turn) {
+    try {
+      const call = await callModel.findByCallSid(callSid);
+
+      if (!call) {
+        logger.warn('Cannot record turn for unknown call', { callSid });
+        return null;
+      }
+
+      const callStart = new Date(call.startTime).getTime();
+      const userOffset = turn.userTimestamp
+        ? turn.userTimestamp - callStart
+        : Date.now() - callStart;
+
+      return await withTransaction(async (client) => {
+        const userEntry = await transcriptModel.create({
+          callId: call.id,
+          speaker: 'caller',
+          text: turn.userText,
+          language: turn.language,
+          confidence: turn.userConfidence,
+          timestampOffset: userOffset,
+          metadata: turn.userMetadata,
+        }, client);
+
+        const assistantEntry = turn.assistantText
+          ? await transcriptModel.create({
+            callId: call.id,
+            speaker: 'system',
+            text: turn.assistantText,
+            language: turn.language,
+            timestampOffset: Date.now() - callStart,
+            metadata: turn.assistantMetadata,
+          }, client)
+          : null;
+
+        const intent = turn.intent
+          ? await intentModel.create({
+            callId: call.id,
+            name: turn.intent.name,
+            confidence: turn.intent.confidence,
+            slots: turn.intent.slots,
+            fulfilled: turn.intent.fulfilled,
+          }, client)
+          : null;
+
+        logger.debug('Conversation turn recorded', {
+          callSid,
+          intent: intent?.name,
+        });
+
+        return { userEntry, assistantEntry, intent };
+      });
+    } catch (error) {
+      // Logging failure must not break the conversation
+      logger.error('Failed to record conversation turn:', error);
+      return null;
+    }
+  }
+}
+
+// Singleton instance
+const conversationLogService = new ConversationLogService();
+
+export default conversationLogService;
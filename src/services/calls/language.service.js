@@ -0,0 +1,153 @@
+import contactsService from '../google-workspace/contacts.service.js';
+import sttService from '../speech/stt.service.js';
+import twilioService from '../telephony/twilio.service.js';
+import callModel from '../../models/call.model.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { retry } from '../../utils/helpers.js';
+
+/**
+ * Caller Language Service
+ * Pick the conversation language (fr-FR / tr-TR) before greeting the caller
+ */
+
+// Foreign prefixes that tell us the caller's language. +33 is not decisive:
+// many of our Turkish-speaking customers call from French numbers
+const COUNTRY_PREFIXES = {
+  '+90': 'tr-TR',
+  '+32': 'fr-FR',
+  '+41': 'fr-FR',
+  '+352': 'fr-FR',
+  '+377': 'fr-FR',
+  '+212': 'fr-FR',
+  '+213': 'fr-FR',
+  '+216': 'fr-FR',
+};
+
+class LanguageService {
+  /**
+   * Map a locale or language code ('tr', 'tr-tr', 'fr_BE') to a supported language
+   */
+  toSupportedLanguage(code) {
+    const prefix = code?.toLowerCase().slice(0, 2);
+
+    if (prefix === 'tr') return 'tr-TR';
+    if (prefix === 'fr') return 'fr-FR';
+
+    return null;
+  }
+
+  /**
+   * Resolve the caller's language from what we already know about them
+   * Returns { language, source } or null when the caller must be asked
+   */
+  async resolveCallerLanguage({ callSid, from }) {
+    const detectors = [
+      ['history', () => this.fromCallHistory(from)],
+      ['contact', () => this.fromContact(from)],
+      ['country', () => this.fromCountryPrefix(from)],
+    ];
+
+    for (const [source, detect] of detectors) {
+      try {
+        const language = await detect();
+
+        if (language) {
+          logger.logCall('language_resolved', { callSid, language, source });
+          return { language, source };
+        }
+      } catch (error) {
+        // Each source is best effort
+        logger.warn(`Language lookup from ${source} failed:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Language of the caller's latest call (including the current one after a redirect)
+   */
+  async fromCallHistory(from) {
+    const language = await callModel.findPreviousLanguage(from);
+
+    return this.toSupportedLanguage(language);
+  }
+
+  /**
+   * Locale of the caller's Google contact
+   */
+  async fromContact(from) {
+    if (!config.features.enableContacts) {
+      return null;
+    }
+
+    const contact = await contactsService.getContactByPhone(from);
+
+    for (const locale of contact?.locales || []) {
+      const language = this.toSupportedLanguage(locale);
+
+      if (language) {
+        return language;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Language from the international prefix of the caller's number
+   */
+  fromCountryPrefix(from) {
+    const prefix = Object.keys(COUNTRY_PREFIXES)
+      .sort((a, b) => b.length - a.length)
+      .find(candidate => from?.startsWith(candidate));
+
+    return prefix ? COUNTRY_PREFIXES[prefix] : null;
+  }
+
+  /**
+   * Detect the language of the caller's first words (Twilio recording, 8 kHz WAV)
+   */
+  async detectFromRecording(recordingUrl) {
+    // The recording can take a moment to become available
+    const audio = await retry(() => twilioService.downloadRecording(recordingUrl), {
+      maxRetries: 2,
+      initialDelay: 500,
+    });
+
+    const detected = await sttService.detectLanguage(audio, {
+      encoding: 'LINEAR16',
+      sampleRateHertz: 8000,
+    });
+
+    return this.toSupportedLanguage(detected);
+  }
+
+  /**
+   * Language of a written message, from letters only one language uses
+   * (null when the text gives no clue, e.g. plain ASCII)
+   */
+  fromText(text) {
+    if (/[ğışĞİŞ]/.test(text || '')) return 'tr-TR';
+    if (/[àâæèéêëîïôœùûÿÀÂÆÈÉÊËÎÏÔŒÙÛŸ]/.test(text || '')) return 'fr-FR';
+
+    return null;
+  }
+
+  /**
+   * Remember the language on the call so redirects and later calls reuse it
+   */
+  async setCallLanguage(callSid, language, source) {
+    try {
+      await callModel.updateMetadata(callSid, { language, languageSource: source });
+    } catch (error) {
+      logger.error('Failed to save call language:', error);
+    }
+  }
+}
+
+// Singleton instance
+const languageService = new LanguageService();
+
+export default languageService;
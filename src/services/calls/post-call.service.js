@@ -0,0 +1,134 @@
+import orchestratorService from '../llm/orchestrator.service.js';
+import openaiService from '../llm/openai.service.js';
+import callModel from '../../models/call.model.js';
+import transcriptModel from '../../models/transcript.model.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Post-Call Analysis Service
+ * Digest of each completed call for managers, stored in calls.metadata.analysis
+ */
+
+const NEED_CATEGORIES = [
+  'repair',
+  'repair_status',
+  'appointment',
+  'technical_support',
+  'pricing',
+  'information',
+  'complaint',
+  'other',
+];
+
+const ANALYSIS_SCHEMA = {
+  summary: 'One paragraph digest of the call, written in French for the managers',
+  sentiment: 'Caller sentiment: "positive", "neutral" or "negative"',
+  category: `Customer need, one of: ${NEED_CATEGORIES.join(', ')}`,
+  actionItems: 'Array of short follow-up tasks for the staff (empty array if none)',
+  followUpDeadline: 'ISO 8601 date by which the customer must be recontacted, or null',
+};
+
+class PostCallService {
+  /**
+   * Analyze a completed call, then release its in-memory conversation
+   */
+  async analyzeCall(callSid) {
+    try {
+      const call = await callModel.findByCallSid(callSid);
+
+      if (!call) {
+        logger.warn('Post-call analysis for unknown call', { callSid });
+        return null;
+      }
+
+      if (call.metadata?.analysis) {
+        // Twilio sent 'completed' more than once
+        return call.metadata.analysis;
+      }
+
+      const conversation = await this.getConversationText(call);
+
+      if (!conversation) {
+        logger.debug('No conversation to analyze', { callSid });
+        return null;
+      }
+
+      // The call date lets the model turn "next Monday" into a deadline
+      const data = await openaiService.extractStructuredData(
+        `Call date: ${new Date(call.startTime).toISOString()}\n\n${conversation}`,
+        ANALYSIS_SCHEMA
+      );
+
+      if (!data) {
+        return null;
+      }
+
+      const analysis = this.normalize(data);
+
+      await callModel.updateMetadata(callSid, { analysis });
+
+      logger.logCall('post_call_analysis', {
+        callSid,
+        callId: call.id,
+        sentiment: analysis.sentiment,
+        category: analysis.category,
+        actionItems: analysis.actionItems.length,
+      });
+
+      return analysis;
+    } finally {
+      orchestratorService.clearHistory(callSid);
+    }
+  }
+
+  /**
+   * Conversation as "Caller: ... / Assistant: ..." lines
+   * Stored transcripts first, the in-memory history if none were saved
+   */
+  async getConversationText(call) {
+    const transcripts = await transcriptModel.findByCallId(call.id);
+
+    if (transcripts.length > 0) {
+      return transcripts
+        .map(entry => `${entry.speaker === 'caller' ? 'Caller' : 'Assistant'}: ${entry.text}`)
+        .join('\n');
+    }
+
+    const summary = orchestratorService.getConversationSummary(call.callSid);
+
+    if (!summary || summary.turns === 0) {
+      return null;
+    }
+
+    return summary.userMessages
+      .flatMap((text, index) => [
+        `Caller: ${text}`,
+        summary.assistantMessages[index] ? `Assistant: ${summary.assistantMessages[index]}` : null,
+      ])
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Keep the LLM output within the expected shape
+   */
+  normalize(data) {
+    const deadline = data.followUpDeadline ? new Date(data.followUpDeadline) : null;
+
+    return {
+      summary: typeof data.summary === 'string' ? data.summary : null,
+      sentiment: ['positive', 'neutral', 'negative'].includes(data.sentiment)
+        ? data.sentiment
+        : 'neutral',
+      category: NEED_CATEGORIES.includes(data.category) ? data.category : 'other',
+      actionItems: Array.isArray(data.actionItems) ? data.actionItems.map(String) : [],
+      followUpDeadline: deadline && !isNaN(deadline) ? deadline.toISOString() : null,
+      analyzedAt: new Date().toISOString(),
+    };
+  }
+}
+
+// Singleton instance
+const postCallService = new PostCallService();
+
+export default postCallService;
@@ -0,0 +1,129 @@
+import { EventEmitter } from 'events';
+import queueService from './queue.service.js';
+import agentModel from '../../models/agent.model.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Agent Presence Service
+ * Agents set themselves online/away/busy/offline; calls set them busy while
+ * they talk and unanswered offers set them away. Emits 'agent' with the
+ * updated agent on every change (live board).
+ */
+
+export const AGENT_STATUSES = ['online', 'away', 'busy', 'offline'];
+
+// Offer outcomes that mean the agent was not at their phone
+const MISSED_OUTCOMES = ['no-answer', 'busy', 'no_choice'];
+
+class PresenceService extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open board
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * All agents with their status and current call
+   */
+  async listAgents() {
+    return agentModel.findAll();
+  }
+
+  /**
+   * Set an agent's status, returns the agent or null if unknown
+   */
+  async setStatus(agentId, status, source = 'agent') {
+    if (!AGENT_STATUSES.includes(status)) {
+      throw new Error(`Invalid agent status: ${status}`);
+    }
+
+    const agent = await agentModel.updateStatus(agentId, status);
+
+    if (!agent) {
+      return null;
+    }
+
+    logger.info('Agent status changed', { agentId, status, source });
+    this.publish(agent);
+
+    if (status === 'online') {
+      // Callers may be waiting for exactly this agent
+      queueService.dispatch().catch((error) => {
+        logger.error('Queue dispatch failed:', error);
+      });
+    }
+
+    return agent;
+  }
+
+  /**
+   * Agent took a call (automatic busy once their call slots are full)
+   */
+  async markOnCall(agentId, callSid) {
+    const agent = await agentModel.setOnCall(agentId, callSid);
+
+    if (agent) {
+      logger.info('Agent status changed', { agentId, status: agent.status, source: 'call' });
+      this.publish(agent);
+    }
+  }
+
+  /**
+   * An agent leg ended (back online if busy from that call)
+   * Always published: the agent's call count changed
+   */
+  async markCallEnded(agentId) {
+    if (!agentId) {
+      return;
+    }
+
+    const agent = await agentModel.clearCall(agentId);
+
+    if (agent) {
+      logger.info('Agent status changed', { agentId, status: agent.status, source: 'call' });
+    }
+
+    this.publish({ id: agentId });
+  }
+
+  /**
+   * A transfer offer to the agent ended without them taking it
+   */
+  async recordOfferOutcome(agentId, outcome) {
+    if (!agentId || !MISSED_OUTCOMES.includes(outcome)) {
+      return;
+    }
+
+    const previous = await agentModel.findById(agentId);
+    const agent = await agentModel.recordMissedOffer(agentId, config.routing.missedOffersBeforeAway);
+
+    if (agent && previous && agent.status !== previous.status) {
+      logger.warn('Agent set away after missed offers', {
+        agentId,
+        missedOffers: agent.missedOffers,
+      });
+      this.publish(agent);
+    }
+  }
+
+  /**
+   * Notify board subscribers, with the current call details
+   */
+  publish(agent) {
+    agentModel.findById(agent.id)
+      .then((current) => {
+        if (current) {
+          this.emit('agent', current);
+        }
+      })
+      .catch((error) => {
+        logger.error('Failed to publish agent presence:', error);
+      });
+  }
+}
+
+// Singleton instance
+const presenceService = new PresenceService();
+
+export default presenceService;
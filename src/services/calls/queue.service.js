@@ -0,0 +1,278 @@
+import twilioService from '../telephony/twilio.service.js';
+import routingService from './routing.service.js';
+import handoffModel from '../../models/handoff.model.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Call Queue Service
+ * Callers wait in a Twilio <Enqueue> queue per department while every agent
+ * is busy. When an agent frees up, the longest-waiting caller is pulled out
+ * of the queue into a warm transfer to that agent.
+ *
+ * Twilio only requests the waitUrl again once the hold music has played, so
+ * the maximum wait is enforced by a timer that redirects the caller out of the queue.
+ */
+
+class QueueService {
+  constructor() {
+    this.entries = new Map(); // callSid -> queued caller, in arrival order
+    this.overflowTimers = new Map(); // callSid -> timeout leaving the queue at maxWaitTime
+    this.dispatching = false;
+  }
+
+  /**
+   * Whether handoffs wait in a queue instead of going to voicemail
+   */
+  isEnabled() {
+    return config.routing.queue.enabled;
+  }
+
+  /**
+   * Twilio queue name for a department
+   */
+  getQueueName(department) {
+    const slug = (department || 'general')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+
+    return `queue-${slug}`;
+  }
+
+  /**
+   * Queue a caller, returns the <Enqueue> TwiML
+   */
+  enqueue({ callSid, from, language = 'fr-FR', intent = null, reason = null, handoffId = null }) {
+    const { department } = routingService.getRequirements(intent);
+    const queueName = this.getQueueName(department);
+    const enqueuedAt = this.entries.get(callSid)?.enqueuedAt || new Date();
+
+    this.entries.set(callSid, {
+      callSid,
+      from,
+      language,
+      intent,
+      reason,
+      handoffId,
+      queueName,
+      enqueuedAt,
+    });
+
+    if (!this.overflowTimers.has(callSid)) {
+      const remaining = Math.max(config.routing.maxWaitTime * 1000 - (Date.now() - enqueuedAt.getTime()), 0);
+      const timer = setTimeout(() => {
+        this.overflow(callSid).catch((error) => {
+          logger.error(`Queue overflow failed for call ${callSid}:`, error);
+        });
+      }, remaining);
+
+      timer.unref();
+      this.overflowTimers.set(callSid, timer);
+    }
+
+    logger.logCall('call_queued', {
+      callSid,
+      queue: queueName,
+      handoffId,
+      waiting: this.entries.size,
+    });
+
+    return twilioService.createEnqueueResponse(queueName, {
+      language,
+      params: `language=${encodeURIComponent(language)}`,
+    });
+  }
+
+  /**
+   * Hold TwiML for a queued caller, or <Leave> once they waited too long
+   */
+  getHoldResponse(callSid, { language = 'fr-FR', position, queueTime }) {
+    if (queueTime >= config.routing.maxWaitTime) {
+      logger.logCall('queue_timeout', { callSid, queueTime });
+      return twilioService.createQueueLeaveResponse();
+    }
+
+    // An agent may have freed up without ending a transfer (came online)
+    this.dispatch().catch((error) => {
+      logger.error('Queue dispatch failed:', error);
+    });
+
+    return twilioService.createHoldResponse(language, {
+      position,
+      estimatedMinutes: position
+        ? Math.max(1, Math.ceil((position * config.routing.queue.secondsPerPosition) / 60))
+        : null,
+    });
+  }
+
+  /**
+   * Forget a queued caller, returns their entry
+   */
+  remove(callSid) {
+    const entry = this.entries.get(callSid);
+
+    clearTimeout(this.overflowTimers.get(callSid));
+    this.overflowTimers.delete(callSid);
+    this.entries.delete(callSid);
+
+    return entry;
+  }
+
+  /**
+   * TwiML URL callers are sent to when they waited too long (QUEUE_OVERFLOW_ACTION)
+   */
+  getOverflowUrl(language) {
+    const params = `language=${encodeURIComponent(language)}`;
+
+    return config.routing.queue.overflowAction === 'voicemail'
+      ? `${config.server.publicUrl}/api/webhooks/twilio/voicemail/start?${params}`
+      : `${config.server.publicUrl}/api/webhooks/twilio/callback/offer?${params}&reason=busy`;
+  }
+
+  /**
+   * maxWaitTime reached: take the caller out of the queue to the overflow action
+   */
+  async overflow(callSid) {
+    const entry = this.remove(callSid);
+
+    if (!entry) {
+      return;
+    }
+
+    logger.logCall('queue_timeout', {
+      callSid,
+      waitSeconds: Math.round((Date.now() - entry.enqueuedAt.getTime()) / 1000),
+    });
+
+    await this.closeHandoff(entry, 'rejected', 'queue_timeout');
+
+    try {
+      await twilioService.updateCall(callSid, {
+        url: this.getOverflowUrl(entry.language),
+        method: 'POST',
+      });
+    } catch (error) {
+      // The caller probably hung up meanwhile
+      logger.warn(`Could not take call ${callSid} out of the queue:`, error.message);
+    }
+  }
+
+  /**
+   * Connect queued callers, oldest first, while agents are available
+   */
+  async dispatch() {
+    if (this.dispatching || this.entries.size === 0) {
+      return;
+    }
+
+    this.dispatching = true;
+
+    try {
+      for (const entry of [...this.entries.values()]) {
+        // Reserved here, handed to the transfer through the URL
+        const agent = await routingService.selectAgent({ intent: entry.intent });
+
+        if (!agent) {
+          // Agent choice falls back to anyone free: nobody is left
+          break;
+        }
+
+        this.remove(entry.callSid);
+
+        const params = new URLSearchParams({
+          language: entry.language,
+          agent: agent.id,
+          ...(entry.intent && { intent: entry.intent }),
+          ...(entry.reason && { reason: entry.reason }),
+          ...(entry.handoffId && { handoff: entry.handoffId }),
+        });
+
+        try {
+          // Leaves the Twilio queue and fetches the transfer TwiML
+          await twilioService.updateCall(entry.callSid, {
+            url: `${config.server.publicUrl}/api/webhooks/twilio/transfer?${params}`,
+            method: 'POST',
+          });
+
+          logger.logCall('call_dequeued', {
+            callSid: entry.callSid,
+            agentId: agent.id,
+            waitSeconds: Math.round((Date.now() - entry.enqueuedAt.getTime()) / 1000),
+          });
+        } catch (error) {
+          // The caller probably hung up meanwhile
+          logger.warn(`Could not dequeue call ${entry.callSid}:`, error.message);
+          await routingService.releaseAgent(agent.id);
+        }
+      }
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  /**
+   * <Enqueue> action: the caller left the queue
+   * Returns the TwiML to continue with
+   */
+  async handleQueueResult(callSid, result, language = 'fr-FR') {
+    const entry = this.remove(callSid);
+
+    if (result === 'leave' || result === 'queue-full') {
+      await this.closeHandoff(entry, 'rejected', 'queue_timeout');
+
+      return config.routing.queue.overflowAction === 'voicemail'
+        ? twilioService.createVoicemailResponse(language)
+        : twilioService.createCallbackOfferResponse(language, 'busy');
+    }
+
+    if (result === 'error' || result === 'system-error') {
+      await this.closeHandoff(entry, 'rejected', 'queue_error');
+      return twilioService.createVoicemailResponse(language);
+    }
+
+    // hangup, bridged or redirected: nothing left to do here
+    const twiml = new twilioService.VoiceResponse();
+    twiml.hangup();
+
+    return twiml.toString();
+  }
+
+  /**
+   * The caller hung up while queued
+   */
+  async handleCallerEnded(callSid) {
+    const entry = this.remove(callSid);
+
+    if (!entry) {
+      return;
+    }
+
+    logger.logCall('queue_abandoned', {
+      callSid,
+      waitSeconds: Math.round((Date.now() - entry.enqueuedAt.getTime()) / 1000),
+    });
+
+    await this.closeHandoff(entry, 'abandoned', 'caller_hung_up');
+  }
+
+  /**
+   * Close the handoff of a caller who leaves the queue without an agent
+   */
+  async closeHandoff(entry, status, outcome) {
+    if (!entry?.handoffId) {
+      return;
+    }
+
+    try {
+      await handoffModel.updateStatus(entry.handoffId, status, ['pending'], { outcome });
+    } catch (error) {
+      logger.error('Failed to close queued handoff:', error);
+    }
+  }
+}
+
+// Singleton instance
+const queueService = new QueueService();
+
+export default queueService;
@@ -0,0 +1,240 @@
+import twilioService from '../telephony/twilio.service.js';
+import sttService from '../speech/stt.service.js';
+import recordingStorageService from '../storage/recording-storage.service.js';
+import callModel from '../../models/call.model.js';
+import transcriptModel from '../../models/transcript.model.js';
+import { withTransaction } from '../../config/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { retry } from '../../utils/helpers.js';
+
+/**
+ * Call Recording Service
+ * Record calls, keep our own copy of the audio and transcribe it per speaker
+ */
+
+// Speech-to-Text limit for audio sent inline instead of by gs:// URI
+const INLINE_AUDIO_LIMIT = 10 * 1024 * 1024;
+
+// Dual-channel Twilio recordings: caller on channel 1, our side (assistant or agent) on channel 2
+const CHANNEL_SPEAKERS = {
+  1: 'caller',
+  2: 'system',
+};
+
+/**
+ * Speech-to-Text duration ({ seconds, nanos }) to milliseconds
+ */
+const toMilliseconds = (duration) => {
+  if (!duration) return 0;
+
+  return Number(duration.seconds || 0) * 1000 + Math.round((duration.nanos || 0) / 1e6);
+};
+
+class RecordingService {
+  /**
+   * Start a dual-channel recording of a call
+   * Retried because Twilio only accepts it once the call is in progress
+   */
+  async startCallRecording(callSid) {
+    try {
+      return await retry(() => twilioService.startRecording(callSid), {
+        maxRetries: 3,
+        initialDelay: 1000,
+      });
+    } catch (error) {
+      logger.error(`Could not record call ${callSid}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a completed recording and transcribe it
+   */
+  async processRecording({ callSid, recordingSid, recordingUrl, duration, channels = 1, startTime = null }) {
+    const call = await callModel.findByCallSid(callSid);
+
+    if (!call) {
+      logger.warn('Recording for unknown call', { callSid, recordingSid });
+      return null;
+    }
+
+    if (call.metadata?.recording?.sid === recordingSid) {
+      // Twilio retried the callback
+      logger.debug('Recording already stored', { recordingSid });
+      return call.metadata.recording;
+    }
+
+    const audio = await twilioService.downloadRecording(recordingUrl);
+    const month = new Date(call.startTime).toISOString().slice(0, 7);
+    const uri = await recordingStorageService.save(`${month}/${recordingSid}.wav`, audio);
+
+    // The storage URI stays server-side (metadata.recording), clients get the API download URL
+    await callModel.updateRecording(callSid, {
+      recordingUrl: this.getDownloadUrl(call.id),
+      recordingDuration: duration,
+    });
+
+    let recording = {
+      sid: recordingSid,
+      uri,
+      twilioUrl: recordingUrl,
+      channels,
+      startTime,
+    };
+
+    await callModel.updateMetadata(callSid, { recording });
+
+    logger.logCall('recording_stored', {
+      callSid,
+      callId: call.id,
+      uri,
+      duration,
+    });
+
+    try {
+      recording = {
+        ...recording,
+        ...(await this.transcribe(call, recording, audio)),
+      };
+    } catch (error) {
+      logger.error(`Recording transcription failed for call ${callSid}:`, error);
+      recording = { ...recording, transcriptionError: error.message };
+    }
+
+    await callModel.updateMetadata(callSid, { recording });
+
+    return recording;
+  }
+
+  /**
+   * Authenticated download URL of a stored recording (GET /api/calls/:id/recording)
+   */
+  getDownloadUrl(callId) {
+    return `${config.server.publicUrl}/api/calls/${callId}/recording`;
+  }
+
+  /**
+   * Transcribe the recording per channel, with word timings
+   * Replaces the turn-by-turn transcript when the recording is understood better
+   */
+  async transcribe(call, recording, audio) {
+    const language = call.metadata?.language || 'fr-FR';
+    const source = recordingStorageService.isCloudUri(recording.uri) ? recording.uri : audio;
+
+    if (Buffer.isBuffer(source) && source.length > INLINE_AUDIO_LIMIT) {
+      throw new Error('Recording too large to transcribe inline, set CALL_RECORDING_STORAGE=gcs');
+    }
+
+    const results = await sttService.transcribeFile(source, {
+      languageCode: language,
+      encoding: 'LINEAR16',
+      sampleRateHertz: 8000,
+      audioChannelCount: recording.channels,
+      model: 'phone_call',
+    });
+
+    const separated = recording.channels > 1;
+
+    // Offsets are relative to the call start like the turn transcript
+    const recordingOffset = recording.startTime
+      ? Math.max(new Date(recording.startTime) - new Date(call.startTime), 0)
+      : 0;
+
+    const segments = results
+      .filter(result => result.transcript?.trim())
+      .map((result) => {
+        const words = result.words.map(word => ({
+          word: word.word,
+          start: recordingOffset + toMilliseconds(word.startTime),
+          end: recordingOffset + toMilliseconds(word.endTime),
+        }));
+
+        return {
+          speaker: separated ? CHANNEL_SPEAKERS[result.channelTag] || 'system' : 'unknown',
+          text: result.transcript.trim(),
+          confidence: result.confidence ?? null,
+          timestampOffset: words[0]?.start ?? recordingOffset,
+          channel: result.channelTag,
+          words,
+        };
+      })
+      .sort((a, b) => a.timestampOffset - b.timestampOffset);
+
+    const confidence = this.averageCallerConfidence(segments);
+    const replaced = separated && segments.length > 0
+      && (await this.isMoreAccurate(call, confidence));
+
+    if (replaced) {
+      await withTransaction(async (client) => {
+        await transcriptModel.deleteByCallId(call.id, client);
+
+        for (const segment of segments) {
+          await transcriptModel.create({
+            callId: call.id,
+            speaker: segment.speaker,
+            text: segment.text,
+            language,
+            confidence: segment.confidence,
+            timestampOffset: segment.timestampOffset,
+            metadata: {
+              source: 'recording',
+              channel: segment.channel,
+              words: segment.words,
+            },
+          }, client);
+        }
+      });
+    }
+
+    logger.logCall('recording_transcribed', {
+      callSid: call.callSid,
+      segments: segments.length,
+      confidence,
+      replacedTurnTranscript: replaced,
+    });
+
+    return {
+      transcribedAt: new Date().toISOString(),
+      confidence,
+      segments: segments.length,
+      replacedTurnTranscript: replaced,
+      // Kept here when the turn transcript stays the reference
+      transcript: replaced ? undefined : segments,
+    };
+  }
+
+  /**
+   * Compare with the confidence of the caller turns already stored
+   */
+  async isMoreAccurate(call, recordingConfidence) {
+    const existing = await transcriptModel.findByCallId(call.id);
+    const current = this.averageCallerConfidence(existing);
+
+    if (current === null) {
+      return true;
+    }
+
+    return recordingConfidence !== null && recordingConfidence >= current;
+  }
+
+  /**
+   * Mean confidence of the caller's utterances, null if unknown
+   */
+  averageCallerConfidence(entries) {
+    const scores = entries
+      .filter(entry => entry.speaker === 'caller' && entry.confidence !== null)
+      .map(entry => entry.confidence);
+
+    if (scores.length === 0) {
+      return null;
+    }
+
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+}
+
+// Singleton instance
+const recordingService = new RecordingService();
+
+export default recordingService;
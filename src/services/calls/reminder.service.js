@@ -0,0 +1,698 @@
+import calendarService from '../google-workspace/calendar.service.js';
+import contactsService from '../google-workspace/contacts.service.js';
+import orchestratorService from '../llm/orchestrator.service.js';
+import twilioService from '../telephony/twilio.service.js';
+import n8nService from '../n8n/n8n.service.js';
+import languageService from './language.service.js';
+import reminderModel from '../../models/reminder.model.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { isBusinessHours, isBusinessDay, getNextBusinessTime, formatPhoneNumber } from '../../utils/helpers.js';
+import { normalizePhoneNumber } from '../../utils/security.js';
+
+/**
+ * Appointment Reminder Service
+ * Call or text calendar attendees before their appointment, then confirm,
+ * cancel or move the event from their answer
+ */
+
+// Keypad answers during the reminder call
+const DIGIT_DECISIONS = {
+  1: 'confirm',
+  2: 'cancel',
+  3: 'reschedule',
+};
+
+// Quick-reply button IDs of the WhatsApp appointment_confirmation template
+const BUTTON_DECISIONS = ['confirm', 'cancel', 'reschedule'];
+
+// Reminder call ended without reaching the customer
+const UNANSWERED_STATUSES = ['no-answer', 'busy', 'failed', 'canceled'];
+
+// How the reminder reached the customer, in the event note
+const CHANNEL_LABELS = {
+  call: 'téléphonique',
+  sms: 'SMS',
+  whatsapp: 'WhatsApp',
+};
+
+// Outcome written on the calendar event
+const OUTCOME_LABELS = {
+  confirmed: 'confirmé',
+  cancelled: 'annulé par le client',
+  rescheduled: 'déplacé',
+  follow_up: 'à rappeler',
+};
+
+const MESSAGES = {
+  'fr-FR': {
+    call: when => `Bonjour, ici NETZ Informatique. Nous vous rappelons votre rendez-vous ${when}.`,
+    sms: when => `NETZ Informatique : rappel de votre rendez-vous ${when}. Répondez OUI pour confirmer, NON pour annuler, ou indiquez-nous un autre créneau.`,
+    confirmed: 'Merci, votre rendez-vous est confirmé. À bientôt !',
+    cancelled: 'Votre rendez-vous est annulé. N\'hésitez pas à nous recontacter pour en fixer un nouveau.',
+    rescheduled: when => `C'est noté, votre nouveau rendez-vous est fixé ${when}. À bientôt !`,
+    unavailable: slots => `Ce créneau n'est pas disponible. Nous pouvons vous proposer ${slots}. Lequel vous convient ?`,
+    askTime: slots => `Quand êtes-vous disponible ? Nous pouvons vous proposer ${slots}.`,
+    repeat: channel => (channel !== 'call'
+      ? 'Je n\'ai pas bien compris. Répondez OUI pour confirmer, NON pour annuler, ou indiquez-nous un autre créneau.'
+      : 'Je n\'ai pas bien compris. Tapez 1 pour confirmer, 2 pour annuler, ou 3 pour changer de créneau.'),
+    followUp: 'Un conseiller vous recontactera pour convenir d\'un rendez-vous. Merci.',
+    closed: 'Ce rappel n\'est plus actif. Au revoir.',
+  },
+  'tr-TR': {
+    call: when => `Merhaba, NETZ Informatique arıyor. ${when} tarihindeki randevunuzu hatırlatmak isteriz.`,
+    sms: when => `NETZ Informatique: ${when} tarihindeki randevunuzu hatırlatırız. Onaylamak için EVET, iptal için HAYIR yazın ya da size uygun başka bir zamanı belirtin.`,
+    confirmed: 'Teşekkürler, randevunuz onaylandı. Görüşmek üzere!',
+    cancelled: 'Randevunuz iptal edildi. Yeni bir randevu için bize ulaşabilirsiniz.',
+    rescheduled: when => `Teşekkürler, yeni randevunuz ${when}. Görüşmek üzere!`,
+    unavailable: slots => `Bu saat uygun değil. Size şu saatleri önerebiliriz: ${slots}. Hangisi uygun?`,
+    askTime: slots => `Hangi gün ve saat size uygun? Önerilerimiz: ${slots}.`,
+    repeat: channel => (channel !== 'call'
+      ? 'Anlayamadım. Onaylamak için EVET, iptal için HAYIR yazın ya da size uygun başka bir zamanı belirtin.'
+      : 'Anlayamadım. Onaylamak için 1\'e, iptal etmek için 2\'ye, başka bir saat için 3\'e basın.'),
+    followUp: 'Yeni bir randevu belirlemek için bir temsilcimiz sizi arayacak. Teşekkürler.',
+    closed: 'Bu hatırlatma artık geçerli değil. Hoşça kalın.',
+  },
+};
+
+class ReminderService {
+  constructor() {
+    this.timer = null;
+    this.scanning = false;
+  }
+
+  /**
+   * Reminder messages in the customer's language
+   */
+  getMessages(language) {
+    return MESSAGES[language] || MESSAGES['fr-FR'];
+  }
+
+  /**
+   * Appointment time as read to the customer ("le mardi 20 octobre à 14:30")
+   */
+  formatWhen(date, language = 'fr-FR') {
+    const timeZone = config.routing.timezone;
+    const day = new Date(date).toLocaleDateString(language, {
+      timeZone,
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+    });
+    const time = new Date(date).toLocaleTimeString(language, {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+
+    return language === 'tr-TR' ? `${day} saat ${time}` : `le ${day} à ${time}`;
+  }
+
+  /**
+   * Orchestrator conversation for a reminder
+   */
+  getConversationId(reminder) {
+    return `reminder:${reminder.id}`;
+  }
+
+  /**
+   * End of the business-hours period `now` falls in
+   */
+  getClosingTime(now = new Date()) {
+    const step = 15 * 60 * 1000;
+    const limit = now.getTime() + 8 * 24 * 60 * 60 * 1000;
+    let closesAt = now.getTime();
+
+    while (closesAt < limit && isBusinessHours(config.routing.timezone, new Date(closesAt))) {
+      closesAt += step;
+    }
+
+    return new Date(closesAt);
+  }
+
+  /**
+   * End of the calendar window to look at: the latest appointment that may be due
+   * now is one whose reminder time falls before we reopen
+   */
+  getScanHorizon(now = new Date()) {
+    const reopensAt = getNextBusinessTime(this.getClosingTime(now));
+
+    return new Date(reopensAt.getTime() + config.reminders.leadTimeHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Whether to remind of an appointment now: leadTimeHours before it, or earlier
+   * when that moment falls while we are closed (the last opening before it)
+   */
+  isReminderDue(appointmentStart, now = new Date()) {
+    const dueAt = new Date(new Date(appointmentStart).getTime() - config.reminders.leadTimeHours * 60 * 60 * 1000);
+
+    if (dueAt <= now) {
+      return true;
+    }
+
+    if (isBusinessHours(config.routing.timezone, dueAt)) {
+      return false;
+    }
+
+    return getNextBusinessTime(this.getClosingTime(now)) > dueAt;
+  }
+
+  /**
+   * Find upcoming appointments and remind their attendees
+   */
+  async scan() {
+    if (this.scanning || !isBusinessHours()) {
+      return;
+    }
+
+    this.scanning = true;
+
+    try {
+      const now = new Date();
+      const events = await calendarService.listEvents({
+        calendarId: config.reminders.calendarId,
+        timeMin: now.toISOString(),
+        timeMax: this.getScanHorizon(now).toISOString(),
+        maxResults: 250,
+      });
+
+      for (const event of events) {
+        // All-day events are not appointments
+        if (event.status === 'cancelled' || !event.start?.dateTime) {
+          continue;
+        }
+
+        if (!this.isReminderDue(event.start.dateTime, now)) {
+          continue;
+        }
+
+        for (const attendee of this.getCustomerAttendees(event)) {
+          await this.remind(event, attendee);
+        }
+      }
+    } catch (error) {
+      logger.error('Appointment reminder scan failed:', error);
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  /**
+   * Attendees to remind (not us, not meeting rooms, not those who declined)
+   */
+  getCustomerAttendees(event) {
+    return (event.attendees || []).filter(attendee =>
+      attendee.email
+      && !attendee.self
+      && !attendee.organizer
+      && !attendee.resource
+      && attendee.responseStatus !== 'declined'
+    );
+  }
+
+  /**
+   * Remind one attendee of an event, once
+   */
+  async remind(event, attendee) {
+    try {
+      if (await reminderModel.existsForAttendee(event.id, attendee.email)) {
+        return null;
+      }
+
+      const contact = await contactsService.getContactByEmail(attendee.email);
+      const phone = contact?.phoneNumbers?.find(p => p.type === 'mobile') || contact?.phoneNumbers?.[0];
+
+      if (!phone) {
+        logger.debug('No phone number for appointment attendee', { eventId: event.id });
+        return null;
+      }
+
+      const phoneNumber = normalizePhoneNumber(phone.value);
+      const language = await this.resolveLanguage(contact, phoneNumber);
+
+      const reminder = await reminderModel.create({
+        eventId: event.id,
+        calendarId: config.reminders.calendarId,
+        attendeeEmail: attendee.email,
+        phoneNumber,
+        language,
+        channel: ['sms', 'whatsapp'].includes(config.reminders.channel) ? config.reminders.channel : 'call',
+        appointmentStart: new Date(event.start.dateTime),
+      });
+
+      // Already reminded
+      if (!reminder) {
+        return null;
+      }
+
+      return reminder.channel === 'call'
+        ? await this.placeCall(reminder)
+        : await this.sendMessage(reminder, ['pending']);
+    } catch (error) {
+      logger.error(`Failed to remind attendee of event ${event.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Contact locale first, then what we know about the number
+   */
+  async resolveLanguage(contact, phoneNumber) {
+    for (const locale of contact?.locales || []) {
+      const language = languageService.toSupportedLanguage(locale);
+
+      if (language) {
+        return language;
+      }
+    }
+
+    const resolved = await languageService.resolveCallerLanguage({ from: phoneNumber });
+
+    return resolved?.language || 'fr-FR';
+  }
+
+  /**
+   * Place the reminder call
+   */
+  async placeCall(reminder) {
+    const params = new URLSearchParams({
+      reminderId: reminder.id,
+      language: reminder.language,
+    });
+
+    await reminderModel.updateStatus(reminder.id, 'calling', ['pending']);
+
+    try {
+      const call = await twilioService.makeCall(reminder.phoneNumber, config.twilio.phoneNumber, {
+        twimlUrl: `${config.server.publicUrl}/api/webhooks/twilio/reminder?${params}`,
+        record: false,
+      });
+
+      await reminderModel.setCallSid(reminder.id, call.sid);
+
+      logger.logCall('reminder_call_placed', {
+        callSid: call.sid,
+        reminderId: reminder.id,
+      });
+
+      return reminder;
+    } catch (error) {
+      logger.error(`Failed to place reminder call ${reminder.id}:`, error);
+
+      return config.reminders.smsFallback
+        ? this.sendMessage(reminder, ['calling'], 'sms')
+        : reminderModel.updateStatus(reminder.id, 'failed', ['calling']);
+    }
+  }
+
+  /**
+   * Text the reminder by SMS or WhatsApp, replies come back through the messaging webhooks
+   * WhatsApp needs an approved template: we write first, outside any session window
+   */
+  async sendMessage(reminder, fromStatuses, channel = reminder.channel) {
+    const when = this.formatWhen(reminder.appointmentStart, reminder.language);
+    const updated = await reminderModel.updateStatus(reminder.id, 'awaiting_reply', fromStatuses, {
+      channel,
+    });
+
+    if (!updated) {
+      return null;
+    }
+
+    try {
+      if (channel === 'whatsapp') {
+        await twilioService.sendWhatsAppTemplate(
+          reminder.phoneNumber,
+          'appointment_confirmation',
+          reminder.language,
+          { 1: when }
+        );
+      } else {
+        await twilioService.sendSms(reminder.phoneNumber, this.getMessages(reminder.language).sms(when));
+      }
+
+      logger.info('Reminder message sent', { reminderId: reminder.id, channel });
+
+      return updated;
+    } catch (error) {
+      logger.error(`Failed to send reminder message ${reminder.id}:`, error);
+      return reminderModel.updateStatus(reminder.id, 'failed', ['awaiting_reply']);
+    }
+  }
+
+  /**
+   * Customer answered the reminder call: what to read them
+   */
+  async startCall(reminderId) {
+    const reminder = await reminderModel.findById(reminderId);
+
+    if (!reminder || !['calling', 'awaiting_reply'].includes(reminder.status)) {
+      return null;
+    }
+
+    await reminderModel.updateStatus(reminder.id, 'awaiting_reply', ['calling']);
+
+    logger.logCall('reminder_call_answered', {
+      callSid: reminder.callSid,
+      reminderId: reminder.id,
+    });
+
+    return {
+      language: reminder.language,
+      message: this.getMessages(reminder.language).call(
+        this.formatWhen(reminder.appointmentStart, reminder.language)
+      ),
+    };
+  }
+
+  /**
+   * Answer given during the reminder call (keypad or speech)
+   * Returns { reply, done, language }
+   */
+  async handleCallReply(reminderId, { digits = null, text = '' } = {}) {
+    const reminder = await reminderModel.findById(reminderId);
+
+    if (!reminder || reminder.status !== 'awaiting_reply') {
+      const language = reminder?.language || 'fr-FR';
+      return { reply: this.getMessages(language).closed, done: true, language };
+    }
+
+    return {
+      ...(await this.handleReply(reminder, { digits, text })),
+      language: reminder.language,
+    };
+  }
+
+  /**
+   * Incoming SMS or WhatsApp message: answer to the latest reminder sent to this number
+   * (`buttonPayload` is the template quick-reply pressed on WhatsApp)
+   * Returns the reply to send back, or null when no reminder is waiting
+   */
+  async handleTextReply(from, body, buttonPayload = null) {
+    const reminder = await reminderModel.findAwaitingByPhone(normalizePhoneNumber(from));
+
+    if (!reminder) {
+      return null;
+    }
+
+    const { reply } = await this.handleReply(reminder, {
+      text: body || '',
+      decision: BUTTON_DECISIONS.includes(buttonPayload) ? buttonPayload : null,
+    });
+
+    return reply;
+  }
+
+  /**
+   * Act on the customer's answer: confirm, cancel, move the appointment,
+   * or ask again until maxTurns and hand over to staff
+   */
+  async handleReply(reminder, { digits = null, text = '', decision = null } = {}) {
+    const messages = this.getMessages(reminder.language);
+    let event = null;
+
+    try {
+      event = await calendarService.getEvent(reminder.eventId, reminder.calendarId);
+
+      const chosen = decision || DIGIT_DECISIONS[digits];
+      let answer = { decision: chosen || 'unclear', requestedTime: null, reply: '' };
+
+      if (!chosen && text.trim()) {
+        answer = await orchestratorService.processReminderReply(this.getConversationId(reminder), text, {
+          appointment: { start: event.start.dateTime, end: event.end.dateTime },
+          availableSlots: await this.findSlots(event),
+          language: reminder.language,
+          channel: reminder.channel,
+        });
+      }
+
+      logger.info('Reminder answer', {
+        reminderId: reminder.id,
+        decision: answer.decision,
+        channel: reminder.channel,
+      });
+
+      if (answer.decision === 'confirm') {
+        await this.finish(reminder, event, 'confirmed');
+        return { reply: messages.confirmed, done: true };
+      }
+
+      if (answer.decision === 'cancel') {
+        await this.finish(reminder, event, 'cancelled', {
+          // Free the slot but leave the event for staff to review
+          summary: `[ANNULÉ] ${event.summary || ''}`.trim(),
+          transparency: 'transparent',
+        });
+        return { reply: messages.cancelled, done: true };
+      }
+
+      if (answer.decision === 'reschedule' && answer.requestedTime) {
+        return await this.reschedule(reminder, event, answer.requestedTime, text);
+      }
+
+      if (answer.reply) {
+        return await this.askAgain(reminder, event, text, answer.reply);
+      }
+
+      const slots = answer.decision === 'reschedule' ? await this.findSlots(event) : [];
+
+      return await this.askAgain(reminder, event, text, slots.length
+        ? messages.askTime(this.formatSlots(slots, reminder.language))
+        : messages.repeat(reminder.channel));
+    } catch (error) {
+      logger.error(`Failed to handle reminder answer ${reminder.id}:`, error);
+      return this.followUp(reminder, event, text);
+    }
+  }
+
+  /**
+   * Move the appointment when the requested time is free, otherwise offer slots
+   */
+  async reschedule(reminder, event, requestedTime, text) {
+    const messages = this.getMessages(reminder.language);
+    const duration = new Date(event.end.dateTime) - new Date(event.start.dateTime);
+    const requestedEnd = new Date(requestedTime.getTime() + duration);
+
+    const bookable = requestedTime > new Date()
+      && isBusinessHours(config.routing.timezone, requestedTime)
+      && (await calendarService.checkAvailability(
+        requestedTime.toISOString(),
+        requestedEnd.toISOString(),
+        reminder.calendarId
+      )).available;
+
+    if (!bookable) {
+      const sameDay = requestedTime > new Date()
+        ? await calendarService.findAvailableSlots(requestedTime, duration / 60000, reminder.calendarId)
+        : [];
+      const slots = sameDay.length ? sameDay : await this.findSlots(event);
+
+      if (!slots.length) {
+        return this.followUp(reminder, event, text);
+      }
+
+      return this.askAgain(reminder, event, text, messages.unavailable(
+        this.formatSlots(slots, reminder.language)
+      ));
+    }
+
+    // Move the event first: the customer is only told once it is done
+    await calendarService.updateEvent(reminder.eventId, {
+      start: { dateTime: requestedTime.toISOString(), timeZone: event.start.timeZone },
+      end: { dateTime: requestedEnd.toISOString(), timeZone: event.end.timeZone },
+    }, reminder.calendarId);
+
+    await this.finish(reminder, event, 'rescheduled', {}, {
+      previousStart: event.start.dateTime,
+      rescheduledTo: requestedTime.toISOString(),
+    });
+
+    return {
+      reply: messages.rescheduled(this.formatWhen(requestedTime, reminder.language)),
+      done: true,
+    };
+  }
+
+  /**
+   * No decision yet: ask again, or hand over to staff after maxTurns
+   */
+  async askAgain(reminder, event, text, reply) {
+    const updated = await reminderModel.recordTurn(reminder.id);
+
+    if (updated.turns >= config.reminders.maxTurns) {
+      return this.followUp(reminder, event, text);
+    }
+
+    return { reply, done: false };
+  }
+
+  /**
+   * A colleague takes over: mark the reminder and notify staff
+   */
+  async followUp(reminder, event, lastReply) {
+    const messages = this.getMessages(reminder.language);
+
+    try {
+      const updated = await this.finish(reminder, event, 'follow_up', {}, { lastReply });
+
+      if (updated) {
+        await n8nService.sendEmailNotification({
+          to: config.reminders.notifyEmail,
+          subject: `Rendez-vous à recontacter : ${formatPhoneNumber(reminder.phoneNumber)}`,
+          type: 'appointment_follow_up',
+          reminderId: reminder.id,
+          eventId: reminder.eventId,
+          summary: event?.summary,
+          appointmentStart: reminder.appointmentStart,
+          phoneNumber: reminder.phoneNumber,
+          language: reminder.language,
+          lastReply,
+        });
+      }
+    } catch (error) {
+      logger.error(`Failed to hand reminder ${reminder.id} over to staff:`, error);
+    }
+
+    return { reply: messages.followUp, done: true };
+  }
+
+  /**
+   * Settle the reminder and write the outcome on the event
+   * Returns null when it was already settled (repeated webhook)
+   */
+  async finish(reminder, event, status, eventChanges = {}, outcome = {}) {
+    const updated = await reminderModel.updateStatus(reminder.id, status, ['awaiting_reply'], {
+      outcome: { ...outcome, decidedAt: new Date().toISOString() },
+    });
+
+    if (!updated) {
+      return null;
+    }
+
+    orchestratorService.clearHistory(this.getConversationId(reminder));
+
+    if (event) {
+      await this.recordOutcome(updated, event, eventChanges);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Note the reminder outcome in the event description and private properties
+   */
+  async recordOutcome(reminder, event, changes = {}) {
+    const note = [
+      `Rappel ${CHANNEL_LABELS[reminder.channel] || reminder.channel}`,
+      `(${formatPhoneNumber(reminder.phoneNumber)}) :`,
+      OUTCOME_LABELS[reminder.status] || reminder.status,
+      `le ${new Date().toLocaleString('fr-FR', { timeZone: config.routing.timezone })}`,
+    ].join(' ');
+
+    try {
+      await calendarService.updateEvent(reminder.eventId, {
+        ...changes,
+        description: [event.description, note].filter(Boolean).join('\n'),
+        extendedProperties: {
+          private: {
+            reminderId: reminder.id,
+            reminderStatus: reminder.status,
+          },
+        },
+      }, reminder.calendarId);
+    } catch (error) {
+      // The outcome is kept on the reminder, staff can still see it there
+      logger.error(`Failed to record reminder outcome on event ${reminder.eventId}:`, error);
+    }
+  }
+
+  /**
+   * Free slots over the next business days, to offer for a new appointment
+   */
+  async findSlots(event, days = 3, perDay = 2) {
+    const duration = (new Date(event.end.dateTime) - new Date(event.start.dateTime)) / 60000;
+    const dates = [];
+
+    for (let offset = 1; dates.length < days && offset <= 14; offset++) {
+      const date = new Date(Date.now() + offset * 24 * 60 * 60 * 1000);
+
+      if (isBusinessDay(config.routing.timezone, date)) {
+        dates.push(date);
+      }
+    }
+
+    const slotsPerDay = await Promise.all(
+      dates.map(date => calendarService.findAvailableSlots(date, duration, config.reminders.calendarId))
+    );
+
+    return slotsPerDay.flatMap(slots => slots.slice(0, perDay));
+  }
+
+  /**
+   * Slots as read or texted to the customer
+   */
+  formatSlots(slots, language = 'fr-FR') {
+    return slots
+      .slice(0, 3)
+      .map(slot => this.formatWhen(slot.start, language))
+      .join(', ');
+  }
+
+  /**
+   * Reminder call ended: text the reminder when nobody answered
+   */
+  async handleCallStatus(callSid, status) {
+    if (status !== 'completed' && !UNANSWERED_STATUSES.includes(status)) {
+      return null;
+    }
+
+    const reminder = await reminderModel.findByCallSid(callSid);
+
+    if (!reminder || !['calling', 'awaiting_reply'].includes(reminder.status)) {
+      return null;
+    }
+
+    orchestratorService.clearHistory(this.getConversationId(reminder));
+
+    // Not reached, or an answering machine picked up and nothing was said
+    if (reminder.turns === 0 && config.reminders.smsFallback) {
+      return this.sendMessage(reminder, [reminder.status], 'sms');
+    }
+
+    logger.logCall('reminder_unanswered', { callSid, reminderId: reminder.id });
+
+    return reminderModel.updateStatus(reminder.id, 'unanswered', [reminder.status]);
+  }
+
+  /**
+   * Start the scanner
+   */
+  start() {
+    if (this.timer || !config.reminders.enabled) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.scan(), config.reminders.scanIntervalMinutes * 60 * 1000);
+
+    logger.info('Appointment reminder scanner started', {
+      leadTimeHours: config.reminders.leadTimeHours,
+      channel: config.reminders.channel,
+    });
+  }
+
+  /**
+   * Stop the scanner
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Singleton instance
+const reminderService = new ReminderService();
+
+export default reminderService;
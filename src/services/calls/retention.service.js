@@ -0,0 +1,185 @@
+import twilioService from '../telephony/twilio.service.js';
+import recordingStorageService from '../storage/recording-storage.service.js';
+import callModel from '../../models/call.model.js';
+import voicemailModel from '../../models/voicemail.model.js';
+import auditLogModel from '../../models/audit-log.model.js';
+import { withTransaction } from '../../config/database.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Recording Retention Service
+ * Deletes voice recordings older than CALL_RECORDING_RETENTION_DAYS
+ * (our stored copies and the ones hosted by Twilio)
+ */
+
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Purge expired recordings
+   * With dryRun, only report what would be deleted
+   */
+  async purgeExpiredRecordings({ dryRun = false, now = new Date() } = {}) {
+    if (this.running) {
+      logger.warn('Recording purge already running');
+      return null;
+    }
+
+    this.running = true;
+
+    const cutoff = new Date(now.getTime() - config.recording.retentionDays * 24 * 60 * 60 * 1000);
+    const report = {
+      dryRun,
+      retentionDays: config.recording.retentionDays,
+      cutoff: cutoff.toISOString(),
+      calls: [],
+      purged: 0,
+      failed: 0,
+    };
+
+    try {
+      const calls = await callModel.findWithExpiredRecordings(cutoff);
+
+      for (const call of calls) {
+        const entry = await this.purgeCall(call, dryRun);
+
+        report.calls.push(entry);
+
+        if (entry.error) {
+          report.failed++;
+        } else if (!dryRun) {
+          report.purged++;
+        }
+      }
+
+      logger.info('Recording purge finished', {
+        dryRun,
+        cutoff: report.cutoff,
+        candidates: calls.length,
+        purged: report.purged,
+        failed: report.failed,
+      });
+
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Delete the recordings of one call and audit it
+   */
+  async purgeCall(call, dryRun) {
+    const entry = {
+      callId: call.id,
+      callSid: call.callSid,
+      startTime: call.startTime,
+      recordingUri: call.metadata?.recording?.uri || null,
+      twilioRecordings: [],
+      error: null,
+    };
+
+    try {
+      // Every recording of the call, voicemails included
+      if (twilioService.client) {
+        const recordings = await twilioService.getRecordings(call.callSid);
+        entry.twilioRecordings = recordings.map(recording => recording.sid);
+      } else if (!dryRun) {
+        // Do not report the call as purged while Twilio still hosts its audio
+        throw new Error('Twilio client not configured, cannot delete hosted recordings');
+      }
+
+      if (dryRun) {
+        return entry;
+      }
+
+      if (this.isStoredCopy(entry.recordingUri)) {
+        await recordingStorageService.delete(entry.recordingUri);
+      }
+
+      for (const recordingSid of entry.twilioRecordings) {
+        await twilioService.deleteRecording(recordingSid);
+      }
+
+      await withTransaction(async (client) => {
+        await callModel.clearRecording(call.id, client);
+        entry.voicemails = await voicemailModel.clearRecordings(call.id, client);
+
+        await auditLogModel.create({
+          eventType: 'recording_retention',
+          entityType: 'call',
+          entityId: call.id,
+          userId: 'system',
+          action: 'recording_purged',
+          details: {
+            callSid: call.callSid,
+            callStartTime: call.startTime,
+            recordingUri: entry.recordingUri,
+            twilioRecordings: entry.twilioRecordings,
+            voicemails: entry.voicemails,
+            retentionDays: config.recording.retentionDays,
+          },
+        }, client);
+      });
+
+      logger.logSecurity('recording_purged', {
+        callId: call.id,
+        callSid: call.callSid,
+        twilioRecordings: entry.twilioRecordings.length,
+      });
+    } catch (error) {
+      // Retried on the next run
+      logger.error(`Failed to purge recordings of call ${call.callSid}:`, error);
+      entry.error = error.message;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Whether the URI points to our recording storage (not to Twilio)
+   */
+  isStoredCopy(uri) {
+    return Boolean(uri) && (uri.startsWith('file://') || uri.startsWith('gs://'));
+  }
+
+  /**
+   * Start the daily purge (also runs once at startup)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = () => this.purgeExpiredRecordings().catch((error) => {
+      logger.error('Recording purge failed:', error);
+    });
+
+    run();
+    this.timer = setInterval(run, config.recording.purgeIntervalHours * 60 * 60 * 1000);
+
+    logger.info('Recording retention job started', {
+      retentionDays: config.recording.retentionDays,
+      intervalHours: config.recording.purgeIntervalHours,
+    });
+  }
+
+  /**
+   * Stop the purge job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Singleton instance
+const retentionService = new RetentionService();
+
+export default retentionService;
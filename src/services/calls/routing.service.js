@@ -0,0 +1,81 @@
+import agentModel from '../../models/agent.model.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Agent Routing Service
+ * Picks the agent taking a handed-off call from the caller's intent,
+ * the agents' status and free call slots
+ */
+
+export const ROUTING_STRATEGIES = ['round-robin', 'least-busy', 'longest-idle'];
+
+class RoutingService {
+  /**
+   * Skills and department wanted for an intent
+   */
+  getRequirements(intent) {
+    const rules = config.routing.rules;
+    const rule = (intent && rules[intent]) || rules.default || {};
+
+    return {
+      skills: rule.skills || [],
+      department: rule.department || null,
+    };
+  }
+
+  /**
+   * Select an agent and reserve one of their call slots
+   * Returns null when nobody is available; the slot must be given back
+   * with releaseAgent() once the agent's call ends
+   * excludeIds skips agents who already turned the call down
+   */
+  async selectAgent({ intent = null, strategy = config.routing.strategy, excludeIds = [] } = {}) {
+    if (!ROUTING_STRATEGIES.includes(strategy)) {
+      logger.warn(`Unknown routing strategy "${strategy}", using least-busy`);
+      strategy = 'least-busy';
+    }
+
+    const requirements = this.getRequirements(intent);
+    const agent = await agentModel.claimAvailable({ ...requirements, strategy, excludeIds });
+
+    if (!agent) {
+      logger.warn('No agent available', { intent, strategy, excluded: excludeIds.length });
+      return null;
+    }
+
+    logger.info('Agent selected', {
+      agentId: agent.id,
+      intent,
+      strategy,
+      skillMatch: agent.skillMatch,
+      departmentMatch: agent.departmentMatch,
+      currentCalls: agent.currentCalls,
+    });
+
+    return agent;
+  }
+
+  /**
+   * Give back the call slot taken by selectAgent()
+   */
+  async releaseAgent(agentId) {
+    if (!agentId) {
+      return null;
+    }
+
+    const agent = await agentModel.release(agentId);
+
+    logger.info('Agent released', {
+      agentId,
+      currentCalls: agent?.currentCalls,
+    });
+
+    return agent;
+  }
+}
+
+// Singleton instance
+const routingService = new RoutingService();
+
+export default routingService;
@@ -0,0 +1,586 @@
+import twilioService from '../telephony/twilio.service.js';
+import orchestratorService from '../llm/orchestrator.service.js';
+import openaiService from '../llm/openai.service.js';
+import contactsService from '../google-workspace/contacts.service.js';
+import routingService from './routing.service.js';
+import queueService from './queue.service.js';
+import presenceService from './presence.service.js';
+import callModel from '../../models/call.model.js';
+import agentModel from '../../models/agent.model.js';
+import handoffModel from '../../models/handoff.model.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { formatPhoneNumber } from '../../utils/helpers.js';
+
+/**
+ * Warm Transfer Service
+ * The caller waits in a conference while an agent is called on a separate
+ * leg, hears a short briefing (whisper) and accepts or declines the call.
+ * Declined or unanswered offers go to the next available agent; when every
+ * agent is busy the caller waits in the queue (queue.service.js).
+ * Each transfer is tracked as a `call_handoffs` row.
+ */
+
+class TransferService {
+  constructor() {
+    this.transfers = new Map(); // conferenceName -> transfer
+  }
+
+  /**
+   * Start a warm transfer, returns the caller's TwiML
+   * (queue or voicemail when no agent can be called)
+   * Callers coming out of the queue bring their handoff and the agent reserved for them
+   */
+  async startWarmTransfer({
+    callSid,
+    from,
+    language = 'fr-FR',
+    intent = null,
+    reason = null,
+    handoffId = null,
+    agentId = null,
+  }) {
+    const conferenceName = `transfer-${callSid}`;
+
+    if (!twilioService.client) {
+      logger.warn('Twilio client not configured, cannot transfer', { callSid });
+      await routingService.releaseAgent(agentId);
+      return twilioService.createVoicemailResponse(language);
+    }
+
+    const transfer = {
+      conferenceName,
+      callSid,
+      handoffId: null,
+      from,
+      language,
+      intent,
+      reason,
+      agent: null,
+      agentCallSid: null,
+      offeredAt: null,
+      triedAgentIds: [],
+      status: 'ringing',
+      // Generated while the agent's phone rings
+      whisper: this.buildWhisper(callSid, from, intent, reason),
+      startedAt: new Date(),
+    };
+
+    transfer.handoffId = handoffId || await this.createHandoff(transfer);
+    this.transfers.set(conferenceName, transfer);
+
+    const reservedAgent = agentId ? await agentModel.findById(agentId) : null;
+
+    if (!(await this.offerToNextAgent(transfer, reservedAgent))) {
+      logger.warn('No agent reachable for transfer', { callSid, intent });
+      this.transfers.delete(conferenceName);
+
+      if (this.canQueue(transfer)) {
+        return queueService.enqueue(transfer);
+      }
+
+      await this.updateHandoff(transfer, 'rejected', ['pending'], { outcome: 'no_agent' });
+
+      return twilioService.createVoicemailResponse(language);
+    }
+
+    logger.logCall('transfer_started', {
+      callSid,
+      handoffId: transfer.handoffId,
+      agentId: transfer.agent.id,
+      agentCallSid: transfer.agentCallSid,
+      intent,
+    });
+
+    // The caller hears hold music until an agent joins
+    return twilioService.createConferenceResponse(conferenceName, {
+      language,
+      message: language === 'tr-TR'
+        ? 'Sizi bir temsilciye bağlıyorum, lütfen bekleyin.'
+        : 'Je vous transfère à un conseiller, veuillez patienter.',
+      startOnEnter: false,
+      endOnExit: true,
+    });
+  }
+
+  /**
+   * Record the handoff with the conversation so far
+   * Returns its ID, or null when it could not be stored
+   */
+  async createHandoff(transfer) {
+    try {
+      const call = await callModel.findByCallSid(transfer.callSid);
+
+      if (!call) {
+        return null;
+      }
+
+      const summary = orchestratorService.getConversationSummary(transfer.callSid);
+      const handoff = await handoffModel.create({
+        callId: call.id,
+        reason: transfer.reason,
+        context: {
+          intent: transfer.intent,
+          language: transfer.language,
+          from: transfer.from,
+          conversation: summary ? {
+            userMessages: summary.userMessages,
+            assistantMessages: summary.assistantMessages,
+          } : null,
+        },
+      });
+
+      return handoff.id;
+    } catch (error) {
+      // Tracking must not keep the caller from reaching an agent
+      logger.error('Failed to record handoff:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update the handoff row, if the transfer has one
+   */
+  async updateHandoff(transfer, status, fromStatuses, details = {}) {
+    if (!transfer.handoffId) {
+      return null;
+    }
+
+    try {
+      return await handoffModel.updateStatus(transfer.handoffId, status, fromStatuses, details);
+    } catch (error) {
+      logger.error('Failed to update handoff:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Log how the current agent's offer ended in the handoff row
+   */
+  async recordAttempt(transfer, outcome) {
+    if (!transfer.handoffId || !transfer.agent) {
+      return;
+    }
+
+    try {
+      await handoffModel.recordAttempt(transfer.handoffId, {
+        agentId: transfer.agent.id,
+        offeredAt: transfer.offeredAt,
+        endedAt: new Date(),
+        outcome,
+      });
+    } catch (error) {
+      logger.error('Failed to record handoff attempt:', error);
+    }
+  }
+
+  /**
+   * Whether a caller nobody could take should wait in the queue
+   * (rather than every agent having turned the call down)
+   */
+  canQueue(transfer) {
+    return queueService.isEnabled()
+      && transfer.triedAgentIds.length < config.routing.maxAgentAttempts;
+  }
+
+  /**
+   * Call the next available agent who has not been offered the call yet
+   * (reservedAgent first, its slot already taken by the queue)
+   * Returns false when nobody is left
+   */
+  async offerToNextAgent(transfer, reservedAgent = null) {
+    while (transfer.triedAgentIds.length < config.routing.maxAgentAttempts) {
+      // Takes one of the agent's call slots until their leg ends
+      const agent = reservedAgent || await routingService.selectAgent({
+        intent: transfer.intent,
+        excludeIds: transfer.triedAgentIds,
+      });
+
+      reservedAgent = null;
+
+      if (!agent) {
+        return false;
+      }
+
+      transfer.triedAgentIds.push(agent.id);
+      transfer.agent = agent;
+      transfer.offeredAt = new Date();
+
+      try {
+        const conference = encodeURIComponent(transfer.conferenceName);
+        const agentCall = await twilioService.makeCall(agent.phoneNumber, config.twilio.phoneNumber, {
+          twimlUrl: `${config.server.publicUrl}/api/webhooks/twilio/transfer/agent?conference=${conference}`,
+          // The agent is carried in the URL so the slot is released even if the transfer is gone
+          statusCallback: `${config.server.publicUrl}/api/webhooks/twilio/transfer/agent-status?conference=${conference}&agent=${agent.id}`,
+          statusCallbackEvent: ['completed'],
+          timeout: config.routing.agentRingTimeout,
+          record: false,
+        });
+
+        transfer.agentCallSid = agentCall.sid;
+        transfer.status = 'ringing';
+
+        // Board shows the ringing offer in the agent's call count
+        presenceService.publish(agent);
+      } catch (error) {
+        logger.error('Failed to call agent for transfer:', error);
+        await routingService.releaseAgent(agent.id);
+        await this.recordAttempt(transfer, 'call_failed');
+        continue;
+      }
+
+      if (transfer.handoffId) {
+        await handoffModel.assignAgent(transfer.handoffId, agent.id).catch((error) => {
+          logger.error('Failed to assign handoff:', error);
+        });
+      }
+
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Short French briefing for the agent: caller, need and key points
+   */
+  async buildWhisper(callSid, from, intent, reason) {
+    let callerName = null;
+
+    if (config.features.enableContacts) {
+      try {
+        const contact = await contactsService.getContactByPhone(from);
+        callerName = contact?.displayName || null;
+      } catch (error) {
+        logger.warn('Caller lookup for whisper failed:', error.message);
+      }
+    }
+
+    const caller = callerName || formatPhoneNumber(from);
+    const fallback = `Appel de ${caller}. Motif : ${intent || 'non précisé'}.`;
+    const summary = orchestratorService.getConversationSummary(callSid);
+
+    if (!summary || summary.turns === 0) {
+      return fallback;
+    }
+
+    const conversation = summary.userMessages
+      .map((text, index) => `Caller: ${text}\nAssistant: ${summary.assistantMessages[index] || ''}`)
+      .join('\n');
+
+    try {
+      const response = await openaiService.generateResponse([
+        {
+          role: 'system',
+          content: 'You brief a support agent who is about to take over a phone call. '
+            + 'In French, in at most three short sentences: who is calling, what they need, '
+            + 'and the key details already given. No greeting.',
+        },
+        {
+          role: 'user',
+          content: `Caller: ${caller}\nIntent: ${intent || 'unknown'}\nHandoff reason: ${reason || 'unknown'}\n\nConversation:\n${conversation}`,
+        },
+      ], {
+        temperature: 0.3,
+        maxTokens: 150,
+      });
+
+      return response.message || fallback;
+    } catch (error) {
+      logger.error('Whisper generation failed:', error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Get an ongoing transfer
+   */
+  getTransfer(conferenceName) {
+    return this.transfers.get(conferenceName) || null;
+  }
+
+  /**
+   * Get an ongoing transfer by its handoff ID
+   */
+  getTransferByHandoff(handoffId) {
+    for (const transfer of this.transfers.values()) {
+      if (transfer.handoffId === handoffId) {
+        return transfer;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the transfer is waiting on the given agent leg
+   * (a leg left over from a previous offer cannot take the call)
+   */
+  isCurrentOffer(transfer, agentCallSid) {
+    return Boolean(transfer)
+      && transfer.status === 'ringing'
+      && (!agentCallSid || transfer.agentCallSid === agentCallSid);
+  }
+
+  /**
+   * The current agent takes the call
+   */
+  async accept(conferenceName, agentCallSid = null) {
+    const transfer = this.getTransfer(conferenceName);
+
+    if (!this.isCurrentOffer(transfer, agentCallSid)) {
+      return null;
+    }
+
+    transfer.status = 'accepted';
+
+    await this.recordAttempt(transfer, 'accepted');
+    await this.updateHandoff(transfer, 'accepted', ['pending'], { agentId: transfer.agent.id });
+
+    await presenceService.markOnCall(transfer.agent.id, transfer.callSid).catch((error) => {
+      logger.error('Failed to set agent busy:', error);
+    });
+
+    logger.logCall('transfer_accepted', {
+      callSid: transfer.callSid,
+      handoffId: transfer.handoffId,
+      agentId: transfer.agent.id,
+      waitSeconds: Math.round((Date.now() - transfer.startedAt.getTime()) / 1000),
+    });
+
+    return transfer;
+  }
+
+  /**
+   * The current agent declined or did not answer: offer the call to the
+   * next agent, or take a voicemail when nobody is left
+   */
+  async decline(conferenceName, reason = 'declined', { agentCallSid = null, hangupAgent = false } = {}) {
+    const transfer = this.getTransfer(conferenceName);
+
+    if (!this.isCurrentOffer(transfer, agentCallSid)) {
+      return null;
+    }
+
+    const declinedCallSid = transfer.agentCallSid;
+
+    // Status callbacks of this leg no longer concern the transfer
+    transfer.status = 'rerouting';
+    transfer.agentCallSid = null;
+
+    await this.recordAttempt(transfer, reason);
+
+    // Unanswered offers in a row set the agent away
+    await presenceService.recordOfferOutcome(transfer.agent?.id, reason).catch((error) => {
+      logger.error('Failed to record missed offer:', error);
+    });
+
+    logger.logCall('transfer_declined', {
+      callSid: transfer.callSid,
+      handoffId: transfer.handoffId,
+      agentId: transfer.agent?.id,
+      reason,
+    });
+
+    if (hangupAgent && declinedCallSid) {
+      await twilioService.hangupCall(declinedCallSid).catch((error) => {
+        logger.warn('Could not hang up agent call:', error.message);
+      });
+    }
+
+    if (await this.offerToNextAgent(transfer)) {
+      logger.logCall('transfer_rerouted', {
+        callSid: transfer.callSid,
+        agentId: transfer.agent.id,
+        attempt: transfer.triedAgentIds.length,
+      });
+
+      return transfer;
+    }
+
+    // The caller may have hung up while we looked for another agent
+    if (!this.transfers.has(conferenceName)) {
+      return transfer;
+    }
+
+    transfer.status = 'declined';
+    this.transfers.delete(conferenceName);
+
+    const queue = this.canQueue(transfer);
+
+    if (!queue) {
+      await this.updateHandoff(transfer, 'rejected', ['pending'], { outcome: 'no_agent' });
+    }
+
+    const params = new URLSearchParams({
+      language: transfer.language,
+      ...(queue && transfer.intent && { intent: transfer.intent }),
+      ...(queue && transfer.reason && { reason: transfer.reason }),
+      ...(queue && transfer.handoffId && { handoff: transfer.handoffId }),
+    });
+
+    try {
+      // Pull the caller out of the conference, into the queue or voicemail
+      await twilioService.updateCall(transfer.callSid, {
+        url: `${config.server.publicUrl}/api/webhooks/twilio/${queue ? 'queue/enqueue' : 'voicemail/start'}?${params}`,
+        method: 'POST',
+      });
+    } catch (error) {
+      // The caller may have hung up meanwhile
+      logger.warn('Could not redirect caller out of the conference:', error.message);
+    }
+
+    return transfer;
+  }
+
+  /**
+   * The agent is done with the caller
+   */
+  async complete(conferenceName, outcome = 'completed') {
+    const transfer = this.getTransfer(conferenceName);
+
+    if (!transfer || transfer.status !== 'accepted') {
+      return null;
+    }
+
+    this.transfers.delete(conferenceName);
+
+    await this.updateHandoff(transfer, 'completed', ['accepted'], { outcome });
+
+    logger.logCall('transfer_completed', {
+      callSid: transfer.callSid,
+      handoffId: transfer.handoffId,
+      outcome,
+    });
+
+    return transfer;
+  }
+
+  /**
+   * Agent accepted from the agent API: bring their answered leg into the conference
+   * (a leg still ringing joins when answered, see the agent webhook)
+   */
+  async acceptHandoff(handoffId) {
+    const transfer = this.getTransferByHandoff(handoffId);
+    const accepted = transfer ? await this.accept(transfer.conferenceName) : null;
+
+    if (!accepted) {
+      return null;
+    }
+
+    try {
+      await twilioService.updateCall(accepted.agentCallSid, {
+        twiml: twilioService.createConferenceResponse(accepted.conferenceName, {
+          startOnEnter: true,
+          endOnExit: true,
+          beep: false,
+        }),
+      });
+    } catch (error) {
+      logger.warn('Agent leg not answered yet, joining on answer:', error.message);
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Agent rejected from the agent API: stop ringing them and re-route
+   */
+  async rejectHandoff(handoffId) {
+    const transfer = this.getTransferByHandoff(handoffId);
+
+    if (!transfer) {
+      return null;
+    }
+
+    return this.decline(transfer.conferenceName, 'rejected', { hangupAgent: true });
+  }
+
+  /**
+   * Agent marked the handoff done from the agent API
+   */
+  async completeHandoff(handoffId) {
+    const transfer = this.getTransferByHandoff(handoffId);
+
+    if (transfer) {
+      return this.complete(transfer.conferenceName);
+    }
+
+    // Conference already over or handled by another instance
+    return handoffModel.updateStatus(handoffId, 'completed', ['accepted'], { outcome: 'completed' });
+  }
+
+  /**
+   * An agent leg ended: free the agent's slot, move on if it was the current offer
+   */
+  async handleAgentCallEnded(conferenceName, status, agentId, agentCallSid) {
+    await routingService.releaseAgent(agentId);
+
+    await presenceService.markCallEnded(agentId).catch((error) => {
+      logger.error('Failed to clear agent call:', error);
+    });
+
+    // The freed slot may go to a queued caller
+    queueService.dispatch().catch((error) => {
+      logger.error('Queue dispatch failed:', error);
+    });
+
+    const transfer = this.getTransfer(conferenceName);
+
+    if (!transfer || transfer.agentCallSid !== agentCallSid) {
+      return;
+    }
+
+    if (transfer.status === 'ringing') {
+      // no-answer, busy, failed or hung up during the whisper
+      await this.decline(conferenceName, status === 'completed' ? 'hung_up' : status, { agentCallSid });
+      return;
+    }
+
+    await this.complete(conferenceName, 'agent_hung_up');
+  }
+
+  /**
+   * The caller hung up: close the handoff and stop ringing the agent
+   */
+  async handleCallerEnded(callSid) {
+    const conferenceName = `transfer-${callSid}`;
+    const transfer = this.getTransfer(conferenceName);
+
+    if (!transfer) {
+      return;
+    }
+
+    if (transfer.status === 'accepted') {
+      await this.complete(conferenceName, 'caller_hung_up');
+      return;
+    }
+
+    this.transfers.delete(conferenceName);
+
+    if (transfer.agentCallSid) {
+      await this.recordAttempt(transfer, 'caller_hung_up');
+    }
+
+    await this.updateHandoff(transfer, 'abandoned', ['pending'], { outcome: 'caller_hung_up' });
+
+    logger.logCall('transfer_abandoned', {
+      callSid,
+      handoffId: transfer.handoffId,
+      waitSeconds: Math.round((Date.now() - transfer.startedAt.getTime()) / 1000),
+    });
+
+    if (transfer.agentCallSid) {
+      try {
+        await twilioService.hangupCall(transfer.agentCallSid);
+      } catch (error) {
+        logger.warn('Could not cancel agent call:', error.message);
+      }
+    }
+  }
+}
+
+// Singleton instance
+const transferService = new TransferService();
+
+export default transferService;
@@ -0,0 +1,118 @@
+import twilioService from '../telephony/twilio.service.js';
+import sttService from '../speech/stt.service.js';
+import openaiService from '../llm/openai.service.js';
+import n8nService from '../n8n/n8n.service.js';
+import callModel from '../../models/call.model.js';
+import voicemailModel from '../../models/voicemail.model.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { formatPhoneNumber } from '../../utils/helpers.js';
+
+/**
+ * Voicemail Service
+ * Transcribe, summarize and forward voicemails to staff
+ */
+
+class VoicemailService {
+  /**
+   * Process a completed voicemail recording
+   */
+  async processRecording({ callSid, recordingSid, recordingUrl, duration, language = 'fr-FR' }) {
+    const call = await callModel.findByCallSid(callSid);
+
+    if (!call) {
+      logger.warn('Voicemail for unknown call', { callSid, recordingSid });
+      return null;
+    }
+
+    const voicemail = await voicemailModel.create({
+      callId: call.id,
+      recordingSid,
+      recordingUrl,
+      duration,
+      language,
+    });
+
+    if (!voicemail) {
+      // Twilio retried the callback: already processed
+      logger.debug('Voicemail already stored', { recordingSid });
+      return null;
+    }
+
+    let transcript = null;
+    let summary = null;
+
+    try {
+      const audio = await twilioService.downloadRecording(recordingUrl);
+      transcript = await this.transcribe(audio, language);
+
+      if (transcript) {
+        summary = await openaiService.summarize(transcript, 50);
+      }
+
+      await voicemailModel.update(voicemail.id, {
+        transcript,
+        summary,
+        status: 'processed',
+      });
+    } catch (error) {
+      // Staff must still be told a message is waiting
+      logger.error('Voicemail processing failed:', error);
+
+      await voicemailModel.update(voicemail.id, {
+        status: 'failed',
+        metadata: { error: error.message },
+      });
+    }
+
+    const notified = await n8nService.sendEmailNotification({
+      to: config.voicemail.notifyEmail,
+      subject: `Nouveau message vocal de ${formatPhoneNumber(call.fromNumber)}`,
+      type: 'voicemail',
+      callId: call.id,
+      from: call.fromNumber,
+      duration,
+      language,
+      summary,
+      transcript,
+      recordingUrl,
+    });
+
+    if (notified) {
+      await voicemailModel.update(voicemail.id, { notifiedAt: new Date() });
+    }
+
+    logger.logCall('voicemail_received', {
+      callSid,
+      callId: call.id,
+      duration,
+      transcribed: Boolean(transcript),
+    });
+
+    return voicemail;
+  }
+
+  /**
+   * Transcribe voicemail audio (Twilio WAV, 8 kHz LINEAR16)
+   */
+  async transcribe(audio, language) {
+    const results = await sttService.transcribe(audio, {
+      languageCode: language,
+      encoding: 'LINEAR16',
+      sampleRateHertz: 8000,
+    });
+
+    const transcript = results
+      .map(result => result.transcript)
+      .filter(Boolean)
+      .join(' ')
+      .trim();
+
+    return transcript || null;
+  }
+}
+
+// Singleton instance
+const voicemailService = new VoicemailService();
+
+export default voicemailService;
@@ -201,6 +201,33 @@ class CalendarService {
     }
   }
 
+  /**
+   * Update some fields of an event (needs the calendar.events scope)
+   */
+  async updateEvent(eventId, changes, calendarId = 'primary') {
+    if (!this.calendar) {
+      throw new Error('Calendar service not initialized');
+    }
+
+    try {
+      const response = await this.calendar.events.patch({
+        calendarId,
+        eventId,
+        requestBody: changes,
+      });
+
+      logger.info('Event updated', {
+        eventId,
+        fields: Object.keys(changes),
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to update event ${eventId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get today's schedule summary
    */
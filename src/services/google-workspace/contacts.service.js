@@ -43,7 +43,7 @@ class ContactsService {
       const response = await this.people.people.searchContacts({
         query,
         pageSize,
-        readMask: 'names,emailAddresses,phoneNumbers,organizations',
+        readMask: 'names,emailAddresses,phoneNumbers,organizations,locales',
       });
 
       const results = response.data.results || [];
@@ -110,7 +110,7 @@ class ContactsService {
         resourceName: 'people/me',
         pageSize,
         pageToken,
-        personFields: 'names,emailAddresses,phoneNumbers,organizations',
+        personFields: 'names,emailAddresses,phoneNumbers,organizations,locales',
       });
 
       return {
@@ -142,6 +142,8 @@ class ContactsService {
 
     const organization = person.organizations?.[0];
 
+    const locales = person.locales?.map(l => l.value) || [];
+
     return {
       resourceName: person.resourceName,
       displayName: name?.displayName,
@@ -149,6 +151,7 @@ class ContactsService {
       familyName: name?.familyName,
       emails,
       phoneNumbers,
+      locales,
       organization: organization ? {
         name: organization.name,
         title: organization.title,
@@ -167,7 +170,7 @@ class ContactsService {
     try {
       const response = await this.people.people.get({
         resourceName,
-        personFields: 'names,emailAddresses,phoneNumbers,organizations,addresses',
+        personFields: 'names,emailAddresses,phoneNumbers,organizations,addresses,locales',
       });
 
       return this.formatContact(response.data);
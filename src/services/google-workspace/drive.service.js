@@ -2,6 +2,7 @@ import { google } from 'googleapis';
 import config from '../../config/index.js';
 import logger from '../../utils/logger.js';
 import ragService from '../rag/rag.service.js';
+import documentModel from '../../models/document.model.js';
 
 /**
  * Google Drive Service
@@ -144,6 +145,8 @@ class DriveService {
 
   /**
    * Index all documents from a folder for RAG
+   * Without `fullReindex`, files not modified since they were last indexed are skipped;
+   * `onProgress({ total, processed, failed })` is called once the files are listed and after each file
    */
   async indexFolder(folderId, options = {}) {
     try {
@@ -154,6 +157,8 @@ class DriveService {
         department = null,
         accessLevel = 'public',
         recursive = false,
+        fullReindex = true,
+        onProgress = null,
       } = options;
 
       let allFiles = [];
@@ -172,16 +177,29 @@ class DriveService {
 
       logger.info('Files to index', { count: allFiles.length });
 
-      const indexedCount = 0;
+      let processed = 0;
+      let skipped = 0;
       const errors = [];
+      const reportProgress = () => onProgress?.({
+        total: allFiles.length,
+        processed,
+        failed: errors.length,
+      });
+
+      await reportProgress();
 
       for (const file of allFiles) {
         try {
-          await this.indexFile(file.id, {
+          const result = await this.indexFile(file.id, {
             category,
             department,
             accessLevel,
+            skipUnchanged: !fullReindex,
           });
+
+          if (result?.skipped) {
+            skipped++;
+          }
         } catch (error) {
           logger.error(`Failed to index file ${file.id}:`, error);
           errors.push({
@@ -190,18 +208,23 @@ class DriveService {
             error: error.message,
           });
         }
+
+        processed++;
+        await reportProgress();
       }
 
       logger.info('Folder indexing completed', {
         folderId,
         total: allFiles.length,
-        indexed: allFiles.length - errors.length,
+        indexed: allFiles.length - errors.length - skipped,
+        skipped,
         errors: errors.length,
       });
 
       return {
         total: allFiles.length,
-        indexed: allFiles.length - errors.length,
+        indexed: allFiles.length - errors.length - skipped,
+        skipped,
         errors,
       };
     } catch (error) {
@@ -218,6 +241,15 @@ class DriveService {
       // Get file metadata
       const metadata = await this.getFileMetadata(fileId);
 
+      if (options.skipUnchanged) {
+        const existing = await documentModel.findBySource('drive', fileId);
+
+        if (existing?.lastIndexedAt && new Date(existing.lastIndexedAt) >= new Date(metadata.modifiedTime)) {
+          logger.debug('File unchanged since last indexing, skipping', { fileId });
+          return { documentId: existing.id, chunksIndexed: 0, skipped: true };
+        }
+      }
+
       logger.info('Indexing file', {
         fileId,
         name: metadata.name,
@@ -232,9 +264,8 @@ class DriveService {
         return null;
       }
 
-      // Prepare document for RAG
-      const document = {
-        id: fileId,
+      // Store the document (chunks reference it), then replace its chunks
+      const document = await documentModel.upsertFromSource({
         title: metadata.name,
         content,
         source: 'drive',
@@ -249,10 +280,10 @@ class DriveService {
           webViewLink: metadata.webViewLink,
           size: metadata.size,
         },
-      };
+      });
 
-      // Index with RAG service
-      const result = await ragService.indexDocument(document);
+      const result = await ragService.reindexDocument(document);
+      await documentModel.markIndexed(document.id);
 
       logger.info('File indexed successfully', {
         fileId,
@@ -5,7 +5,8 @@ import { maskPII } from '../../utils/security.js';
 
 /**
  * Gmail Service
- * Read and search emails (read-only for privacy)
+ * Read and search emails. Labels, drafts and sending need the gmail.modify and
+ * gmail.compose scopes, only requested when email triage is enabled.
  */
 
 class GmailService {
@@ -29,6 +30,7 @@ class GmailService {
     }
 
     this.gmail = google.gmail({ version: 'v1', auth: this.oauth2Client });
+    this.labelIds = new Map(); // label name -> ID
     logger.info('Gmail service initialized');
   }
 
@@ -99,6 +101,7 @@ class GmailService {
         date: headers['date'],
         body: this.extractBody(message.payload),
         labels: message.labelIds,
+        headers,
       };
     } catch (error) {
       logger.error(`Failed to get message ${messageId}:`, error);
@@ -125,6 +128,148 @@ class GmailService {
     return body;
   }
 
+  /**
+   * ID of a label, created if missing ("Secrétaire/Traité" nests under "Secrétaire")
+   */
+  async getLabelId(name) {
+    if (!this.gmail) {
+      throw new Error('Gmail service not initialized');
+    }
+
+    if (this.labelIds.has(name)) {
+      return this.labelIds.get(name);
+    }
+
+    try {
+      const response = await this.gmail.users.labels.list({ userId: 'me' });
+      let label = response.data.labels?.find(l => l.name === name);
+
+      if (!label) {
+        const created = await this.gmail.users.labels.create({
+          userId: 'me',
+          requestBody: {
+            name,
+            labelListVisibility: 'labelShow',
+            messageListVisibility: 'show',
+          },
+        });
+
+        label = created.data;
+        logger.info('Gmail label created', { name });
+      }
+
+      this.labelIds.set(name, label.id);
+
+      return label.id;
+    } catch (error) {
+      logger.error(`Failed to get Gmail label ${name}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add and remove labels (by name or system ID such as UNREAD) on a message
+   */
+  async modifyLabels(messageId, { add = [], remove = [] } = {}) {
+    if (!this.gmail) {
+      throw new Error('Gmail service not initialized');
+    }
+
+    const toIds = names => Promise.all(names.map(name => (
+      /^[A-Z_]+$/.test(name) ? name : this.getLabelId(name)
+    )));
+
+    try {
+      await this.gmail.users.messages.modify({
+        userId: 'me',
+        id: messageId,
+        requestBody: {
+          addLabelIds: await toIds(add),
+          removeLabelIds: await toIds(remove),
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to label message ${messageId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a reply to a message as a draft in its thread
+   */
+  async createReplyDraft(message, body) {
+    if (!this.gmail) {
+      throw new Error('Gmail service not initialized');
+    }
+
+    try {
+      const response = await this.gmail.users.drafts.create({
+        userId: 'me',
+        requestBody: {
+          message: {
+            threadId: message.threadId,
+            raw: this.buildReply(message, body),
+          },
+        },
+      });
+
+      logger.info('Gmail draft created', {
+        draftId: response.data.id,
+        threadId: message.threadId,
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to create draft for message ${message.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a draft
+   */
+  async sendDraft(draftId) {
+    if (!this.gmail) {
+      throw new Error('Gmail service not initialized');
+    }
+
+    try {
+      const response = await this.gmail.users.drafts.send({
+        userId: 'me',
+        requestBody: { id: draftId },
+      });
+
+      logger.info('Gmail draft sent', { draftId, messageId: response.data.id });
+
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to send draft ${draftId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Raw RFC 2822 reply (base64url), threaded with In-Reply-To / References
+   */
+  buildReply(message, body) {
+    const subject = /^re:/i.test(message.subject || '') ? message.subject : `Re: ${message.subject || ''}`;
+    const messageIdHeader = message.headers?.['message-id'];
+    const references = [message.headers?.references, messageIdHeader].filter(Boolean).join(' ');
+
+    const lines = [
+      `To: ${message.headers?.['reply-to'] || message.from}`,
+      `Subject: =?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`,
+      ...(messageIdHeader ? [`In-Reply-To: ${messageIdHeader}`, `References: ${references}`] : []),
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from(body).toString('base64'),
+    ];
+
+    return Buffer.from(lines.join('\r\n')).toString('base64url');
+  }
+
   /**
    * Search emails
    */
@@ -90,6 +90,7 @@ class OpenAIService {
       model = this.model,
       temperature = 0.7,
       maxTokens = 500,
+      signal = null,
     } = options;
 
     try {
@@ -99,7 +100,7 @@ class OpenAIService {
         temperature,
         max_tokens: maxTokens,
         stream: true,
-      });
+      }, signal ? { signal } : undefined);
 
       for await (const chunk of stream) {
         const content = chunk.choices[0]?.delta?.content;
@@ -108,6 +109,11 @@ class OpenAIService {
         }
       }
     } catch (error) {
+      // Aborted on purpose (e.g. caller barge-in), not a failure
+      if (signal?.aborted) {
+        throw error;
+      }
+
       logger.error('OpenAI streaming failed:', error);
       throw error;
     }
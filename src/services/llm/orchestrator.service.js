@@ -4,7 +4,27 @@ import gmailService from '../google-workspace/gmail.service.js';
 import calendarService from '../google-workspace/calendar.service.js';
 import contactsService from '../google-workspace/contacts.service.js';
 import logger from '../../utils/logger.js';
-import { isBusinessHours } from '../../utils/helpers.js';
+import config from '../../config/index.js';
+import { isBusinessHours, parseLanguageCode, safeJSONParse } from '../../utils/helpers.js';
+
+const REMINDER_DECISIONS = ['confirm', 'cancel', 'reschedule', 'unclear'];
+
+const REMINDER_CHANNELS = {
+  call: 'by phone',
+  sms: 'by SMS',
+  whatsapp: 'on WhatsApp',
+};
+
+// Text channels allow longer answers than the phone (see system prompt)
+const CHANNEL_INSTRUCTIONS = {
+  sms: 'This conversation is by SMS: answer in plain text without markdown, up to 5 sentences, '
+    + 'and include links from the context when they help.',
+  webchat: 'This conversation is in the chat window of our website: answer in plain text without markdown, '
+    + 'up to 5 sentences. The sources you used are listed under your answer, do not repeat their titles.',
+  whatsapp: 'This conversation is on WhatsApp: answer in short paragraphs without markdown headings '
+    + '(*bold* is allowed), up to 6 sentences, and include links from the context when they help. '
+    + 'You cannot see photos or files the customer sends; staff can, say so if they matter.',
+};
 
 /**
  * LLM Orchestrator Service
@@ -56,92 +76,351 @@ Outside business hours, offer to take a message or schedule a callback.`;
    */
   async processCall(callId, userInput, context = {}) {
     try {
-      logger.info('Processing call', {
-        callId,
-        userInput: userInput.substring(0, 100),
+      const turn = await this.prepareTurn(callId, userInput, context);
+
+      // Get LLM response
+      const response = await openaiService.generateResponse(turn.llmMessages, {
+        intent: turn.intent,
+        tools: this.getAvailableTools(),
       });
 
-      // Get or create conversation history
-      if (!this.conversationHistory.has(callId)) {
-        this.conversationHistory.set(callId, [
+      return this.completeTurn(turn, response.message);
+    } catch (error) {
+      logger.error('Call processing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process incoming call, streaming response tokens as they are generated
+   * If `signal` aborts, the partial response is kept and `interrupted` is set
+   */
+  async processCallStream(callId, userInput, context = {}, { signal = null, onToken = null } = {}) {
+    try {
+      const turn = await this.prepareTurn(callId, userInput, context);
+
+      let message = '';
+      let interrupted = false;
+
+      try {
+        for await (const token of openaiService.generateStreamingResponse(turn.llmMessages, { signal })) {
+          message += token;
+
+          if (onToken) {
+            onToken(token);
+          }
+        }
+      } catch (error) {
+        if (!signal?.aborted) {
+          throw error;
+        }
+
+        interrupted = true;
+      }
+
+      return {
+        ...this.completeTurn(turn, message),
+        interrupted,
+      };
+    } catch (error) {
+      logger.error('Streaming call processing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add user input to history, detect intent and build the LLM prompt
+   */
+  async prepareTurn(callId, userInput, context = {}) {
+    logger.info('Processing call', {
+      callId,
+      userInput: userInput.substring(0, 100),
+    });
+
+    // Get or create conversation history
+    if (!this.conversationHistory.has(callId)) {
+      this.conversationHistory.set(callId, [
+        {
+          role: 'system',
+          content: this.systemPrompt,
+        },
+      ]);
+    }
+
+    const messages = this.conversationHistory.get(callId);
+
+    // Add user message
+    messages.push({
+      role: 'user',
+      content: userInput,
+    });
+
+    // Detect intent (unless the caller chose it on the keypad) and gather context
+    const intent = context.intent
+      ? { name: context.intent, confidence: 1, keywords: [] }
+      : await this.detectIntent(userInput, context);
+
+    // Gather relevant information based on intent
+    const toolResults = await this.gatherContext(intent, userInput, context);
+
+    // Build enhanced prompt with context
+    let enhancedPrompt = userInput;
+
+    if (toolResults.length > 0) {
+      enhancedPrompt += '\n\nContext:\n';
+      toolResults.forEach(result => {
+        enhancedPrompt += `- ${result.tool}: ${result.summary}\n`;
+
+        if (result.context) {
+          enhancedPrompt += `${result.context}\n`;
+        }
+      });
+    }
+
+    // Add business hours context
+    const isOpen = isBusinessHours();
+    enhancedPrompt += `\n\nCurrent status: ${isOpen ? 'Business is OPEN' : 'Business is CLOSED'}`;
+
+    if (context.language) {
+      enhancedPrompt += `\nAnswer in ${this.getLanguageName(context.language)}.`;
+    }
+
+    if (CHANNEL_INSTRUCTIONS[context.channel]) {
+      enhancedPrompt += `\n${CHANNEL_INSTRUCTIONS[context.channel]}`;
+    }
+
+    // Only the current turn carries the enhanced prompt, history keeps the raw input
+    const llmMessages = [
+      ...messages.slice(0, -1),
+      {
+        role: 'user',
+        content: enhancedPrompt,
+      },
+    ];
+
+    return {
+      callId,
+      userInput,
+      messages,
+      llmMessages,
+      intent,
+      toolResults,
+      isOpen,
+    };
+  }
+
+  /**
+   * Store the assistant message and build the turn result
+   */
+  completeTurn(turn, message) {
+    const { callId, userInput, messages, intent, toolResults, isOpen } = turn;
+
+    // Add assistant message to history
+    messages.push({
+      role: 'assistant',
+      content: message,
+    });
+
+    // Determine if handoff is needed
+    const needsHandoff = this.shouldHandoff(intent, message, toolResults);
+
+    const result = {
+      callId,
+      intent: intent.name,
+      confidence: intent.confidence,
+      response: message,
+      needsHandoff,
+      handoffReason: needsHandoff ? this.getHandoffReason(intent, message) : null,
+      slots: this.extractSlots(userInput),
+      toolsUsed: toolResults.map(t => t.tool),
+      // Knowledge base documents the answer was grounded on (citations on text channels)
+      sources: ragService.getSources(toolResults.find(t => t.tool === 'knowledge_base')?.data),
+      context: {
+        isBusinessHours: isOpen,
+        conversationTurns: messages.filter(m => m.role !== 'system').length / 2,
+      },
+    };
+
+    logger.info('Call processed', {
+      callId,
+      intent: result.intent,
+      needsHandoff,
+    });
+
+    return result;
+  }
+
+  /**
+   * Interpret a customer's answer to an appointment reminder (call or SMS)
+   * Returns { decision, requestedTime, reply }; the caller acts on the decision
+   * and confirms it, `reply` is only meant for 'reschedule' without a time or 'unclear'
+   */
+  async processReminderReply(conversationId, userInput, context = {}) {
+    try {
+      if (!this.conversationHistory.has(conversationId)) {
+        this.conversationHistory.set(conversationId, [
           {
             role: 'system',
-            content: this.systemPrompt,
+            content: this.buildReminderPrompt(context),
           },
         ]);
       }
 
-      const messages = this.conversationHistory.get(callId);
+      const messages = this.conversationHistory.get(conversationId);
 
-      // Add user message
       messages.push({
         role: 'user',
         content: userInput,
       });
 
-      // Detect intent and gather context
-      const intent = await this.detectIntent(userInput, context);
-
-      // Gather relevant information based on intent
-      const toolResults = await this.gatherContext(intent, userInput, context);
-
-      // Build enhanced prompt with context
-      let enhancedPrompt = userInput;
-
-      if (toolResults.length > 0) {
-        enhancedPrompt += '\n\nContext:\n';
-        toolResults.forEach(result => {
-          enhancedPrompt += `- ${result.tool}: ${result.summary}\n`;
-        });
-      }
-
-      // Add business hours context
-      const isOpen = isBusinessHours();
-      enhancedPrompt += `\n\nCurrent status: ${isOpen ? 'Business is OPEN' : 'Business is CLOSED'}`;
-
-      // Get LLM response
       const response = await openaiService.generateResponse(messages, {
-        enhancedPrompt,
-        intent,
-        tools: this.getAvailableTools(),
+        temperature: 0.2,
+        maxTokens: 300,
       });
 
-      // Add assistant message to history
       messages.push({
         role: 'assistant',
         content: response.message,
       });
 
-      // Determine if handoff is needed
-      const needsHandoff = this.shouldHandoff(intent, response, toolResults);
+      const parsed = safeJSONParse(response.message) || {};
+      const requestedTime = parsed.requestedTime && !Number.isNaN(Date.parse(parsed.requestedTime))
+        ? new Date(parsed.requestedTime)
+        : null;
 
       const result = {
-        callId,
-        intent: intent.name,
-        confidence: intent.confidence,
-        response: response.message,
-        needsHandoff,
-        handoffReason: needsHandoff ? this.getHandoffReason(intent, response) : null,
-        toolsUsed: toolResults.map(t => t.tool),
-        context: {
-          isBusinessHours: isOpen,
-          conversationTurns: messages.filter(m => m.role !== 'system').length / 2,
+        decision: REMINDER_DECISIONS.includes(parsed.decision) ? parsed.decision : 'unclear',
+        requestedTime,
+        reply: parsed.reply || '',
+      };
+
+      logger.info('Reminder reply processed', {
+        conversationId,
+        decision: result.decision,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Reminder reply processing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * System prompt for a reminder conversation
+   */
+  buildReminderPrompt({ appointment, availableSlots = [], language = 'fr-FR', channel = 'call' }) {
+    const format = date => new Date(date).toLocaleString('fr-FR', {
+      timeZone: config.routing.timezone,
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+
+    return `You are the virtual secretary of NETZ Informatique, a computer repair company in France.
+We contacted a customer ${REMINDER_CHANNELS[channel] || 'by phone'} to remind them of their appointment on ${format(appointment.start)} (${config.routing.timezone}).
+Now: ${new Date().toISOString()}.
+
+Decide what the customer wants:
+- confirm: they will come
+- cancel: they will not come and do not want another time
+- reschedule: they want another time (set requestedTime if they gave one, including a relative day such as "tomorrow at 2pm")
+- unclear: anything else
+
+Free slots you may offer for a new appointment:
+${availableSlots.map(slot => `- ${format(slot.start)}`).join('\n') || '- none, a colleague will call them back'}
+
+Return ONLY JSON: {"decision": "...", "requestedTime": "<ISO 8601 with offset, or null>", "reply": "..."}
+"reply" answers in ${this.getLanguageName(language)} when the decision is reschedule without a time (offer two or three of the free slots) or unclear (ask again briefly).
+Never confirm a new time yourself, the system checks the calendar. Keep it to ${channel === 'call' ? 'two short sentences' : 'one short message'}.`;
+  }
+
+  /**
+   * Draft a reply to a customer email from the knowledge base
+   * Returns { answerable, reply, sources }; answerable is false when the documents
+   * do not answer the email (the caller escalates it)
+   */
+  async draftEmailReply(email, { language = 'fr-FR' } = {}) {
+    try {
+      const body = (email.body || email.snippet || '').substring(0, 4000);
+      const ragResults = await ragService.query(`${email.subject || ''}\n${body}`.substring(0, 1000), {
+        topK: 3,
+        accessLevel: 'public',
+      });
+
+      if (!ragResults.hasResults) {
+        return { answerable: false, reply: '', sources: [] };
+      }
+
+      const response = await openaiService.generateResponse([
+        {
+          role: 'system',
+          content: this.buildEmailPrompt(language),
+        },
+        {
+          role: 'user',
+          content: `Subject: ${email.subject || ''}\n\n${body}\n\nKnowledge base:\n${ragResults.context}`,
         },
+      ], {
+        temperature: 0.3,
+        maxTokens: 800,
+      });
+
+      const parsed = safeJSONParse(response.message) || {};
+
+      const result = {
+        answerable: Boolean(parsed.answerable && parsed.reply),
+        reply: parsed.reply || '',
+        sources: ragService.getSources(ragResults.results),
       };
 
-      logger.info('Call processed', {
-        callId,
-        intent: result.intent,
-        needsHandoff,
+      logger.info('Email reply drafted', {
+        messageId: email.id,
+        answerable: result.answerable,
       });
 
       return result;
     } catch (error) {
-      logger.error('Call processing failed:', error);
+      logger.error('Email reply drafting failed:', error);
       throw error;
     }
   }
 
+  /**
+   * System prompt for email replies
+   */
+  buildEmailPrompt(language = 'fr-FR') {
+    return `You are the virtual secretary of NETZ Informatique, a computer repair company in France, answering customer emails.
+Answer ONLY from the knowledge base excerpts given with the email. If they do not fully answer it, or the email needs
+a person (complaint, quote for a specific repair, order or repair follow-up, personal data), set "answerable" to false.
+
+Return ONLY JSON: {"answerable": true|false, "reply": "..."}
+"reply" is the full email body in ${this.getLanguageName(language)}: greeting, a short answer, an offer to call us
+or reply for anything else, signed "L'équipe NETZ Informatique". Plain text, no subject line, no markdown.
+Never invent prices, dates or commitments that are not in the excerpts.`;
+  }
+
+  /**
+   * Replace the last assistant message with what the caller actually heard
+   * (used when the caller interrupts the assistant mid-sentence)
+   */
+  truncateLastResponse(callId, spokenText) {
+    const messages = this.conversationHistory.get(callId);
+    const last = messages?.[messages.length - 1];
+
+    if (!last || last.role !== 'assistant') {
+      return;
+    }
+
+    last.content = spokenText
+      ? `${spokenText} [interrupted by caller]`
+      : '[interrupted by caller before answering]';
+
+    logger.debug('Assistant response truncated', { callId });
+  }
+
   /**
    * Detect intent from user input
    */
@@ -152,6 +431,7 @@ Outside business hours, offer to take a message or schedule a callback.`;
       business_hours: ['heures', 'ouvert', 'horaires', 'açık', 'saat', 'hours', 'open'],
       services: ['service', 'réparation', 'repair', 'tamir', 'hizmet'],
       appointment: ['rendez-vous', 'appointment', 'randevu', 'réserver', 'book'],
+      repair_status: ['suivi', 'statut', 'status', 'durum', 'takip'],
       technical_support: ['problème', 'problem', 'sorun', 'bug', 'error', 'panne'],
       pricing: ['prix', 'tarif', 'cost', 'price', 'fiyat'],
       location: ['adresse', 'où', 'location', 'address', 'adres', 'nerede'],
@@ -180,6 +460,29 @@ Outside business hours, offer to take a message or schedule a callback.`;
     };
   }
 
+  /**
+   * Extract simple slots (contact details, dates, times) from user input
+   */
+  extractSlots(text) {
+    const patterns = {
+      email: /[a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z]{2,}/,
+      phoneNumber: /(?:\+\d{2}|0)\d(?:[\s.-]?\d{2}){4}/,
+      date: /\b\d{1,2}[/.]\d{1,2}(?:[/.]\d{2,4})?\b/,
+      time: /\b\d{1,2}(?::|h)\d{2}\b|\b\d{1,2}h\b/i,
+    };
+
+    const slots = {};
+
+    for (const [name, pattern] of Object.entries(patterns)) {
+      const match = text.match(pattern);
+      if (match) {
+        slots[name] = match[0];
+      }
+    }
+
+    return slots;
+  }
+
   /**
    * Gather context using available tools
    */
@@ -198,6 +501,7 @@ Outside business hours, offer to take a message or schedule a callback.`;
           results.push({
             tool: 'knowledge_base',
             summary: `Found ${ragResults.results.length} relevant documents`,
+            context: ragResults.context,
             data: ragResults.results,
           });
         }
@@ -276,6 +580,19 @@ Outside business hours, offer to take a message or schedule a callback.`;
     return reasons[intent.name] || 'Customer needs personalized assistance';
   }
 
+  /**
+   * Get language name for prompt instructions
+   */
+  getLanguageName(languageCode) {
+    const names = {
+      fr: 'French',
+      tr: 'Turkish',
+      en: 'English',
+    };
+
+    return names[parseLanguageCode(languageCode)] || 'French';
+  }
+
   /**
    * Get available tools definition for LLM
    */
@@ -306,6 +623,20 @@ Outside business hours, offer to take a message or schedule a callback.`;
     ];
   }
 
+  /**
+   * Seed the history of a conversation stored elsewhere (text channels keep
+   * theirs in the database, so it survives restarts between two messages)
+   */
+  restoreHistory(conversationId, messages) {
+    this.conversationHistory.set(conversationId, [
+      {
+        role: 'system',
+        content: this.systemPrompt,
+      },
+      ...messages,
+    ]);
+  }
+
   /**
    * Clear conversation history for a call
    */
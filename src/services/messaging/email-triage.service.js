@@ -0,0 +1,274 @@
+import gmailService from '../google-workspace/gmail.service.js';
+import orchestratorService from '../llm/orchestrator.service.js';
+import n8nService from '../n8n/n8n.service.js';
+import languageService from '../calls/language.service.js';
+import emailTriageModel from '../../models/email-triage.model.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { truncate } from '../../utils/helpers.js';
+
+/**
+ * Email Triage Service
+ * Polls the Gmail inbox, drafts replies grounded in the knowledge base for FAQ
+ * emails and escalates the rest to staff. Drafts are only sent for the intents
+ * listed in EMAIL_TRIAGE_AUTO_SEND_INTENTS; every email gets labelled.
+ */
+
+// Labels under config.emailTriage.labelPrefix
+const LABELS = {
+  done: 'Traité',
+  drafted: 'Brouillon',
+  sent: 'Répondu',
+  escalated: 'À traiter',
+};
+
+// Senders that never read replies
+const AUTOMATED_SENDER = /\b(no-?reply|do-?not-?reply|mailer-daemon|postmaster)@/i;
+
+const BULK_PRECEDENCE = ['bulk', 'list', 'junk'];
+
+class EmailTriageService {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Full name of a triage label ("Secrétaire/Traité")
+   */
+  getLabel(key) {
+    return `${config.emailTriage.labelPrefix}/${LABELS[key]}`;
+  }
+
+  /**
+   * Label name as written in Gmail search ("secrétaire-traité")
+   */
+  toSearchLabel(name) {
+    return name.toLowerCase().replace(/[\s/]+/g, '-');
+  }
+
+  /**
+   * Triage inbox emails not labelled yet
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      const { messages } = await gmailService.listMessages({
+        query: `${config.emailTriage.query} -label:${this.toSearchLabel(this.getLabel('done'))}`,
+        maxResults: config.emailTriage.maxPerRun,
+      });
+
+      for (const message of messages) {
+        await this.triage(message.id);
+      }
+    } catch (error) {
+      logger.error('Email triage poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Classify one email, then draft a reply or escalate it
+   * Failures are retried on the next poll
+   */
+  async triage(messageId) {
+    try {
+      const existing = await emailTriageModel.findByMessageId(messageId);
+
+      // Reply interrupted last time: finish it rather than draft a second one
+      if (existing?.action === 'replying') {
+        return this.reply(existing);
+      }
+
+      // Triaged, but labelling failed last time
+      if (existing) {
+        await gmailService.modifyLabels(messageId, { add: [this.getLabel('done')] });
+        return null;
+      }
+
+      const email = await gmailService.getMessage(messageId);
+      const text = `${email.subject || ''}\n${email.body || email.snippet || ''}`;
+      const base = {
+        messageId,
+        threadId: email.threadId,
+        sender: email.from,
+        subject: email.subject,
+        language: languageService.fromText(text) || 'fr-FR',
+      };
+
+      const skipReason = this.getSkipReason(email);
+
+      if (skipReason) {
+        return this.record({ ...base, action: 'skipped', reason: skipReason });
+      }
+
+      const intent = await orchestratorService.detectIntent(text);
+
+      if (!config.emailTriage.answerIntents.includes(intent.name)) {
+        return this.escalate(email, { ...base, intent: intent.name }, `Intent ${intent.name} needs staff`);
+      }
+
+      const draft = await orchestratorService.draftEmailReply(email, { language: base.language });
+
+      if (!draft.answerable) {
+        return this.escalate(email, { ...base, intent: intent.name }, 'Not answered by the knowledge base');
+      }
+
+      // Recorded before anything reaches Gmail, so a retry never drafts or sends twice
+      const claimed = await emailTriageModel.create({
+        ...base,
+        intent: intent.name,
+        action: 'replying',
+        sources: draft.sources,
+      });
+
+      if (!claimed) {
+        return null;
+      }
+
+      return this.reply(claimed, email, draft.reply);
+    } catch (error) {
+      logger.error(`Failed to triage email ${messageId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the reply draft, send it when its intent allows, then label the email
+   * Resumes from the recorded draft when a previous attempt was interrupted
+   */
+  async reply(triage, email = null, body = null) {
+    let { draftId } = triage;
+
+    if (!draftId) {
+      // Interrupted before the draft was saved: draft the reply again
+      if (!body) {
+        email = await gmailService.getMessage(triage.messageId);
+        const draft = await orchestratorService.draftEmailReply(email, { language: triage.language });
+        body = draft.reply;
+      }
+
+      const created = await gmailService.createReplyDraft(email, body);
+      draftId = created.id;
+      await emailTriageModel.updateReply(triage.messageId, { action: 'replying', draftId });
+    }
+
+    const autoSend = config.emailTriage.autoSendIntents.includes(triage.intent);
+
+    if (autoSend) {
+      await gmailService.sendDraft(draftId);
+    }
+
+    const recorded = await emailTriageModel.updateReply(triage.messageId, {
+      action: autoSend ? 'sent' : 'drafted',
+      draftId,
+    });
+
+    await this.label(triage.messageId, autoSend ? ['sent'] : ['drafted'], autoSend ? ['UNREAD'] : []);
+
+    return recorded;
+  }
+
+  /**
+   * Why an email gets no reply: automated senders and mailing lists
+   */
+  getSkipReason(email) {
+    const headers = email.headers || {};
+
+    if (AUTOMATED_SENDER.test(email.from || '')) {
+      return 'Automated sender';
+    }
+
+    if (headers['auto-submitted'] && headers['auto-submitted'] !== 'no') {
+      return 'Auto-submitted';
+    }
+
+    if (headers['list-id'] || headers['list-unsubscribe'] || BULK_PRECEDENCE.includes(headers.precedence)) {
+      return 'Mailing list';
+    }
+
+    return null;
+  }
+
+  /**
+   * Leave the email to staff and tell them (n8n workflow)
+   */
+  async escalate(email, triage, reason) {
+    const recorded = await this.record({ ...triage, action: 'escalated', reason }, ['escalated']);
+
+    if (recorded) {
+      await n8nService.sendEmailNotification({
+        to: config.emailTriage.notifyEmail,
+        subject: `Email à traiter : ${email.subject || '(sans objet)'}`,
+        type: 'email_escalation',
+        messageId: email.id,
+        threadId: email.threadId,
+        from: email.from,
+        intent: triage.intent,
+        reason,
+        snippet: truncate(email.snippet || '', 300),
+        link: `https://mail.google.com/mail/u/0/#inbox/${email.threadId}`,
+      });
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Store the outcome and label the email as triaged
+   */
+  async record(triage, labels = [], removeLabels = []) {
+    const recorded = await emailTriageModel.create(triage);
+
+    await this.label(triage.messageId, labels, removeLabels);
+
+    return recorded;
+  }
+
+  /**
+   * Label the email as triaged
+   */
+  async label(messageId, labels = [], removeLabels = []) {
+    await gmailService.modifyLabels(messageId, {
+      add: [this.getLabel('done'), ...labels.map(label => this.getLabel(label))],
+      remove: removeLabels,
+    });
+  }
+
+  /**
+   * Start polling the inbox
+   */
+  start() {
+    if (this.timer || !config.emailTriage.enabled) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.poll(), config.emailTriage.pollIntervalMinutes * 60 * 1000);
+
+    logger.info('Email triage started', {
+      pollIntervalMinutes: config.emailTriage.pollIntervalMinutes,
+      autoSendIntents: config.emailTriage.autoSendIntents,
+    });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Singleton instance
+const emailTriageService = new EmailTriageService();
+
+export default emailTriageService;
@@ -0,0 +1,385 @@
+import { EventEmitter } from 'events';
+import orchestratorService from '../llm/orchestrator.service.js';
+import twilioService from '../telephony/twilio.service.js';
+import n8nService from '../n8n/n8n.service.js';
+import languageService from '../calls/language.service.js';
+import conversationModel from '../../models/conversation.model.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { isBusinessHours, formatPhoneNumber, truncate } from '../../utils/helpers.js';
+
+/**
+ * Messaging Service
+ * Text conversations with customers (SMS, WhatsApp, web chat) answered by the orchestrator,
+ * handed over to staff when the assistant cannot help. Emits 'message' (conversation, message)
+ * for every message sent and 'conversation' (conversation) on every status change (web chat).
+ *
+ * WhatsApp only allows free-form messages within the session window that follows the
+ * customer's last message; past it, only approved templates can be sent (sendTemplate).
+ */
+
+// Twilio sends up to 1600 characters as one (concatenated) SMS
+const MAX_MESSAGE_LENGTH = 1600;
+
+const CHANNEL_LABELS = {
+  sms: 'SMS',
+  whatsapp: 'WhatsApp',
+  webchat: 'Chat du site',
+};
+
+// Channels where the contact is a phone number
+const PHONE_CHANNELS = ['sms', 'whatsapp'];
+
+const HANDOFF_MESSAGES = {
+  'fr-FR': {
+    open: 'Un conseiller prend le relais et vous répond ici dès que possible.',
+    closed: 'Un conseiller prendra le relais et vous répondra ici dès notre réouverture.',
+  },
+  'tr-TR': {
+    open: 'Bir temsilcimiz konuyu devralacak ve en kısa sürede buradan size yanıt verecek.',
+    closed: 'Bir temsilcimiz konuyu devralacak ve mesai saatlerinde buradan size yanıt verecek.',
+  },
+};
+
+class MessagingService extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open web chat window
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Orchestrator history key: the customer's address on the channel
+   */
+  getConversationKey(conversation) {
+    return `${conversation.channel}:${conversation.contact}`;
+  }
+
+  /**
+   * Incoming customer message: answer it, or forward it to staff during a handoff
+   * `onToken` streams the assistant's answer as it is generated
+   * Returns the reply sent, or null
+   */
+  async handleIncoming(
+    channel,
+    { from, body, messageId = null, language = null, metadata = {} },
+    { onToken = null } = {}
+  ) {
+    const conversation = await this.getConversation(channel, from, body, language);
+    const media = metadata.media || [];
+
+    await conversationModel.addMessage(conversation.id, {
+      direction: 'inbound',
+      sender: 'customer',
+      body,
+      providerMessageId: messageId,
+      metadata,
+    });
+
+    logger.info('Incoming message', {
+      conversationId: conversation.id,
+      channel,
+      status: conversation.status,
+      media: media.length,
+    });
+
+    // Staff have taken over: the assistant stays silent
+    if (conversation.status === 'handoff') {
+      await this.notifyStaff(conversation, 'messaging_message', this.describeMessage({ body, metadata }));
+      return null;
+    }
+
+    const result = await this.generateReply(conversation, this.describeMessage({ body, metadata }), onToken);
+    const reply = result.needsHandoff
+      ? [result.response, this.getHandoffMessage(conversation.language || 'fr-FR')].filter(Boolean).join('\n\n')
+      : result.response;
+
+    if (!reply) {
+      return null;
+    }
+
+    await this.send(conversation, reply, {
+      sender: 'assistant',
+      intent: result.intent,
+      metadata: result.sources?.length ? { sources: result.sources } : {},
+    });
+
+    if (result.needsHandoff) {
+      await this.handoff(conversation, result.handoffReason);
+    }
+
+    return reply;
+  }
+
+  /**
+   * Open conversation with this customer, or a new one
+   * `language` is a hint from the channel (web chat: the visitor's browser)
+   */
+  async getConversation(channel, contact, body = '', language = null) {
+    const conversation = await conversationModel.findOpen(
+      channel,
+      contact,
+      config.messaging.sessionTimeoutMinutes
+    );
+
+    if (conversation) {
+      // First message that tells us the language
+      if (!conversation.language && languageService.fromText(body)) {
+        conversation.language = languageService.fromText(body);
+        await conversationModel.setLanguage(conversation.id, conversation.language);
+      }
+
+      return conversation;
+    }
+
+    const resolved = !language && PHONE_CHANNELS.includes(channel)
+      ? await languageService.resolveCallerLanguage({ from: contact })
+      : null;
+
+    return conversationModel.create({
+      channel,
+      contact,
+      language: language || resolved?.language || languageService.fromText(body),
+    });
+  }
+
+  /**
+   * Ask the orchestrator, with the conversation history from the database
+   */
+  async generateReply(conversation, body, onToken = null) {
+    const key = this.getConversationKey(conversation);
+    const messages = await conversationModel.getMessages(conversation.id, config.messaging.historyLength + 1);
+
+    // The current message is the last one, the orchestrator adds it itself
+    orchestratorService.restoreHistory(key, messages.slice(0, -1)
+      .filter(message => message.body || message.metadata?.media?.length)
+      .map(message => ({
+        role: message.sender === 'customer' ? 'user' : 'assistant',
+        content: this.describeMessage(message),
+      })));
+
+    try {
+      const context = {
+        channel: conversation.channel,
+        language: conversation.language,
+        ...(PHONE_CHANNELS.includes(conversation.channel) && { fromNumber: conversation.contact }),
+      };
+
+      return onToken
+        ? await orchestratorService.processCallStream(key, body, context, { onToken })
+        : await orchestratorService.processCall(key, body, context);
+    } catch (error) {
+      logger.error(`Failed to answer conversation ${conversation.id}:`, error);
+
+      return {
+        intent: null,
+        response: '',
+        needsHandoff: true,
+        handoffReason: 'Assistant unavailable',
+      };
+    } finally {
+      orchestratorService.clearHistory(key);
+    }
+  }
+
+  /**
+   * Message text with a note for attached media (photos are not sent to the assistant)
+   */
+  describeMessage({ body, metadata }) {
+    const media = metadata?.media || [];
+    const note = media.length ? `[${media.length} attachment(s): ${media.map(m => m.url).join(' ')}]` : '';
+
+    return [body, note].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Tell the customer a colleague takes over
+   */
+  getHandoffMessage(language) {
+    const messages = HANDOFF_MESSAGES[language] || HANDOFF_MESSAGES['fr-FR'];
+
+    return isBusinessHours() ? messages.open : messages.closed;
+  }
+
+  /**
+   * Send a message to the customer and store it
+   */
+  async send(conversation, text, { sender, intent = null, metadata = {} }) {
+    const body = truncate(text, MAX_MESSAGE_LENGTH);
+    const sent = await this.deliver(conversation, body);
+
+    const message = await conversationModel.addMessage(conversation.id, {
+      direction: 'outbound',
+      sender,
+      body,
+      intent,
+      providerMessageId: sent?.sid,
+      metadata,
+    });
+
+    this.emit('message', conversation, message);
+
+    return message;
+  }
+
+  /**
+   * Send an approved WhatsApp template and store it (works outside the session window)
+   */
+  async sendTemplate(conversation, name, variables = {}, { sender, metadata = {} }) {
+    if (conversation.channel !== 'whatsapp') {
+      throw new Error(`Templates are not supported on ${conversation.channel}`);
+    }
+
+    const sent = await twilioService.sendWhatsAppTemplate(
+      conversation.contact,
+      name,
+      conversation.language || 'fr-FR',
+      variables
+    );
+
+    const message = await conversationModel.addMessage(conversation.id, {
+      direction: 'outbound',
+      sender,
+      providerMessageId: sent?.sid,
+      metadata: { ...metadata, template: name, variables },
+    });
+
+    this.emit('message', conversation, message);
+
+    return message;
+  }
+
+  /**
+   * Whether a free-form message can be sent now
+   * WhatsApp: within sessionWindowHours of the customer's last message
+   */
+  async isSessionOpen(conversation) {
+    if (conversation.channel !== 'whatsapp') {
+      return true;
+    }
+
+    const lastInboundAt = await conversationModel.findLastInboundAt(conversation.channel, conversation.contact);
+
+    return Boolean(lastInboundAt)
+      && Date.now() - new Date(lastInboundAt).getTime() < config.whatsapp.sessionWindowHours * 3600000;
+  }
+
+  /**
+   * Send on the conversation's channel
+   */
+  async deliver(conversation, body) {
+    switch (conversation.channel) {
+      case 'sms':
+        return twilioService.sendSms(conversation.contact, body);
+      case 'whatsapp':
+        return twilioService.sendWhatsApp(conversation.contact, { body });
+      case 'webchat':
+        // The visitor's open chat windows get it from the 'message' event
+        return null;
+      default:
+        throw new Error(`Unsupported messaging channel: ${conversation.channel}`);
+    }
+  }
+
+  /**
+   * Hand the conversation over to staff
+   */
+  async handoff(conversation, reason) {
+    const updated = await conversationModel.updateStatus(conversation.id, 'handoff', ['active'], reason);
+
+    if (updated) {
+      logger.info('Conversation handed over to staff', {
+        conversationId: conversation.id,
+        reason,
+      });
+
+      this.emit('conversation', updated);
+      await this.notifyStaff(updated, 'messaging_handoff');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Customer asked for a person (web chat button): hand over right away
+   */
+  async requestHuman(channel, contact, language = null) {
+    const conversation = await this.getConversation(channel, contact, '', language);
+
+    if (conversation.status === 'handoff') {
+      return conversation;
+    }
+
+    await this.send(conversation, this.getHandoffMessage(conversation.language || 'fr-FR'), {
+      sender: 'assistant',
+    });
+
+    return this.handoff(conversation, 'Customer asked for a human');
+  }
+
+  /**
+   * Email staff the conversation (n8n workflow)
+   */
+  async notifyStaff(conversation, type, lastMessage = null) {
+    const messages = await conversationModel.getMessages(conversation.id, config.messaging.historyLength);
+    const label = CHANNEL_LABELS[conversation.channel] || conversation.channel;
+    const contact = PHONE_CHANNELS.includes(conversation.channel)
+      ? formatPhoneNumber(conversation.contact)
+      : conversation.contact;
+
+    await n8nService.sendEmailNotification({
+      to: config.messaging.notifyEmail,
+      subject: type === 'messaging_handoff'
+        ? `${label} à reprendre : ${contact}`
+        : `Nouveau message ${label} de ${contact}`,
+      type,
+      conversationId: conversation.id,
+      channel: conversation.channel,
+      contact: conversation.contact,
+      language: conversation.language,
+      reason: conversation.handoffReason,
+      lastMessage,
+      transcript: messages.map(message => `${message.sender}: ${this.describeMessage(message)}`).join('\n'),
+    });
+  }
+
+  /**
+   * Staff reply (text, or a WhatsApp template): the assistant stops answering this conversation
+   */
+  async replyAsAgent(conversationId, { text = null, template = null, variables = {} }, agentId = null) {
+    const conversation = await conversationModel.updateStatus(
+      conversationId,
+      'handoff',
+      ['active', 'handoff']
+    );
+
+    if (!conversation) {
+      return null;
+    }
+
+    this.emit('conversation', conversation);
+
+    return template
+      ? this.sendTemplate(conversation, template, variables, { sender: 'agent', metadata: { agentId } })
+      : this.send(conversation, text, { sender: 'agent', metadata: { agentId } });
+  }
+
+  /**
+   * Staff are done: the customer's next message starts a new conversation
+   */
+  async close(conversationId) {
+    const conversation = await conversationModel.updateStatus(conversationId, 'closed', ['active', 'handoff']);
+
+    if (conversation) {
+      logger.info('Conversation closed', { conversationId });
+      this.emit('conversation', conversation);
+    }
+
+    return conversation;
+  }
+}
+
+// Singleton instance
+const messagingService = new MessagingService();
+
+export default messagingService;
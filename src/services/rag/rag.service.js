@@ -1,5 +1,6 @@
 import embeddingsService from './embeddings.service.js';
 import vectorStoreService from './vector-store.service.js';
+import ragQueryModel from '../../models/rag-query.model.js';
 import logger from '../../utils/logger.js';
 import config from '../../config/index.js';
 
@@ -47,6 +48,20 @@ class RAGService {
         topScore: results[0]?.similarity,
       });
 
+      // Analytics only: a failed log never fails the search
+      ragQueryModel.create({
+        query: question,
+        results: results.map(result => ({
+          chunkId: result.id,
+          documentId: result.documentId,
+          title: result.title,
+          similarity: result.similarity,
+        })),
+        topScore: results[0]?.similarity,
+        usedInResponse: results.length > 0,
+        metadata: { accessLevel: searchOptions.accessLevel, topK: searchOptions.topK },
+      }).catch(() => {});
+
       return {
         question,
         results,
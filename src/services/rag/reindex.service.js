@@ -0,0 +1,126 @@
+import ragService from './rag.service.js';
+import driveService from '../google-workspace/drive.service.js';
+import documentModel from '../../models/document.model.js';
+import reindexJobModel from '../../models/reindex-job.model.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Reindex Service
+ * Rebuilds knowledge base chunks in the background, one job at a time, with the
+ * progress stored in `reindex_jobs` for the admin API to poll.
+ *
+ * Sources: 'drive' (files of a Google Drive folder) and 'documents' (documents kept
+ * in the database). Without `fullReindex`, only documents changed since they were
+ * last indexed are processed.
+ */
+
+export const REINDEX_SOURCES = ['drive', 'documents'];
+
+class ReindexService {
+  /**
+   * Start a job; returns { job, estimatedSeconds }, or null when a job is already running
+   * `estimatedSeconds` is the duration of the last similar job (null the first time)
+   */
+  async start({ source, fullReindex = false, folderId = null, startedBy = null }) {
+    const job = await reindexJobModel.create({ source, fullReindex, folderId, startedBy });
+
+    if (!job) {
+      return null;
+    }
+
+    logger.info('Reindex job started', { jobId: job.id, source, fullReindex, startedBy });
+
+    const estimatedSeconds = await reindexJobModel.findLastDuration(source, fullReindex)
+      .catch(() => null);
+
+    // Runs after the response; failures are recorded on the job
+    this.run(job);
+
+    return { job, estimatedSeconds };
+  }
+
+  /**
+   * Run a job to completion
+   */
+  async run(job) {
+    try {
+      const { errors } = job.source === 'drive'
+        ? await this.reindexDrive(job)
+        : await this.reindexDocuments(job);
+
+      await reindexJobModel.finish(job.id, 'completed', { errors });
+
+      logger.info('Reindex job completed', { jobId: job.id, errors: errors.length });
+    } catch (error) {
+      logger.error(`Reindex job ${job.id} failed:`, error);
+
+      await reindexJobModel.finish(job.id, 'failed', { error: error.message })
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Index the files of the job's Drive folder
+   */
+  async reindexDrive(job) {
+    const result = await driveService.indexFolder(job.folderId, {
+      fullReindex: job.fullReindex,
+      onProgress: progress => reindexJobModel.updateProgress(job.id, progress),
+    });
+
+    return {
+      errors: result.errors.map(error => ({ id: error.fileId, title: error.fileName, error: error.error })),
+    };
+  }
+
+  /**
+   * Replace the chunks of the documents kept in the database
+   */
+  async reindexDocuments(job) {
+    const documents = await documentModel.findStored({ staleOnly: !job.fullReindex });
+    const errors = [];
+    let processed = 0;
+
+    const reportProgress = () => reindexJobModel.updateProgress(job.id, {
+      total: documents.length,
+      processed,
+      failed: errors.length,
+    });
+
+    await reportProgress();
+
+    for (const document of documents) {
+      try {
+        await ragService.reindexDocument(document);
+        await documentModel.markIndexed(document.id);
+      } catch (error) {
+        errors.push({ id: document.id, title: document.title, error: error.message });
+      }
+
+      processed++;
+      await reportProgress();
+    }
+
+    return { errors };
+  }
+
+  /**
+   * Jobs cut short by a restart will never finish: mark them failed
+   */
+  async recoverInterrupted() {
+    try {
+      const count = await reindexJobModel.failInterrupted();
+
+      if (count > 0) {
+        logger.warn('Reindex jobs interrupted by a restart marked as failed', { count });
+      }
+    } catch (error) {
+      logger.error('Failed to recover interrupted reindex jobs:', error);
+    }
+  }
+}
+
+// Singleton instance
+const reindexService = new ReindexService();
+
+export default reindexService;
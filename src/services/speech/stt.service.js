@@ -115,9 +115,10 @@ class STTService {
   }
 
   /**
-   * Transcribe audio file from URL
+   * Transcribe long audio (Cloud Storage URI or buffer) with a long-running operation
+   * Multi-channel audio is recognized per channel (e.g. caller / company side)
    */
-  async transcribeFile(gcsUri, options = {}) {
+  async transcribeFile(source, options = {}) {
     if (!this.client) {
       throw new Error('STT service not initialized');
     }
@@ -127,31 +128,41 @@ class STTService {
         languageCode = this.config.languageCode,
         encoding = 'LINEAR16',
         sampleRateHertz = 16000,
+        audioChannelCount = 1,
+        model = this.config.model,
       } = options;
 
       const request = {
-        audio: {
-          uri: gcsUri,
-        },
+        audio: Buffer.isBuffer(source)
+          ? { content: source.toString('base64') }
+          : { uri: source },
         config: {
           encoding: encoding,
           sampleRateHertz: sampleRateHertz,
+          audioChannelCount: audioChannelCount,
+          enableSeparateRecognitionPerChannel: audioChannelCount > 1,
           languageCode: languageCode,
-          model: this.config.model,
+          model: model,
           enableAutomaticPunctuation: true,
+          enableWordTimeOffsets: this.config.enableWordTimeOffsets,
         },
       };
 
       const [operation] = await this.client.longRunningRecognize(request);
       const [response] = await operation.promise();
 
-      const transcriptions = response.results.map(result => ({
-        transcript: result.alternatives[0].transcript,
-        confidence: result.alternatives[0].confidence,
-      }));
+      const transcriptions = (response.results || [])
+        .filter(result => result.alternatives?.length > 0)
+        .map(result => ({
+          transcript: result.alternatives[0].transcript,
+          confidence: result.alternatives[0].confidence,
+          words: result.alternatives[0].words || [],
+          channelTag: result.channelTag,
+          languageCode: result.languageCode,
+        }));
 
       logger.info('File transcribed', {
-        gcsUri,
+        source: Buffer.isBuffer(source) ? `${source.length} bytes` : source,
         transcriptLength: transcriptions.length,
       });
 
@@ -165,20 +176,27 @@ class STTService {
   /**
    * Detect language from audio
    */
-  async detectLanguage(audioBuffer) {
+  async detectLanguage(audioBuffer, options = {}) {
     if (!this.client) {
       throw new Error('STT service not initialized');
     }
 
     try {
+      const {
+        encoding = 'LINEAR16',
+        sampleRateHertz = 16000,
+      } = options;
+
+      // Recognition reports which of the candidate languages matched best
       const request = {
         audio: {
           content: audioBuffer.toString('base64'),
         },
         config: {
-          encoding: 'LINEAR16',
-          sampleRateHertz: 16000,
-          languageCode: 'auto', // Auto-detect
+          encoding: encoding,
+          sampleRateHertz: sampleRateHertz,
+          languageCode: this.config.languageCode,
+          alternativeLanguageCodes: [this.config.alternativeLanguage],
         },
       };
 
@@ -38,6 +38,7 @@ class TTSService {
         speakingRate = this.config.speakingRate,
         pitch = this.config.pitch,
         audioEncoding = 'MP3',
+        sampleRateHertz = undefined,
       } = options;
 
       const request = {
@@ -50,6 +51,7 @@ class TTSService {
           audioEncoding: audioEncoding,
           speakingRate: speakingRate,
           pitch: pitch,
+          sampleRateHertz: sampleRateHertz,
         },
       };
 
@@ -173,6 +175,45 @@ class TTSService {
       pitch: 0.0,
     });
   }
+
+  /**
+   * Synthesize raw 8 kHz mu-law audio for Twilio Media Streams
+   */
+  async synthesizeForMediaStream(text, languageCode = 'fr-FR') {
+    const audio = await this.synthesize(text, {
+      languageCode,
+      voiceName: languageCode === 'tr-TR' ? 'tr-TR-Wavenet-E' : 'fr-FR-Wavenet-E',
+      audioEncoding: 'MULAW',
+      sampleRateHertz: 8000,
+    });
+
+    return this.stripWavHeader(Buffer.from(audio));
+  }
+
+  /**
+   * Remove the WAV header Google adds to MULAW/LINEAR16 output
+   */
+  stripWavHeader(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF') {
+      return buffer;
+    }
+
+    // Walk the RIFF chunks until the 'data' chunk
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const chunkId = buffer.toString('ascii', offset, offset + 4);
+      const chunkSize = buffer.readUInt32LE(offset + 4);
+
+      if (chunkId === 'data') {
+        return buffer.subarray(offset + 8, offset + 8 + chunkSize);
+      }
+
+      offset += 8 + chunkSize;
+    }
+
+    return buffer;
+  }
 }
 
 // Singleton instance
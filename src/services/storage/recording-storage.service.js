@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Storage } from '@google-cloud/storage';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Recording Storage Service
+ * Keeps call recordings on local disk or in a Cloud Storage bucket.
+ * Stored files are referenced by URI: file:///... or gs://bucket/...
+ */
+
+/**
+ * Local filesystem adapter (config.recording.storageLocation)
+ */
+class LocalRecordingStorage {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async save(name, buffer) {
+    const filePath = path.join(this.directory, name);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return pathToFileURL(filePath).href;
+  }
+
+  async read(uri) {
+    return fs.readFile(fileURLToPath(uri));
+  }
+
+  async delete(uri) {
+    try {
+      await fs.unlink(fileURLToPath(uri));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Google Cloud Storage adapter (config.recording.bucket)
+ */
+class GcsRecordingStorage {
+  constructor(bucketName) {
+    this.bucketName = bucketName;
+    this.bucket = new Storage({ keyFilename: config.gcp.credentials }).bucket(bucketName);
+  }
+
+  async save(name, buffer) {
+    await this.bucket.file(name).save(buffer, { contentType: 'audio/wav', resumable: false });
+
+    return `gs://${this.bucketName}/${name}`;
+  }
+
+  async read(uri) {
+    const [contents] = await this.bucket.file(this.getObjectName(uri)).download();
+
+    return contents;
+  }
+
+  async delete(uri) {
+    await this.bucket.file(this.getObjectName(uri)).delete({ ignoreNotFound: true });
+  }
+
+  getObjectName(uri) {
+    return uri.replace(`gs://${this.bucketName}/`, '');
+  }
+}
+
+class RecordingStorageService {
+  constructor() {
+    if (config.recording.storage === 'gcs' && config.recording.bucket) {
+      this.adapter = new GcsRecordingStorage(config.recording.bucket);
+    } else {
+      if (config.recording.storage === 'gcs') {
+        logger.warn('CALL_RECORDING_BUCKET not configured, storing recordings locally');
+      }
+
+      this.adapter = new LocalRecordingStorage(config.recording.storageLocation);
+    }
+  }
+
+  /**
+   * Whether the stored file can be handed to Speech-to-Text by URI
+   */
+  isCloudUri(uri) {
+    return uri?.startsWith('gs://');
+  }
+
+  /**
+   * Save a recording, returns its URI
+   */
+  async save(name, buffer) {
+    const uri = await this.adapter.save(name, buffer);
+
+    logger.debug('Recording stored', { uri, size: buffer.length });
+
+    return uri;
+  }
+
+  /**
+   * Read a stored recording
+   */
+  async read(uri) {
+    return this.adapter.read(uri);
+  }
+
+  /**
+   * Delete a stored recording (no error if already gone)
+   */
+  async delete(uri) {
+    await this.adapter.delete(uri);
+
+    logger.debug('Recording deleted', { uri });
+  }
+}
+
+// Singleton instance
+const recordingStorageService = new RecordingStorageService();
+
+export default recordingStorageService;
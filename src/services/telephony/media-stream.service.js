@@ -0,0 +1,516 @@
+import sttService from '../speech/stt.service.js';
+import ttsService from '../speech/tts.service.js';
+import orchestratorService from '../llm/orchestrator.service.js';
+import twilioService from './twilio.service.js';
+import conversationLogService from '../calls/conversation-log.service.js';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { frameEnergy } from '../../utils/audio.js';
+
+/**
+ * Media Stream Service
+ * Real-time voice pipeline over Twilio Media Streams:
+ * caller audio -> streaming STT -> orchestrator -> TTS -> audio back to Twilio
+ * Callers can interrupt (barge-in) the assistant while it speaks
+ */
+
+// 20 ms of 8 kHz mu-law audio, the frame size Twilio sends and expects
+const FRAME_SIZE = 160;
+
+// 8 kHz mu-law: one byte per sample
+const SAMPLES_PER_MS = 8;
+
+// Sentence boundary in streamed LLM output
+const SENTENCE_END = /[.!?…]+\s+/;
+
+// gRPC OUT_OF_RANGE, returned when a streaming recognize exceeds its max duration
+const STT_DURATION_EXCEEDED = 11;
+
+/**
+ * One bidirectional media stream (one call)
+ */
+export class MediaStreamSession {
+  constructor(ws, { streamSid, callSid, language = 'fr-FR', fromNumber = null }) {
+    this.ws = ws;
+    this.streamSid = streamSid;
+    this.callSid = callSid;
+    this.language = language;
+    this.fromNumber = fromNumber;
+
+    this.recognizeStream = null;
+    this.turnQueue = Promise.resolve();
+    this.currentResponse = null;
+    this.responseCounter = 0;
+    this.marks = new Map(); // mark name -> { response, sentence }
+    this.voicedMs = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Start speech recognition
+   */
+  start() {
+    try {
+      this.startRecognition();
+    } catch (error) {
+      // Without STT the stream is useless, fall back to <Gather>
+      logger.error('Streaming STT unavailable, falling back to Gather:', error);
+      this.redirect({ mode: 'greeting' });
+    }
+  }
+
+  /**
+   * Open a streaming recognize request
+   */
+  startRecognition() {
+    const stream = sttService.createStreamingRecognize({
+      languageCode: this.language,
+      encoding: 'MULAW',
+      sampleRateHertz: 8000,
+      interimResults: true,
+    });
+
+    stream.on('data', (data) => this.handleRecognition(data));
+
+    stream.on('error', (error) => {
+      if (this.closed) {
+        return;
+      }
+
+      // Google closes streams after ~5 minutes (OUT_OF_RANGE), reopen while the call is alive
+      if (error.code === STT_DURATION_EXCEEDED) {
+        logger.debug('STT stream limit reached, restarting', { streamSid: this.streamSid });
+        this.startRecognition();
+        return;
+      }
+
+      logger.error('STT stream failed, falling back to Gather:', error);
+      this.redirect({ mode: 'listen' });
+    });
+
+    this.recognizeStream = stream;
+  }
+
+  /**
+   * Feed caller audio to STT and watch it for barge-in
+   */
+  handleAudio(audioChunk) {
+    if (this.closed || !this.recognizeStream || this.recognizeStream.destroyed) {
+      return;
+    }
+
+    this.detectBargeIn(audioChunk);
+    this.recognizeStream.write(audioChunk);
+  }
+
+  /**
+   * Voice activity detection: sustained energy while the assistant talks interrupts it
+   */
+  detectBargeIn(audioChunk) {
+    const bargeIn = config.speech.bargeIn;
+
+    if (!bargeIn.enabled || !this.isSpeaking()) {
+      this.voicedMs = 0;
+      return;
+    }
+
+    if (frameEnergy(audioChunk) >= bargeIn.energyThreshold) {
+      this.voicedMs += audioChunk.length / SAMPLES_PER_MS;
+    } else {
+      this.voicedMs = 0;
+    }
+
+    if (this.voicedMs >= bargeIn.minSpeechMs) {
+      this.interrupt();
+    }
+  }
+
+  /**
+   * Stop the current response: flush Twilio's audio buffer and cancel generation
+   */
+  interrupt() {
+    const response = this.currentResponse;
+
+    if (!response || response.interrupted) {
+      return;
+    }
+
+    logger.info('Caller barge-in', {
+      callSid: this.callSid,
+      playedSentences: response.played.length,
+    });
+
+    // Flag first: Twilio echoes the marks of the cleared audio back to us
+    response.interrupted = true;
+    this.voicedMs = 0;
+
+    this.send({
+      event: 'clear',
+      streamSid: this.streamSid,
+    });
+
+    response.abortController.abort();
+    response.resolvePlayback();
+  }
+
+  /**
+   * Handle STT results
+   */
+  handleRecognition(data) {
+    const result = data.results?.[0];
+    const alternative = result?.alternatives?.[0];
+
+    if (!result?.isFinal || !alternative?.transcript?.trim()) {
+      return;
+    }
+
+    const text = alternative.transcript.trim();
+    const userTimestamp = Date.now();
+
+    // Turns are processed one at a time, in order
+    this.turnQueue = this.turnQueue
+      .then(() => this.handleUtterance(text, alternative.confidence, userTimestamp))
+      .catch((error) => {
+        logger.error('Media stream turn failed:', error);
+      });
+  }
+
+  /**
+   * Run a final transcript through the orchestrator and answer
+   * The answer is spoken sentence by sentence while the LLM streams it
+   */
+  async handleUtterance(text, confidence, userTimestamp) {
+    if (this.closed) {
+      return;
+    }
+
+    logger.info('Stream utterance', {
+      callSid: this.callSid,
+      text,
+      confidence,
+    });
+
+    const response = this.createResponse();
+    this.currentResponse = response;
+
+    let result;
+
+    try {
+      result = await orchestratorService.processCallStream(this.callSid, text, {
+        fromNumber: this.fromNumber,
+        language: this.language,
+      }, {
+        signal: response.abortController.signal,
+        onToken: (token) => this.handleToken(response, token),
+      });
+
+      // Speak whatever is left after the last sentence boundary
+      this.queueSentence(response, response.buffer);
+      response.buffer = '';
+
+      await this.waitForPlayback(response);
+    } catch (error) {
+      logger.error('Orchestrator failed, handing off to an agent:', error);
+
+      result = {
+        intent: 'orchestrator_error',
+        response: this.language === 'tr-TR'
+          ? 'Özür dilerim, şu anda talebinizi işleyemiyorum.'
+          : 'Désolé, je ne peux pas traiter votre demande pour le moment.',
+        needsHandoff: true,
+        handoffReason: 'Assistant unavailable',
+      };
+    } finally {
+      this.currentResponse = null;
+    }
+
+    // Interrupted: history and transcript must hold only what the caller heard
+    const spokenText = response.interrupted
+      ? response.played.join(' ')
+      : result.response;
+
+    if (response.interrupted) {
+      orchestratorService.truncateLastResponse(this.callSid, spokenText);
+    }
+
+    conversationLogService.recordTurn(this.callSid, {
+      userText: text,
+      userConfidence: confidence,
+      userTimestamp,
+      assistantText: spokenText,
+      language: this.language,
+      intent: result.intent !== 'orchestrator_error'
+        ? {
+          name: result.intent,
+          confidence: result.confidence,
+          slots: result.slots,
+          fulfilled: !result.needsHandoff,
+        }
+        : null,
+      assistantMetadata: response.interrupted
+        ? { channel: 'media_stream', interrupted: true, generatedText: result.response }
+        : { channel: 'media_stream' },
+    });
+
+    if (result.needsHandoff && !response.interrupted) {
+      // Leave the stream: TwiML takes over to dial the agent
+      const alreadySpoken = result.intent !== 'orchestrator_error';
+
+      await this.redirect({
+        mode: 'handoff',
+        intent: result.intent || '',
+        reason: result.handoffReason || '',
+        ...(!alreadySpoken && { say: result.response }),
+      });
+    }
+  }
+
+  /**
+   * State of one assistant response being generated and played
+   */
+  createResponse() {
+    const response = {
+      id: ++this.responseCounter,
+      abortController: new AbortController(),
+      buffer: '',
+      sentenceCounter: 0,
+      speechQueue: Promise.resolve(),
+      pendingMarks: 0,
+      played: [],
+      interrupted: false,
+      error: null, // Speech synthesis failure, rethrown by waitForPlayback
+      resolvePlayback: null,
+    };
+
+    response.playback = new Promise((resolve) => {
+      response.resolvePlayback = resolve;
+    });
+
+    return response;
+  }
+
+  /**
+   * Buffer LLM tokens and speak each complete sentence
+   */
+  handleToken(response, token) {
+    response.buffer += token;
+
+    const match = response.buffer.match(SENTENCE_END);
+
+    if (match) {
+      const end = match.index + match[0].length;
+      this.queueSentence(response, response.buffer.slice(0, end));
+      response.buffer = response.buffer.slice(end);
+    }
+  }
+
+  /**
+   * Synthesize sentences in order and stream them to the caller
+   */
+  queueSentence(response, sentence) {
+    const text = sentence.trim();
+
+    if (!text) {
+      return;
+    }
+
+    response.speechQueue = response.speechQueue.then(async () => {
+      if (response.interrupted || response.error || this.closed) {
+        return;
+      }
+
+      let audio;
+
+      try {
+        audio = await ttsService.synthesizeForMediaStream(text, this.language);
+      } catch (error) {
+        // Nobody will hear the rest: stop generating it
+        response.error = error;
+        response.abortController.abort();
+        return;
+      }
+
+      if (response.interrupted || this.closed) {
+        return;
+      }
+
+      this.sendAudio(audio);
+      this.sendMark(response, text);
+    });
+  }
+
+  /**
+   * Wait until all audio of a response has played (or was interrupted)
+   * Throws the speech synthesis error that cut the response short
+   */
+  async waitForPlayback(response) {
+    await response.speechQueue;
+
+    if (response.error) {
+      throw response.error;
+    }
+
+    if (response.pendingMarks === 0 || response.interrupted) {
+      return;
+    }
+
+    await response.playback;
+  }
+
+  /**
+   * Send mu-law audio as Twilio 'media' messages
+   */
+  sendAudio(audio) {
+    for (let offset = 0; offset < audio.length; offset += FRAME_SIZE) {
+      this.send({
+        event: 'media',
+        streamSid: this.streamSid,
+        media: {
+          payload: audio.subarray(offset, offset + FRAME_SIZE).toString('base64'),
+        },
+      });
+    }
+  }
+
+  /**
+   * Send a mark after a sentence: Twilio echoes it back once the sentence has played
+   */
+  sendMark(response, sentence) {
+    const name = `response-${response.id}-${++response.sentenceCounter}`;
+
+    this.marks.set(name, { response, sentence });
+    response.pendingMarks++;
+
+    this.send({
+      event: 'mark',
+      streamSid: this.streamSid,
+      mark: { name },
+    });
+  }
+
+  /**
+   * Handle mark echoed by Twilio
+   */
+  handleMark(name) {
+    const entry = this.marks.get(name);
+
+    if (!entry) {
+      return;
+    }
+
+    this.marks.delete(name);
+
+    const { response, sentence } = entry;
+    response.pendingMarks--;
+
+    if (!response.interrupted) {
+      response.played.push(sentence);
+    }
+
+    if (response.pendingMarks === 0) {
+      response.resolvePlayback();
+    }
+  }
+
+  /**
+   * Whether the assistant is generating or playing a response
+   */
+  isSpeaking() {
+    return Boolean(this.currentResponse && !this.currentResponse.interrupted);
+  }
+
+  /**
+   * Leave the stream for TwiML fetched from the stream fallback webhook
+   * (inline TwiML could not resolve the relative Gather and transfer URLs)
+   * `mode`: 'greeting', 'listen' (Gather) or 'handoff' (with intent, reason, say)
+   */
+  async redirect(params) {
+    const query = new URLSearchParams({ language: this.language, ...params });
+
+    try {
+      await twilioService.updateCall(this.callSid, {
+        url: `${config.server.publicUrl}/api/webhooks/twilio/stream/fallback?${query}`,
+        method: 'POST',
+      });
+    } catch (error) {
+      logger.error('Failed to redirect call from media stream:', error);
+    }
+  }
+
+  /**
+   * Send JSON message to Twilio
+   */
+  send(message) {
+    if (this.ws.readyState === this.ws.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Release resources
+   */
+  close() {
+    this.closed = true;
+    this.marks.clear();
+
+    if (this.currentResponse) {
+      this.currentResponse.abortController.abort();
+      this.currentResponse.resolvePlayback();
+    }
+
+    if (this.recognizeStream) {
+      this.recognizeStream.removeAllListeners('data');
+      this.recognizeStream.end();
+      this.recognizeStream = null;
+    }
+  }
+}
+
+class MediaStreamService {
+  constructor() {
+    this.sessions = new Map(); // streamSid -> MediaStreamSession
+  }
+
+  /**
+   * Create and start a session for a new stream
+   */
+  createSession(ws, params) {
+    const session = new MediaStreamSession(ws, params);
+    this.sessions.set(params.streamSid, session);
+
+    session.start();
+
+    logger.info('Media stream session started', {
+      streamSid: params.streamSid,
+      callSid: params.callSid,
+      language: session.language,
+    });
+
+    return session;
+  }
+
+  /**
+   * Get session by streamSid
+   */
+  getSession(streamSid) {
+    return this.sessions.get(streamSid) || null;
+  }
+
+  /**
+   * End session by streamSid
+   */
+  endSession(streamSid) {
+    const session = this.sessions.get(streamSid);
+
+    if (session) {
+      session.close();
+      this.sessions.delete(streamSid);
+      logger.info('Media stream session ended', { streamSid });
+    }
+  }
+}
+
+// Singleton instance
+const mediaStreamService = new MediaStreamService();
+
+export default mediaStreamService;
@@ -1,6 +1,8 @@
 import twilio from 'twilio';
+import axios from 'axios';
 import config from '../../config/index.js';
 import logger from '../../utils/logger.js';
+import { isBusinessHours } from '../../utils/helpers.js';
 
 /**
  * Twilio Telephony Service
@@ -9,6 +11,10 @@ import logger from '../../utils/logger.js';
 
 class TwilioService {
   constructor() {
+    // TwiML generation does not need credentials
+    this.VoiceResponse = twilio.twiml.VoiceResponse;
+    this.MessagingResponse = twilio.twiml.MessagingResponse;
+
     if (!config.twilio.accountSid || !config.twilio.authToken) {
       logger.warn('Twilio credentials not configured');
       this.client = null;
@@ -16,10 +22,71 @@ class TwilioService {
     }
 
     this.client = twilio(config.twilio.accountSid, config.twilio.authToken);
-    this.VoiceResponse = twilio.twiml.VoiceResponse;
     logger.info('Twilio service initialized');
   }
 
+  /**
+   * Speech webhook URL, carrying the conversation language between turns
+   */
+  getSpeechActionUrl(language = 'fr-FR') {
+    return `/api/webhooks/twilio/speech?language=${encodeURIComponent(language)}`;
+  }
+
+  /**
+   * <Gather> attributes: speech, plus keypad when the DTMF menu is enabled
+   */
+  getGatherOptions(language = 'fr-FR') {
+    const options = {
+      input: 'speech',
+      language: language,
+      speechTimeout: 'auto',
+      action: this.getSpeechActionUrl(language),
+      method: 'POST',
+    };
+
+    if (config.dtmfMenu.enabled) {
+      options.input = 'dtmf speech';
+      options.numDigits = 1;
+    }
+
+    return options;
+  }
+
+  /**
+   * Read the keypad menu options (1, 2, ... then 0)
+   */
+  sayMenu(gather, language = 'fr-FR') {
+    if (!config.dtmfMenu.enabled) {
+      return;
+    }
+
+    const digits = Object.keys(config.dtmfMenu.options)
+      .sort((a, b) => (a === '0' ? 10 : Number(a)) - (b === '0' ? 10 : Number(b)));
+
+    const prompt = digits
+      .map((digit) => {
+        const label = config.dtmfMenu.options[digit].label?.[language];
+
+        if (!label) return null;
+
+        return language === 'tr-TR'
+          ? `${label} için ${digit} tuşuna basın.`
+          : `Pour ${label}, tapez ${digit}.`;
+      })
+      .filter(Boolean)
+      .join(' ');
+
+    if (prompt) {
+      gather.say(
+        {
+          voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+          language: language,
+        },
+        prompt
+      );
+    }
+  }
+
   /**
    * Create a TwiML response for incoming call
    */
@@ -40,15 +107,11 @@ class TwilioService {
       greetings[language] || greetings['fr-FR']
     );
 
-    // Start gathering speech
+    // Start gathering speech (and keypad choices)
     const gather = twiml.gather({
-      input: 'speech',
-      language: language,
-      speechTimeout: 'auto',
+      ...this.getGatherOptions(language),
       speechModel: 'phone_call',
       enhanced: true,
-      action: '/api/webhooks/twilio/speech',
-      method: 'POST',
     });
 
     gather.say(
@@ -61,6 +124,8 @@ class TwilioService {
         : 'Comment puis-je vous aider?'
     );
 
+    this.sayMenu(gather, language);
+
     // If no input, repeat
     twiml.redirect('/api/webhooks/twilio/voice');
 
@@ -68,47 +133,95 @@ class TwilioService {
   }
 
   /**
-   * Create response based on intent
+   * Greet an unknown caller in both languages
+   * With detection enabled, record their reply to identify the language,
+   * otherwise (or if they stay silent) ask them to choose with the keypad
    */
-  createIntentResponse(intent, text, language = 'fr-FR') {
+  createLanguageSelectionResponse(detect = false) {
     const twiml = new this.VoiceResponse();
 
-    // Speak the response
-    twiml.say(
-      {
-        voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
-        language: language,
-      },
-      text
-    );
+    if (!detect) {
+      return this.createLanguageMenuResponse();
+    }
 
-    // Based on intent, decide next action
-    if (intent.requiresHandoff) {
-      // Transfer to agent
+    twiml.say({ voice: 'Polly.Celine', language: 'fr-FR' }, 'Bonjour, NETZ Informatique.');
+    twiml.say({ voice: 'Polly.Filiz', language: 'tr-TR' }, 'Merhaba.');
+
+    twiml.record({
+      maxLength: config.speech.languageDetection.maxLengthSeconds,
+      timeout: 2,
+      playBeep: false,
+      trim: 'trim-silence',
+      action: '/api/webhooks/twilio/language/detect',
+      method: 'POST',
+    });
+
+    // Reached only if the caller said nothing
+    twiml.redirect('/api/webhooks/twilio/language/menu');
+
+    return twiml.toString();
+  }
+
+  /**
+   * Keypad language menu
+   */
+  createLanguageMenuResponse() {
+    const twiml = new this.VoiceResponse();
+
+    const gather = twiml.gather({
+      input: 'dtmf',
+      numDigits: 1,
+      timeout: 5,
+      action: '/api/webhooks/twilio/language',
+      method: 'POST',
+    });
+
+    gather.say({ voice: 'Polly.Celine', language: 'fr-FR' }, 'Bienvenue chez NETZ Informatique. Tapez 1 pour le français.');
+    gather.say({ voice: 'Polly.Filiz', language: 'tr-TR' }, 'Türkçe için 2\'ye basın.');
+
+    // No choice: continue in French
+    twiml.redirect('/api/webhooks/twilio/language');
+
+    return twiml.toString();
+  }
+
+  /**
+   * Create response based on intent
+   */
+  createIntentResponse(intent, text, language = 'fr-FR', { repeatMenu = false } = {}) {
+    const twiml = new this.VoiceResponse();
+
+    // Speak the response (empty when it was already played, e.g. over a media stream)
+    if (text) {
       twiml.say(
         {
           voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
           language: language,
         },
-        language === 'tr-TR'
-          ? 'Sizi bir temsilciye bağlıyorum.'
-          : 'Je vous transfère à un agent.'
+        text
       );
+    }
+
+    // Based on intent, decide next action
+    if (intent.requiresHandoff && !isBusinessHours()) {
+      // Nobody to transfer to: offer a callback instead
+      twiml.redirect(
+        `/api/webhooks/twilio/callback/offer?language=${encodeURIComponent(language)}&reason=closed`
+      );
+
+    } else if (intent.requiresHandoff) {
+      // Warm transfer to an agent (conference + whisper)
+      const params = new URLSearchParams({
+        language,
+        intent: intent.name || '',
+        reason: intent.handoffReason || '',
+      });
 
-      twiml.dial({
-        action: '/api/webhooks/twilio/dial-status',
-        timeout: 30,
-      }, config.twilio.phoneNumber); // Replace with agent's number
+      twiml.redirect(`/api/webhooks/twilio/transfer?${params}`);
 
     } else {
       // Continue conversation
-      const gather = twiml.gather({
-        input: 'speech',
-        language: language,
-        speechTimeout: 'auto',
-        action: '/api/webhooks/twilio/speech',
-        method: 'POST',
-      });
+      const gather = twiml.gather(this.getGatherOptions(language));
 
       gather.say(
         {
@@ -119,15 +232,19 @@ class TwilioService {
           ? 'Başka bir konuda yardımcı olabilir miyim?'
           : 'Puis-je vous aider avec autre chose?'
       );
+
+      if (repeatMenu) {
+        this.sayMenu(gather, language);
+      }
     }
 
     return twiml.toString();
   }
 
   /**
-   * Create hold music/message
+   * Put the caller in a waiting queue (all agents busy)
    */
-  createHoldResponse(language = 'fr-FR') {
+  createEnqueueResponse(queueName, { language = 'fr-FR', params = '' } = {}) {
     const twiml = new this.VoiceResponse();
 
     twiml.say(
@@ -135,19 +252,408 @@ class TwilioService {
         voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
         language: language,
       },
+      language === 'tr-TR'
+        ? 'Tüm temsilcilerimiz şu anda görüşmede. Sizi sıraya alıyoruz.'
+        : 'Tous nos conseillers sont en ligne. Nous vous plaçons en file d\'attente.'
+    );
+
+    twiml.enqueue({
+      waitUrl: `/api/webhooks/twilio/queue/wait?${params}`,
+      waitUrlMethod: 'POST',
+      action: `/api/webhooks/twilio/queue/result?${params}`,
+      method: 'POST',
+    }, queueName);
+
+    return twiml.toString();
+  }
+
+  /**
+   * Hold experience while queued (<Enqueue> waitUrl, requested again once played):
+   * position and estimated wait, then hold music
+   */
+  createHoldResponse(language = 'fr-FR', { position = null, estimatedMinutes = null } = {}) {
+    const twiml = new this.VoiceResponse();
+    const voice = {
+      voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+      language: language,
+    };
+
+    if (position) {
+      twiml.say(
+        voice,
+        language === 'tr-TR'
+          ? `Sıradaki yeriniz: ${position}. Tahmini bekleme süresi yaklaşık ${estimatedMinutes} dakika.`
+          : `Vous êtes en position ${position}. Temps d'attente estimé : environ ${estimatedMinutes} minute${estimatedMinutes > 1 ? 's' : ''}.`
+      );
+    }
+
+    twiml.say(
+      voice,
       language === 'tr-TR'
         ? 'Lütfen hatta kalın, sizi bir temsilciye bağlıyoruz.'
-        : 'Veuillez patienter, nous vous mettons en relation avec un agent.'
+        : 'Veuillez patienter, nous vous mettons en relation avec un conseiller.'
+    );
+
+    twiml.play(config.routing.queue.holdMusicUrl);
+
+    return twiml.toString();
+  }
+
+  /**
+   * Take the caller out of the queue (waited too long)
+   */
+  createQueueLeaveResponse() {
+    const twiml = new this.VoiceResponse();
+
+    twiml.leave();
+
+    return twiml.toString();
+  }
+
+  /**
+   * Create voicemail recording response
+   */
+  createVoicemailResponse(language = 'fr-FR') {
+    const twiml = new this.VoiceResponse();
+    const voice = {
+      voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+      language: language,
+    };
+    const languageParam = `language=${encodeURIComponent(language)}`;
+
+    twiml.say(
+      voice,
+      language === 'tr-TR'
+        ? 'Lütfen sinyal sesinden sonra mesajınızı bırakın. Bitirdiğinizde kare tuşuna basın.'
+        : 'Veuillez laisser votre message après le bip. Appuyez sur dièse pour terminer.'
+    );
+
+    twiml.record({
+      maxLength: config.voicemail.maxLength,
+      finishOnKey: config.voicemail.finishOnKey,
+      playBeep: true,
+      action: `/api/webhooks/twilio/voicemail?${languageParam}`,
+      method: 'POST',
+      recordingStatusCallback: `/api/webhooks/twilio/voicemail-recording?${languageParam}`,
+      recordingStatusCallbackEvent: 'completed',
+    });
+
+    // Reached only if nothing was recorded
+    twiml.say(
+      voice,
+      language === 'tr-TR' ? 'Mesaj alınamadı. Hoşça kalın.' : 'Aucun message enregistré. Au revoir.'
+    );
+    twiml.hangup();
+
+    return twiml.toString();
+  }
+
+  /**
+   * Create end of voicemail response
+   */
+  createVoicemailThanksResponse(language = 'fr-FR') {
+    const twiml = new this.VoiceResponse();
+
+    twiml.say(
+      {
+        voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+        language: language,
+      },
+      language === 'tr-TR'
+        ? 'Mesajınız için teşekkürler, sizi en kısa sürede arayacağız. Hoşça kalın.'
+        : 'Merci pour votre message, nous vous rappellerons rapidement. Au revoir.'
+    );
+    twiml.hangup();
+
+    return twiml.toString();
+  }
+
+  /**
+   * Offer a callback or voicemail when no agent can take the call
+   */
+  createCallbackOfferResponse(language = 'fr-FR', reason = 'busy') {
+    const twiml = new this.VoiceResponse();
+    const voice = {
+      voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+      language: language,
+    };
+    const languageParam = `language=${encodeURIComponent(language)}`;
+
+    const messages = {
+      'fr-FR': {
+        busy: 'Nos conseillers sont tous occupés.',
+        closed: 'Nos bureaux sont actuellement fermés.',
+        choice: 'Pour être rappelé, appuyez sur 1 ou dites rappel. Pour laisser un message, appuyez sur 2.',
+      },
+      'tr-TR': {
+        busy: 'Tüm temsilcilerimiz şu anda meşgul.',
+        closed: 'Ofisimiz şu anda kapalı.',
+        choice: 'Geri aranmak için 1\'e basın veya geri arama deyin. Mesaj bırakmak için 2\'ye basın.',
+      },
+    };
+    const text = messages[language] || messages['fr-FR'];
+
+    twiml.say(voice, text[reason] || text.busy);
+
+    const gather = twiml.gather({
+      input: 'dtmf speech',
+      numDigits: 1,
+      language: language,
+      speechTimeout: 'auto',
+      action: `/api/webhooks/twilio/callback/choice?${languageParam}`,
+      method: 'POST',
+    });
+
+    gather.say(voice, text.choice);
+
+    // No choice made: take a message
+    twiml.redirect(`/api/webhooks/twilio/voicemail/start?${languageParam}`);
+
+    return twiml.toString();
+  }
+
+  /**
+   * Ask when the caller wants to be called back
+   */
+  createCallbackScheduleResponse(language = 'fr-FR') {
+    const twiml = new this.VoiceResponse();
+    const voice = {
+      voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+      language: language,
+    };
+    const languageParam = `language=${encodeURIComponent(language)}`;
+
+    const gather = twiml.gather({
+      input: 'speech',
+      language: language,
+      speechTimeout: 'auto',
+      action: `/api/webhooks/twilio/callback/schedule?${languageParam}`,
+      method: 'POST',
+    });
+
+    gather.say(
+      voice,
+      language === 'tr-TR'
+        ? 'Sizi ne zaman arayalım? Örneğin yarın sabah veya bugün saat on dörtten sonra.'
+        : 'Quand souhaitez-vous être rappelé? Par exemple demain matin, ou aujourd\'hui après quatorze heures.'
     );
 
-    // Add hold music (optional)
-    twiml.play({
-      loop: 5,
-    }, 'https://your-domain.com/hold-music.mp3');
+    // No answer: schedule as soon as possible
+    twiml.redirect({ method: 'POST' }, `/api/webhooks/twilio/callback/schedule?${languageParam}`);
 
     return twiml.toString();
   }
 
+  /**
+   * Confirm the callback request and end the call
+   */
+  createCallbackConfirmResponse(language = 'fr-FR') {
+    const twiml = new this.VoiceResponse();
+
+    twiml.say(
+      {
+        voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+        language: language,
+      },
+      language === 'tr-TR'
+        ? 'Teşekkürler, geri arama talebiniz kaydedildi. Sizi mesai saatleri içinde arayacağız. Hoşça kalın.'
+        : 'Merci, votre demande de rappel est enregistrée. Nous vous rappellerons pendant nos heures d\'ouverture. Au revoir.'
+    );
+    twiml.hangup();
+
+    return twiml.toString();
+  }
+
+  /**
+   * Connect the answered callback call to an agent
+   */
+  createCallbackConnectResponse(language = 'fr-FR') {
+    const twiml = new this.VoiceResponse();
+
+    twiml.say(
+      {
+        voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+        language: language,
+      },
+      language === 'tr-TR'
+        ? 'Merhaba, talebiniz üzerine NETZ Informatique sizi arıyor. Sizi bir temsilciye bağlıyorum.'
+        : 'Bonjour, NETZ Informatique vous rappelle suite à votre demande. Je vous mets en relation avec un conseiller.'
+    );
+
+    twiml.redirect(
+      { method: 'POST' },
+      `/api/webhooks/twilio/transfer?language=${encodeURIComponent(language)}&reason=callback`
+    );
+
+    return twiml.toString();
+  }
+
+  /**
+   * End the call without a word
+   */
+  createHangupResponse() {
+    const twiml = new this.VoiceResponse();
+
+    twiml.hangup();
+
+    return twiml.toString();
+  }
+
+  /**
+   * Appointment reminder call: read `message`, then take the answer on the keypad
+   * (1 confirm, 2 cancel, 3 reschedule) or by voice. `final` ends the call instead
+   */
+  createReminderResponse(message, language = 'fr-FR', reminderId, { final = false, menu = false } = {}) {
+    const twiml = new this.VoiceResponse();
+    const voice = {
+      voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+      language: language,
+    };
+
+    if (final) {
+      twiml.say(voice, message);
+      twiml.hangup();
+
+      return twiml.toString();
+    }
+
+    const params = new URLSearchParams({ reminderId, language });
+    const gather = twiml.gather({
+      input: 'dtmf speech',
+      numDigits: 1,
+      language: language,
+      speechTimeout: 'auto',
+      action: `/api/webhooks/twilio/reminder/reply?${params}`,
+      method: 'POST',
+    });
+
+    gather.say(voice, message);
+
+    if (menu) {
+      gather.say(
+        voice,
+        language === 'tr-TR'
+          ? 'Onaylamak için 1\'e, iptal etmek için 2\'ye, başka bir saat için 3\'e basın ya da bize uygun olduğunuz zamanı söyleyin.'
+          : 'Pour confirmer, tapez 1. Pour annuler, tapez 2. Pour changer de créneau, tapez 3 ou dites-nous quand vous êtes disponible.'
+      );
+    }
+
+    // No answer: the reminder is sent again by SMS (see reminderService)
+    twiml.say(voice, language === 'tr-TR' ? 'Hoşça kalın.' : 'Au revoir.');
+    twiml.hangup();
+
+    return twiml.toString();
+  }
+
+  /**
+   * Reply to an incoming SMS or WhatsApp message (empty response sends nothing)
+   */
+  createSmsResponse(text = null) {
+    const twiml = new this.MessagingResponse();
+
+    if (text) {
+      twiml.message(text);
+    }
+
+    return twiml.toString();
+  }
+
+  /**
+   * Send an SMS from our Twilio number
+   */
+  async sendSms(to, body, from = config.twilio.phoneNumber) {
+    try {
+      const message = await this.client.messages.create({ to, from, body });
+
+      logger.info('SMS sent', {
+        messageSid: message.sid,
+        to,
+      });
+
+      return message;
+    } catch (error) {
+      logger.error(`Failed to send SMS to ${to}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a free-form WhatsApp message (only within the customer's 24-hour session window)
+   */
+  async sendWhatsApp(to, { body = null, mediaUrl = [] } = {}) {
+    try {
+      const message = await this.client.messages.create({
+        to: `whatsapp:${to}`,
+        from: `whatsapp:${config.whatsapp.phoneNumber}`,
+        body,
+        ...(mediaUrl.length && { mediaUrl }),
+      });
+
+      logger.info('WhatsApp message sent', {
+        messageSid: message.sid,
+        to,
+      });
+
+      return message;
+    } catch (error) {
+      logger.error(`Failed to send WhatsApp message to ${to}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send an approved WhatsApp template (allowed at any time)
+   * `name` refers to config.whatsapp.templates, variables fill {{1}}, {{2}}...
+   */
+  async sendWhatsAppTemplate(to, name, language = 'fr-FR', variables = {}) {
+    const templates = config.whatsapp.templates[name] || {};
+    const contentSid = templates[language] || templates['fr-FR'];
+
+    if (!contentSid) {
+      throw new Error(`WhatsApp template not configured: ${name}`);
+    }
+
+    try {
+      const message = await this.client.messages.create({
+        to: `whatsapp:${to}`,
+        from: `whatsapp:${config.whatsapp.phoneNumber}`,
+        contentSid,
+        contentVariables: JSON.stringify(variables),
+      });
+
+      logger.info('WhatsApp template sent', {
+        messageSid: message.sid,
+        template: name,
+        to,
+      });
+
+      return message;
+    } catch (error) {
+      logger.error(`Failed to send WhatsApp template ${name} to ${to}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a recording's audio (WAV: 8 kHz, 16-bit PCM)
+   */
+  async downloadRecording(recordingUrl, format = 'wav') {
+    try {
+      const response = await axios.get(`${recordingUrl}.${format}`, {
+        responseType: 'arraybuffer',
+        auth: {
+          username: config.twilio.accountSid,
+          password: config.twilio.authToken,
+        },
+      });
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      logger.error(`Failed to download recording ${recordingUrl}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Initiate outbound call
    */
@@ -159,7 +665,9 @@ class TwilioService {
         url: options.twimlUrl || `${config.server.publicUrl}/api/webhooks/twilio/outbound`,
         statusCallback: `${config.server.publicUrl}/api/webhooks/twilio/status`,
         statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-        record: options.record || false,
+        record: options.record ?? config.recording.enabled,
+        recordingChannels: 'dual',
+        recordingStatusCallback: `${config.server.publicUrl}/api/webhooks/twilio/recording-status`,
         ...options,
       });
 
@@ -227,6 +735,23 @@ class TwilioService {
     }
   }
 
+  /**
+   * Delete a recording hosted by Twilio (already deleted is not an error)
+   */
+  async deleteRecording(recordingSid) {
+    try {
+      await this.client.recordings(recordingSid).remove();
+      logger.info(`Recording ${recordingSid} deleted`);
+    } catch (error) {
+      if (error.status === 404) {
+        return;
+      }
+
+      logger.error(`Failed to delete recording ${recordingSid}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Start recording
    */
@@ -235,6 +760,8 @@ class TwilioService {
       const recording = await this.client.calls(callSid)
         .recordings
         .create({
+          // Caller and company side on separate channels for per-speaker transcription
+          recordingChannels: 'dual',
           recordingStatusCallback: `${config.server.publicUrl}/api/webhooks/twilio/recording-status`,
         });
 
@@ -251,20 +778,29 @@ class TwilioService {
 
   /**
    * Connect to WebSocket for media streaming
+   * <Connect> makes the stream bidirectional so responses can be played back
    */
-  createMediaStreamResponse(websocketUrl) {
+  createMediaStreamResponse(websocketUrl, language = 'fr-FR', parameters = {}) {
     const twiml = new this.VoiceResponse();
 
-    twiml.say('Connecting to AI assistant');
+    twiml.say(
+      {
+        voice: language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+        language: language,
+      },
+      language === 'tr-TR'
+        ? 'Merhaba, NETZ Informatique\'e hoş geldiniz. Size nasıl yardımcı olabilirim?'
+        : 'Bonjour, bienvenue chez NETZ Informatique. Comment puis-je vous aider?'
+    );
 
-    const start = twiml.start();
-    start.stream({
+    const connect = twiml.connect();
+    const stream = connect.stream({
       url: websocketUrl,
-      track: 'both_tracks',
     });
 
-    twiml.pause({
-      length: 60,
+    // Custom parameters are delivered in the stream 'start' event
+    Object.entries({ language, ...parameters }).forEach(([name, value]) => {
+      stream.parameter({ name, value });
     });
 
     return twiml.toString();
@@ -312,18 +848,55 @@ class TwilioService {
   createConferenceResponse(conferenceName, options = {}) {
     const twiml = new this.VoiceResponse();
 
-    const dial = twiml.dial({
-      action: '/api/webhooks/twilio/conference-end',
-    });
+    if (options.message) {
+      twiml.say(
+        {
+          voice: options.language === 'tr-TR' ? 'Polly.Filiz' : 'Polly.Celine',
+          language: options.language || 'fr-FR',
+        },
+        options.message
+      );
+    }
+
+    const dial = twiml.dial(options.action ? { action: options.action } : {});
 
     dial.conference({
-      startConferenceOnEnter: options.startOnEnter || true,
-      endConferenceOnExit: options.endOnExit || false,
+      startConferenceOnEnter: options.startOnEnter ?? true,
+      endConferenceOnExit: options.endOnExit ?? false,
+      beep: options.beep ?? true,
       waitUrl: options.waitUrl || 'http://twimlets.com/holdmusic?Bucket=com.twilio.music.classical',
       statusCallback: `${config.server.publicUrl}/api/webhooks/twilio/participant-status`,
       statusCallbackEvent: ['join', 'leave'],
     }, conferenceName);
 
+    // Conference over: end this leg
+    twiml.hangup();
+
+    return twiml.toString();
+  }
+
+  /**
+   * Agent leg of a warm transfer: brief the agent, then accept (1) or decline (2)
+   */
+  createWhisperResponse(whisper, conferenceName) {
+    const twiml = new this.VoiceResponse();
+    const voice = { voice: 'Polly.Celine', language: 'fr-FR' };
+    const answerUrl = `/api/webhooks/twilio/transfer/agent-answer?conference=${encodeURIComponent(conferenceName)}`;
+
+    const gather = twiml.gather({
+      input: 'dtmf',
+      numDigits: 1,
+      timeout: 8,
+      action: answerUrl,
+      method: 'POST',
+    });
+
+    gather.say(voice, whisper);
+    gather.say(voice, 'Appuyez sur 1 pour prendre l\'appel, sur 2 pour le refuser.');
+
+    // No key pressed counts as declined
+    twiml.redirect(answerUrl);
+
     return twiml.toString();
   }
 
@@ -0,0 +1,40 @@
+/**
+ * Audio utilities for telephony (8 kHz mu-law)
+ */
+
+/**
+ * Decode one G.711 mu-law byte to a 16-bit linear PCM sample
+ */
+export const muLawToLinear = (byte) => {
+  const value = ~byte & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+
+  const sample = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+
+  return sign ? -sample : sample;
+};
+
+/**
+ * RMS energy of a mu-law frame (16-bit linear scale)
+ */
+export const frameEnergy = (muLawFrame) => {
+  if (!muLawFrame || muLawFrame.length === 0) {
+    return 0;
+  }
+
+  let sumSquares = 0;
+
+  for (const byte of muLawFrame) {
+    const sample = muLawToLinear(byte);
+    sumSquares += sample * sample;
+  }
+
+  return Math.sqrt(sumSquares / muLawFrame.length);
+};
+
+export default {
+  muLawToLinear,
+  frameEnergy,
+};
@@ -7,8 +7,8 @@ import config from '../config/index.js';
 /**
  * Check if current time is within business hours
  */
-export const isBusinessHours = (timezone = config.routing.timezone) => {
-  const now = new Date().toLocaleString('en-US', { timeZone: timezone });
+export const isBusinessHours = (timezone = config.routing.timezone, date = new Date()) => {
+  const now = date.toLocaleString('en-US', { timeZone: timezone });
   const currentDate = new Date(now);
   const currentDay = currentDate.getDay();
   const currentTime = currentDate.toTimeString().slice(0, 5);
@@ -21,6 +21,34 @@ export const isBusinessHours = (timezone = config.routing.timezone) => {
   return isBusinessDay && isWithinHours;
 };
 
+/**
+ * Check if `date` falls on a business day in `timezone`
+ */
+export const isBusinessDay = (timezone = config.routing.timezone, date = new Date()) => {
+  const day = new Date(date.toLocaleString('en-US', { timeZone: timezone })).getDay();
+
+  return config.routing.businessHours.days.includes(day);
+};
+
+/**
+ * Get the first business-hours moment at or after `from` (15 minute resolution)
+ */
+export const getNextBusinessTime = (from = new Date(), timezone = config.routing.timezone) => {
+  const step = 15 * 60 * 1000;
+  const limit = from.getTime() + 8 * 24 * 60 * 60 * 1000;
+
+  for (let time = from.getTime(); time < limit; time += step) {
+    const candidate = new Date(time);
+
+    if (isBusinessHours(timezone, candidate)) {
+      return candidate;
+    }
+  }
+
+  // No business day configured
+  return from;
+};
+
 /**
  * Format duration in seconds to human-readable format
  */
@@ -329,6 +357,8 @@ export const safeJSONParse = (str, fallback = null) => {
 
 export default {
   isBusinessHours,
+  isBusinessDay,
+  getNextBusinessTime,
   formatDuration,
   parseDuration,
   sleep,
@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
 import logger from './logger.js';
 
@@ -188,6 +189,24 @@ export const verifyHMAC = (payload, signature, secret) => {
   );
 };
 
+/**
+ * Verify an HS256 JSON Web Token, returns its payload or null
+ * (bad signature, other algorithm, malformed, expired or without expiry)
+ */
+export const verifyJWT = (token, secret) => {
+  if (!token || !secret) {
+    return null;
+  }
+
+  try {
+    const claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+
+    return typeof claims === 'object' && claims.exp ? claims : null;
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Check if text contains sensitive information
  */
@@ -263,6 +282,7 @@ export default {
   normalizePhoneNumber,
   generateToken,
   verifyHMAC,
+  verifyJWT,
   containsSensitiveInfo,
   redactForLogging,
   generateRateLimitKey,
@@ -0,0 +1,98 @@
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import logger from '../utils/logger.js';
+import { handleMediaStream, MEDIA_STREAM_PATH } from '../controllers/webhook.controller.js';
+import { handleAgentBoard, AGENT_BOARD_PATH } from '../controllers/agent.controller.js';
+import { handleWebChat, WEB_CHAT_PATH } from '../controllers/webchat.controller.js';
+import { isValidTwilioUpgrade } from '../middleware/webhook.middleware.js';
+import { isAuthenticatedUpgrade, isAllowedOriginUpgrade } from '../middleware/auth.middleware.js';
+
+/**
+ * WebSocket Server
+ * Routes WebSocket upgrades on the HTTP server to their handlers.
+ * The public web chat listens on its own port (server.websocketPort).
+ */
+
+const defaultRoutes = {
+  [MEDIA_STREAM_PATH]: {
+    handler: handleMediaStream,
+    authorize: isValidTwilioUpgrade,
+  },
+  [AGENT_BOARD_PATH]: {
+    handler: handleAgentBoard,
+    authorize: isAuthenticatedUpgrade,
+  },
+};
+
+const webChatRoutes = {
+  [WEB_CHAT_PATH]: {
+    handler: handleWebChat,
+    authorize: isAllowedOriginUpgrade,
+  },
+};
+
+/**
+ * Attach WebSocket routing to an HTTP server
+ */
+export const attachWebSocketServer = (server, routes = defaultRoutes) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[url.pathname];
+
+    if (!route) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    if (!route.authorize(req)) {
+      logger.logSecurity('websocket_upgrade_rejected', {
+        path: url.pathname,
+        ip: req.socket.remoteAddress,
+      });
+
+      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    // Expose query params the same way Express does
+    req.query = Object.fromEntries(url.searchParams);
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      route.handler(ws, req);
+    });
+  });
+
+  logger.info('WebSocket server attached', {
+    paths: Object.keys(routes),
+  });
+
+  return wss;
+};
+
+/**
+ * Start the web chat WebSocket server on its own port
+ * Plain HTTP requests are refused, the widget itself is served by Express
+ */
+export const listenWebChatServer = (port, host) => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Upgrade Required');
+  });
+
+  const wss = attachWebSocketServer(server, webChatRoutes);
+
+  server.listen(port, host, () => {
+    logger.info(`Web chat WebSocket listening on ${host}:${port}`);
+  });
+
+  return { server, wss };
+};
+
+export default {
+  attachWebSocketServer,
+  listenWebChatServer,
+};
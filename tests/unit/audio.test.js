@@ -0,0 +1,28 @@
+import { describe, it, expect } from '@jest/globals';
+import { muLawToLinear, frameEnergy } from '../../src/utils/audio.js';
+
+describe('audio utils', () => {
+  describe('muLawToLinear', () => {
+    it('decodes silence to zero', () => {
+      expect(muLawToLinear(0xff)).toBe(0);
+      expect(muLawToLinear(0x7f)).toBeCloseTo(0);
+    });
+
+    it('decodes the loudest codes to full scale with their sign', () => {
+      expect(muLawToLinear(0x00)).toBe(-32124);
+      expect(muLawToLinear(0x80)).toBe(32124);
+    });
+  });
+
+  describe('frameEnergy', () => {
+    it('is zero for empty or silent frames', () => {
+      expect(frameEnergy(null)).toBe(0);
+      expect(frameEnergy(Buffer.alloc(0))).toBe(0);
+      expect(frameEnergy(Buffer.alloc(160, 0xff))).toBe(0);
+    });
+
+    it('is the RMS of the decoded samples', () => {
+      expect(frameEnergy(Buffer.from([0x00, 0x80]))).toBe(32124);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseListQuery } from '../../src/controllers/call.controller.js';
+
+describe('parseListQuery', () => {
+  it('applies the defaults', () => {
+    expect(parseListQuery({})).toEqual({
+      filters: {
+        statuses: [],
+        direction: null,
+        from: null,
+        to: null,
+        fromNumber: null,
+        intent: null,
+        handedOff: null,
+      },
+      page: { limit: 50, offset: 0, sort: 'startTime', order: 'desc' },
+      expand: [],
+    });
+  });
+
+  it('parses the filters, page and expansions', () => {
+    const parsed = parseListQuery({
+      status: 'completed, no-answer',
+      direction: 'inbound',
+      from: '2025-01-01T00:00:00Z',
+      fromNumber: '06 12 34 56 78',
+      handedOff: 'false',
+      limit: '20',
+      offset: '40',
+      sort: 'duration',
+      order: 'ASC',
+      expand: 'transcript,handoff',
+    });
+
+    expect(parsed.filters).toMatchObject({
+      statuses: ['completed', 'no-answer'],
+      direction: 'inbound',
+      from: new Date('2025-01-01T00:00:00Z'),
+      fromNumber: '+33612345678',
+      handedOff: false,
+    });
+    expect(parsed.page).toEqual({ limit: 20, offset: 40, sort: 'duration', order: 'asc' });
+    expect(parsed.expand).toEqual(['transcript', 'handoff']);
+  });
+
+  it.each([
+    [{ status: 'answered' }, 'Unknown status: answered'],
+    [{ direction: 'sideways' }, 'direction must be one of: inbound, outbound'],
+    [{ from: 'yesterday' }, 'from must be an ISO 8601 date'],
+    [{ handedOff: 'yes' }, 'handedOff must be true or false'],
+    [{ limit: '0' }, 'limit must be between 1 and 100'],
+    [{ limit: '101' }, 'limit must be between 1 and 100'],
+    [{ limit: '1.5' }, 'limit must be between 1 and 100'],
+    [{ offset: '-1' }, 'offset must be a positive integer'],
+    [{ sort: 'price' }, expect.stringContaining('sort must be one of')],
+    [{ order: 'up' }, expect.stringContaining('order asc or desc')],
+    [{ expand: 'recording' }, expect.stringContaining('expand must be among')],
+  ])('rejects %o', (query, error) => {
+    expect(parseListQuery(query)).toEqual({ error });
+  });
+});
@@ -0,0 +1,52 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import callModel, { CALL_STATUSES, TERMINAL_STATUSES } from '../../src/models/call.model.js';
+
+describe('CallModel status transitions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('knows the Twilio call statuses', () => {
+    expect(CALL_STATUSES).toEqual(expect.arrayContaining(['queued', 'ringing', 'in-progress', 'completed']));
+    expect(TERMINAL_STATUSES.sort()).toEqual(['busy', 'canceled', 'completed', 'failed', 'no-answer']);
+  });
+
+  it('normalizes initiated to queued and drops unknown statuses', () => {
+    expect(callModel.normalizeStatus('initiated')).toBe('queued');
+    expect(callModel.normalizeStatus('ringing')).toBe('ringing');
+    expect(callModel.normalizeStatus('answered')).toBeNull();
+  });
+
+  it('reaches in-progress only from queued, ringing or itself', () => {
+    expect(callModel.getAllowedPreviousStatuses('in-progress').sort()).toEqual(['in-progress', 'queued', 'ringing']);
+  });
+
+  it('reaches completed from any live status, never from another terminal one', () => {
+    const allowed = callModel.getAllowedPreviousStatuses('completed');
+
+    expect(allowed.sort()).toEqual(['completed', 'in-progress', 'queued', 'ringing']);
+    expect(allowed).not.toContain('failed');
+  });
+
+  it('never moves a call back to queued', () => {
+    expect(callModel.getAllowedPreviousStatuses('queued')).toEqual(['queued']);
+  });
+
+  it('guards the update with the allowed previous statuses', async () => {
+    const query = jest.spyOn(callModel.pool, 'query').mockResolvedValue({ rows: [] });
+
+    await expect(callModel.updateStatus('CA123', 'ringing')).resolves.toBeNull();
+
+    const [, params] = query.mock.calls[0];
+    expect(params[0]).toBe('CA123');
+    expect(params[1]).toBe('ringing');
+    expect(params[6].sort()).toEqual(['queued', 'ringing']);
+  });
+
+  it('ignores unknown statuses without querying', async () => {
+    const query = jest.spyOn(callModel.pool, 'query');
+
+    await expect(callModel.updateStatus('CA123', 'answered')).resolves.toBeNull();
+    expect(query).not.toHaveBeenCalled();
+  });
+});
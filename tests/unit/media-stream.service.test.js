@@ -0,0 +1,145 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { MediaStreamSession } from '../../src/services/telephony/media-stream.service.js';
+import ttsService from '../../src/services/speech/tts.service.js';
+import config from '../../src/config/index.js';
+
+// 20 ms mu-law frames
+const LOUD = Buffer.alloc(160, 0x00);
+const SILENT = Buffer.alloc(160, 0xff);
+
+const createSession = () => {
+  const ws = { OPEN: 1, readyState: 1, send: jest.fn() };
+  const session = new MediaStreamSession(ws, { streamSid: 'MZ123', callSid: 'CA123' });
+
+  return { ws, session };
+};
+
+describe('MediaStreamSession', () => {
+  const bargeIn = config.speech.bargeIn;
+
+  beforeEach(() => {
+    config.speech.bargeIn = { enabled: true, energyThreshold: 1500, minSpeechMs: 200 };
+  });
+
+  afterEach(() => {
+    config.speech.bargeIn = bargeIn;
+    jest.restoreAllMocks();
+  });
+
+  describe('detectBargeIn', () => {
+    it('interrupts after minSpeechMs of sustained speech while speaking', () => {
+      const { ws, session } = createSession();
+      const response = session.createResponse();
+      session.currentResponse = response;
+
+      for (let i = 0; i < 9; i++) {
+        session.detectBargeIn(LOUD);
+      }
+
+      expect(response.interrupted).toBe(false);
+
+      session.detectBargeIn(LOUD);
+
+      expect(response.interrupted).toBe(true);
+      expect(response.abortController.signal.aborted).toBe(true);
+      expect(JSON.parse(ws.send.mock.calls[0][0])).toEqual({ event: 'clear', streamSid: 'MZ123' });
+    });
+
+    it('starts counting again after a quiet frame', () => {
+      const { session } = createSession();
+      const response = session.createResponse();
+      session.currentResponse = response;
+
+      for (let i = 0; i < 9; i++) {
+        session.detectBargeIn(LOUD);
+      }
+
+      session.detectBargeIn(SILENT);
+      session.detectBargeIn(LOUD);
+
+      expect(session.voicedMs).toBe(20);
+      expect(response.interrupted).toBe(false);
+    });
+
+    it('ignores speech while the assistant is silent', () => {
+      const { ws, session } = createSession();
+
+      for (let i = 0; i < 20; i++) {
+        session.detectBargeIn(LOUD);
+      }
+
+      expect(session.voicedMs).toBe(0);
+      expect(ws.send).not.toHaveBeenCalled();
+    });
+
+    it('does nothing when barge-in is disabled', () => {
+      config.speech.bargeIn.enabled = false;
+      const { session } = createSession();
+      const response = session.createResponse();
+      session.currentResponse = response;
+
+      for (let i = 0; i < 20; i++) {
+        session.detectBargeIn(LOUD);
+      }
+
+      expect(response.interrupted).toBe(false);
+    });
+  });
+
+  describe('handleToken', () => {
+    it('speaks each sentence once it is complete', () => {
+      const { session } = createSession();
+      const response = session.createResponse();
+      const queueSentence = jest.spyOn(session, 'queueSentence').mockImplementation(() => {});
+
+      ['Bonjour', ', je ', 'vous écoute. Que', ' puis-je faire ?', ' '].forEach(token => session.handleToken(response, token));
+
+      expect(queueSentence.mock.calls.map(([, sentence]) => sentence)).toEqual([
+        'Bonjour, je vous écoute. ',
+        'Que puis-je faire ? ',
+      ]);
+      expect(response.buffer).toBe('');
+    });
+
+    it('keeps an unfinished sentence buffered', () => {
+      const { session } = createSession();
+      const response = session.createResponse();
+      const queueSentence = jest.spyOn(session, 'queueSentence').mockImplementation(() => {});
+
+      session.handleToken(response, 'Votre PC est prêt');
+
+      expect(queueSentence).not.toHaveBeenCalled();
+      expect(response.buffer).toBe('Votre PC est prêt');
+    });
+
+    it('does not split on a final punctuation mark until whitespace follows', () => {
+      const { session } = createSession();
+      const response = session.createResponse();
+      const queueSentence = jest.spyOn(session, 'queueSentence').mockImplementation(() => {});
+
+      session.handleToken(response, 'Il coûte 49.');
+      expect(queueSentence).not.toHaveBeenCalled();
+
+      session.handleToken(response, '90 euros… Merci');
+      expect(queueSentence).toHaveBeenCalledWith(response, 'Il coûte 49.90 euros… ');
+      expect(response.buffer).toBe('Merci');
+    });
+  });
+
+  describe('queueSentence', () => {
+    it('stops the response and keeps the error when speech synthesis fails', async () => {
+      const failure = new Error('TTS unavailable');
+      const synthesize = jest.spyOn(ttsService, 'synthesizeForMediaStream').mockRejectedValue(failure);
+      const { ws, session } = createSession();
+      const response = session.createResponse();
+
+      session.queueSentence(response, 'Bonjour. ');
+      session.queueSentence(response, 'Que puis-je faire ? ');
+
+      await expect(session.waitForPlayback(response)).rejects.toBe(failure);
+      expect(response.abortController.signal.aborted).toBe(true);
+      expect(synthesize).toHaveBeenCalledTimes(1);
+      expect(ws.send).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import reminderService from '../../src/services/calls/reminder.service.js';
+import calendarService from '../../src/services/google-workspace/calendar.service.js';
+import config from '../../src/config/index.js';
+
+// January: Paris is UTC+1, 2026-01-12 is a Monday
+const paris = time => new Date(`${time}+01:00`);
+
+describe('ReminderService scheduling', () => {
+  const { routing, reminders } = config;
+  const saved = {
+    businessHours: routing.businessHours,
+    timezone: routing.timezone,
+    leadTimeHours: reminders.leadTimeHours,
+  };
+
+  beforeEach(() => {
+    routing.businessHours = { start: '09:00', end: '18:00', days: [1, 2, 3, 4, 5] };
+    routing.timezone = 'Europe/Paris';
+    reminders.leadTimeHours = 24;
+  });
+
+  afterEach(() => {
+    routing.businessHours = saved.businessHours;
+    routing.timezone = saved.timezone;
+    reminders.leadTimeHours = saved.leadTimeHours;
+    jest.restoreAllMocks();
+  });
+
+  describe('getClosingTime', () => {
+    it('is the end of the current opening', () => {
+      expect(reminderService.getClosingTime(paris('2026-01-12T10:00:00'))).toEqual(paris('2026-01-12T18:15:00'));
+    });
+
+    it('is now when closed', () => {
+      const sunday = paris('2026-01-11T10:00:00');
+
+      expect(reminderService.getClosingTime(sunday)).toEqual(sunday);
+    });
+  });
+
+  describe('getScanHorizon', () => {
+    it('reaches leadTimeHours past the next opening', () => {
+      expect(reminderService.getScanHorizon(paris('2026-01-12T10:00:00'))).toEqual(paris('2026-01-14T09:00:00'));
+    });
+
+    it('covers the weekend on Friday', () => {
+      expect(reminderService.getScanHorizon(paris('2026-01-16T17:00:00'))).toEqual(paris('2026-01-20T09:00:00'));
+    });
+  });
+
+  describe('isReminderDue', () => {
+    const monday = paris('2026-01-12T10:00:00');
+
+    it('is due leadTimeHours before the appointment', () => {
+      expect(reminderService.isReminderDue(paris('2026-01-13T09:30:00'), monday)).toBe(true);
+    });
+
+    it('waits when the reminder time falls within business hours', () => {
+      expect(reminderService.isReminderDue(paris('2026-01-13T10:30:00'), monday)).toBe(false);
+      expect(reminderService.isReminderDue(paris('2026-01-14T10:00:00'), monday)).toBe(false);
+    });
+
+    it('is due early when the reminder time falls before the next opening', () => {
+      const evening = paris('2026-01-12T17:00:00');
+
+      expect(reminderService.isReminderDue(paris('2026-01-14T08:00:00'), evening)).toBe(true);
+    });
+
+    it('waits when we open again before the reminder time', () => {
+      const evening = paris('2026-01-12T17:00:00');
+
+      expect(reminderService.isReminderDue(paris('2026-01-14T19:00:00'), evening)).toBe(false);
+    });
+
+    it('reminds of Monday appointments on Friday', () => {
+      const friday = paris('2026-01-16T17:00:00');
+
+      expect(reminderService.isReminderDue(paris('2026-01-19T10:00:00'), friday)).toBe(true);
+      expect(reminderService.isReminderDue(paris('2026-01-20T10:00:00'), friday)).toBe(false);
+    });
+  });
+
+  describe('findSlots', () => {
+    it('picks business days in the business time zone, not the host one', async () => {
+      // Friday 00:30 in Paris, still Thursday in UTC
+      jest.spyOn(Date, 'now').mockReturnValue(paris('2026-01-16T00:30:00').getTime());
+      const findAvailableSlots = jest.spyOn(calendarService, 'findAvailableSlots').mockResolvedValue([]);
+
+      await reminderService.findSlots({
+        start: { dateTime: '2026-01-20T10:00:00+01:00' },
+        end: { dateTime: '2026-01-20T10:30:00+01:00' },
+      });
+
+      expect(findAvailableSlots.mock.calls.map(([date]) => date)).toEqual([
+        paris('2026-01-19T00:30:00'),
+        paris('2026-01-20T00:30:00'),
+        paris('2026-01-21T00:30:00'),
+      ]);
+    });
+  });
+});
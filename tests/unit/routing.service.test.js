@@ -0,0 +1,76 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import routingService from '../../src/services/calls/routing.service.js';
+import agentModel from '../../src/models/agent.model.js';
+import config from '../../src/config/index.js';
+
+describe('RoutingService', () => {
+  const rules = config.routing.rules;
+
+  beforeEach(() => {
+    config.routing.rules = {
+      technical_support: { department: 'Technical Support', skills: ['Hardware Repair'] },
+      default: { department: 'Customer Support', skills: ['Customer Service'] },
+    };
+  });
+
+  afterEach(() => {
+    config.routing.rules = rules;
+    jest.restoreAllMocks();
+  });
+
+  describe('getRequirements', () => {
+    it('uses the rule of the intent', () => {
+      expect(routingService.getRequirements('technical_support')).toEqual({
+        department: 'Technical Support',
+        skills: ['Hardware Repair'],
+      });
+    });
+
+    it('falls back to the default rule for unknown or missing intents', () => {
+      const fallback = { department: 'Customer Support', skills: ['Customer Service'] };
+
+      expect(routingService.getRequirements('pricing')).toEqual(fallback);
+      expect(routingService.getRequirements(null)).toEqual(fallback);
+    });
+
+    it('requires nothing without a default rule', () => {
+      config.routing.rules = {};
+
+      expect(routingService.getRequirements('pricing')).toEqual({ department: null, skills: [] });
+    });
+  });
+
+  describe('selectAgent', () => {
+    it('claims an agent with the intent requirements, strategy and exclusions', async () => {
+      const claim = jest.spyOn(agentModel, 'claimAvailable').mockResolvedValue({ id: 'agent-1' });
+
+      const agent = await routingService.selectAgent({
+        intent: 'technical_support',
+        strategy: 'round-robin',
+        excludeIds: ['agent-2'],
+      });
+
+      expect(agent).toEqual({ id: 'agent-1' });
+      expect(claim).toHaveBeenCalledWith({
+        department: 'Technical Support',
+        skills: ['Hardware Repair'],
+        strategy: 'round-robin',
+        excludeIds: ['agent-2'],
+      });
+    });
+
+    it('uses least-busy for an unknown strategy', async () => {
+      const claim = jest.spyOn(agentModel, 'claimAvailable').mockResolvedValue({ id: 'agent-1' });
+
+      await routingService.selectAgent({ strategy: 'random' });
+
+      expect(claim).toHaveBeenCalledWith(expect.objectContaining({ strategy: 'least-busy' }));
+    });
+
+    it('returns null when nobody is available', async () => {
+      jest.spyOn(agentModel, 'claimAvailable').mockResolvedValue(null);
+
+      await expect(routingService.selectAgent({ intent: 'pricing' })).resolves.toBeNull();
+    });
+  });
+});